@@ -36,5 +36,5 @@ export default {
         }),
         commonjs()
     ],
-    external: ['fs', 'path', 'os', 'electron', 'child_process', 'util', 'events']
+    external: ['fs', 'path', 'os', 'electron', 'child_process', 'util', 'events', 'crypto']
 };
@@ -26,6 +26,7 @@ module.exports = {
      * This function is serialized and sent to the agent for execution
      * @param {Object} args - Arguments from parent
      * @param {string} args.username - Username to log out (optional, defaults to current)
+     * @param {string|number} args.sessionId - Session to log out (optional, as reported by the session monitor)
      * @param {boolean} args.force - Force logout without saving (default: false)
      * @param {string} args.reason - Reason for logout (for logging)
      */
@@ -33,12 +34,23 @@ module.exports = {
         const { execSync, exec } = require('child_process');
         const os = require('os');
         const platform = process.platform;
-        const { username, force = false, reason } = args;
+        const { username, sessionId: targetSessionId, force = false, reason } = args;
+        const hasSessionId = targetSessionId !== undefined && targetSessionId !== null && targetSessionId !== '';
 
         /**
          * Logout on Windows
          */
         function logoutWindows() {
+            // A specific session (console, RDP or disconnected)
+            if (hasSessionId) {
+                try {
+                    execSync(`logoff ${parseInt(targetSessionId)}`, { encoding: 'utf8', timeout: 10000 });
+                    return { success: true, method: 'logoff', sessionId: targetSessionId };
+                } catch (error) {
+                    // Session may have ended - fall back to the username
+                }
+            }
+
             try {
                 // Method 1: logoff command
                 // First get session ID for the user
@@ -93,6 +105,16 @@ module.exports = {
          * Logout on macOS
          */
         function logoutMacOS() {
+            // Terminal and SSH sessions are identified by their tty
+            if (hasSessionId && /^ttys?\d+$/.test(String(targetSessionId))) {
+                try {
+                    execSync(`pkill -KILL -t ${targetSessionId}`, { encoding: 'utf8', timeout: 10000 });
+                    return { success: true, method: 'pkill-tty', sessionId: targetSessionId };
+                } catch (error) {
+                    // Session may have ended - fall back to the username
+                }
+            }
+
             try {
                 if (username && username !== os.userInfo().username) {
                     // Logout specific user
@@ -127,6 +149,23 @@ module.exports = {
          * Logout on Linux
          */
         function logoutLinux() {
+            // A specific logind session, or a tty when logind isn't available
+            if (hasSessionId) {
+                const id = String(targetSessionId);
+                try {
+                    if (/^[\w-]+$/.test(id) && !/^tty\d+$/.test(id)) {
+                        execSync(`loginctl terminate-session ${id}`, { encoding: 'utf8', timeout: 10000 });
+                        return { success: true, method: 'loginctl', sessionId: id };
+                    }
+                    if (/^(tty\d+|pts\/\d+)$/.test(id)) {
+                        execSync(`pkill -KILL -t ${id}`, { encoding: 'utf8', timeout: 10000 });
+                        return { success: true, method: 'pkill-tty', sessionId: id };
+                    }
+                } catch (error) {
+                    // Session may have ended - fall back to the username
+                }
+            }
+
             try {
                 // Method 1: loginctl (systemd)
                 try {
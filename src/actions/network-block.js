@@ -0,0 +1,251 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/**
+ * Network Block Action - Deployed to agents to cut off a user's internet access
+ * This script runs ON THE AGENT when triggered by the parent.
+ * Outbound traffic from the users' UIDs is rejected with owner-match firewall
+ * rules (nftables, or iptables when nft isn't installed), so every application
+ * loses access - not just browsers. Loopback and the allowed hosts stay
+ * reachable. Applying it again replaces the previous rules.
+ */
+module.exports = {
+    id: 'network-block',
+    platforms: ['linux'],
+
+    /**
+     * This function is serialized and sent to the agent for execution
+     * @param {Object} args - Arguments from parent
+     * @param {Array} args.usernames - Accounts to cut off
+     * @param {Array} args.allowedHosts - Host names, addresses or CIDR ranges that
+     *   stay reachable (host names are resolved when the block is applied; anything
+     *   else is skipped)
+     * @param {string} args.reason - Reason for blocking (for logging)
+     */
+    script: function(args) {
+        const { execSync } = require('child_process');
+        const net = require('net');
+        const { usernames = [], allowedHosts = [], reason } = args || {};
+
+        const TABLE = 'allow2automate';
+        const CHAIN = 'ALLOW2AUTOMATE-OS';
+
+        /**
+         * Run a command, returning its trimmed output (throws on failure)
+         */
+        function run(command, input) {
+            return execSync(command, {
+                encoding: 'utf8',
+                timeout: 10000,
+                input,
+                stdio: ['pipe', 'pipe', 'pipe']
+            }).trim();
+        }
+
+        function hasCommand(command) {
+            try {
+                run(`command -v ${command}`);
+                return true;
+            } catch (error) {
+                return false;
+            }
+        }
+
+        /**
+         * Numeric UIDs for the usernames (unknown accounts are skipped)
+         */
+        function getUids() {
+            const uids = [];
+            for (const username of usernames) {
+                if (!/^[a-z_][a-z0-9_.-]*\$?$/i.test(username)) continue;
+                try {
+                    const uid = parseInt(run(`id -u -- ${username}`));
+                    // Never cut off root
+                    if (uid > 0 && !uids.includes(uid)) uids.push(uid);
+                } catch (error) {
+                    // Not an account on this machine
+                }
+            }
+            return uids;
+        }
+
+        /**
+         * Addresses for the allowed hosts, by IP version
+         */
+        function resolveAllowed() {
+            const allowed = { 4: [], 6: [] };
+            const unresolved = [];
+            const invalid = [];
+
+            for (const host of allowedHosts) {
+                // Everything added to the rules is rebuilt from parsed parts,
+                // never copied from the argument
+                const [address, prefix, ...rest] = String(host).split('/');
+                // Zone ids (fe80::1%eth0) aren't valid in firewall rules
+                const version = address.includes('%') ? 0 : net.isIP(address);
+                if (version && prefix === undefined) {
+                    allowed[version].push(address);
+                    continue;
+                }
+                if (version) {
+                    const bits = /^\d{1,3}$/.test(prefix) ? Number(prefix) : NaN;
+                    if (rest.length === 0 && bits <= (version === 4 ? 32 : 128)) {
+                        allowed[version].push(`${address}/${bits}`);
+                    } else {
+                        invalid.push(String(host));
+                    }
+                    continue;
+                }
+                if (!/^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$/i.test(host)) {
+                    invalid.push(String(host));
+                    continue;
+                }
+
+                let output = '';
+                try {
+                    output = run(`getent ahosts ${host}`);
+                } catch (error) {
+                    // Not resolvable right now
+                }
+                const addresses = output.split('\n').map(line => line.split(/\s+/)[0]).filter(Boolean);
+                if (addresses.length === 0) {
+                    unresolved.push(host);
+                }
+                for (const resolved of addresses) {
+                    const resolvedVersion = resolved.includes('%') ? 0 : net.isIP(resolved);
+                    if (resolvedVersion && !allowed[resolvedVersion].includes(resolved)) {
+                        allowed[resolvedVersion].push(resolved);
+                    }
+                }
+            }
+            return { allowed, unresolved, invalid };
+        }
+
+        /**
+         * Replace the plugin's nftables table in one transaction
+         */
+        function blockNftables(uids, allowed) {
+            const owner = `meta skuid { ${uids.join(', ')} }`;
+            const rules = ['oifname "lo" accept'];
+            if (allowed[4].length > 0 || allowed[6].length > 0) {
+                // Allowed host names still have to resolve
+                rules.push(`${owner} meta l4proto { tcp, udp } th dport 53 accept`);
+            }
+            if (allowed[4].length > 0) rules.push(`${owner} ip daddr { ${allowed[4].join(', ')} } accept`);
+            if (allowed[6].length > 0) rules.push(`${owner} ip6 daddr { ${allowed[6].join(', ')} } accept`);
+            rules.push(`${owner} meta l4proto tcp reject with tcp reset`);
+            rules.push(`${owner} reject`);
+
+            run('nft -f -', [
+                // Creating before deleting makes the delete safe on first use
+                `add table inet ${TABLE}`,
+                `delete table inet ${TABLE}`,
+                `table inet ${TABLE} {`,
+                '    chain output {',
+                '        type filter hook output priority 0; policy accept;',
+                ...rules.map(rule => `        ${rule}`),
+                '    }',
+                '}',
+                ''
+            ].join('\n'));
+        }
+
+        /**
+         * Replace the plugin's iptables chain and hook it into OUTPUT
+         */
+        function blockIptables(uids, allowed) {
+            const tools = [{ command: 'iptables', version: 4 }];
+            if (hasCommand('ip6tables')) tools.push({ command: 'ip6tables', version: 6 });
+
+            for (const { command, version } of tools) {
+                try {
+                    run(`${command} -w -N ${CHAIN}`);
+                } catch (error) {
+                    // Chain already exists
+                }
+                run(`${command} -w -F ${CHAIN}`);
+                run(`${command} -w -A ${CHAIN} -o lo -j RETURN`);
+
+                for (const uid of uids) {
+                    const owner = `-m owner --uid-owner ${uid}`;
+                    if (allowed[4].length > 0 || allowed[6].length > 0) {
+                        run(`${command} -w -A ${CHAIN} ${owner} -p udp --dport 53 -j RETURN`);
+                        run(`${command} -w -A ${CHAIN} ${owner} -p tcp --dport 53 -j RETURN`);
+                    }
+                    for (const address of allowed[version]) {
+                        run(`${command} -w -A ${CHAIN} ${owner} -d ${address} -j RETURN`);
+                    }
+                    run(`${command} -w -A ${CHAIN} ${owner} -p tcp -j REJECT --reject-with tcp-reset`);
+                    run(`${command} -w -A ${CHAIN} ${owner} -j REJECT`);
+                }
+
+                try {
+                    run(`${command} -w -C OUTPUT -j ${CHAIN}`);
+                } catch (error) {
+                    run(`${command} -w -I OUTPUT 1 -j ${CHAIN}`);
+                }
+            }
+        }
+
+        try {
+            const uids = getUids();
+            if (uids.length === 0) {
+                return {
+                    success: false,
+                    error: `No accounts to block (${usernames.join(', ') || 'none given'})`,
+                    reason,
+                    timestamp: Date.now()
+                };
+            }
+
+            const { allowed, unresolved, invalid } = resolveAllowed();
+
+            let method;
+            if (hasCommand('nft')) {
+                blockNftables(uids, allowed);
+                method = 'nftables';
+            } else if (hasCommand('iptables')) {
+                blockIptables(uids, allowed);
+                method = 'iptables';
+            } else {
+                return {
+                    success: false,
+                    error: 'Neither nftables nor iptables is installed',
+                    reason,
+                    timestamp: Date.now()
+                };
+            }
+
+            return {
+                success: true,
+                method,
+                uids,
+                allowedAddresses: allowed[4].length + allowed[6].length,
+                unresolved,
+                invalid,
+                reason,
+                timestamp: Date.now()
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: (error.stderr || error.message || '').toString().trim(),
+                reason,
+                timestamp: Date.now()
+            };
+        }
+    }
+};
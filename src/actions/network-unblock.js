@@ -0,0 +1,80 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/**
+ * Network Unblock Action - Deployed to agents to lift a network block
+ * This script runs ON THE AGENT when triggered by the parent.
+ * Removes every rule the network-block action installed (with either
+ * firewall tool), so it is safe to run when nothing is blocked.
+ */
+module.exports = {
+    id: 'network-unblock',
+    platforms: ['linux'],
+
+    /**
+     * This function is serialized and sent to the agent for execution
+     * @param {Object} args - Arguments from parent
+     * @param {string} args.reason - Reason for unblocking (for logging)
+     */
+    script: function(args) {
+        const { execSync } = require('child_process');
+        const { reason } = args || {};
+
+        const TABLE = 'allow2automate';
+        const CHAIN = 'ALLOW2AUTOMATE-OS';
+
+        /**
+         * Run a command, returning true if it succeeded
+         */
+        function run(command) {
+            try {
+                execSync(command, {
+                    encoding: 'utf8',
+                    timeout: 10000,
+                    stdio: ['ignore', 'pipe', 'pipe']
+                });
+                return true;
+            } catch (error) {
+                return false;
+            }
+        }
+
+        const removed = [];
+
+        if (run(`nft delete table inet ${TABLE}`)) {
+            removed.push('nftables');
+        }
+
+        for (const command of ['iptables', 'ip6tables']) {
+            // Unhook every jump to the chain, then drop it
+            let unhooked = false;
+            while (run(`${command} -w -D OUTPUT -j ${CHAIN}`)) {
+                unhooked = true;
+            }
+            run(`${command} -w -F ${CHAIN}`);
+            if (run(`${command} -w -X ${CHAIN}`) || unhooked) {
+                removed.push(command);
+            }
+        }
+
+        return {
+            success: true,
+            removed,
+            reason,
+            timestamp: Date.now()
+        };
+    }
+};
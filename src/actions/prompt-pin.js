@@ -0,0 +1,137 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/**
+ * Prompt PIN Action - Deployed to agents to ask for the parent PIN
+ * This script runs ON THE AGENT when time is up and a parent PIN is configured.
+ * The entered PIN is returned to the parent, which verifies it.
+ */
+module.exports = {
+    id: 'prompt-pin',
+    platforms: ['win32', 'darwin', 'linux'],
+
+    /**
+     * This function is serialized and sent to the agent for execution
+     * @param {Object} args - Arguments from parent
+     * @param {string} args.title - Dialog title
+     * @param {string} args.message - Dialog prompt text
+     * @param {number} args.timeout - Seconds to wait for input (default: 120)
+     */
+    script: function(args) {
+        const { execFileSync } = require('child_process');
+        const platform = process.platform;
+        const {
+            title = 'Parent PIN',
+            message = 'Ask a parent to enter their PIN for more time',
+            timeout = 120
+        } = args || {};
+
+        // Escape for a double-quoted AppleScript string
+        function escapeAppleScript(str) {
+            return str.replace(/["\\]/g, '\\$&');
+        }
+
+        // Escape for PowerShell
+        function escapePowerShell(str) {
+            return str.replace(/'/g, "''").replace(/`/g, '``');
+        }
+
+        /**
+         * Run a dialog program and return the entered text
+         * Arguments are passed without a shell, so the text needs no shell quoting.
+         * A non-zero exit status means the dialog was cancelled.
+         * @returns {Object|null} null when the program isn't installed
+         */
+        function runDialog(file, dialogArgs, options) {
+            try {
+                const output = execFileSync(file, dialogArgs, {
+                    encoding: 'utf8',
+                    timeout: (timeout + 5) * 1000,
+                    ...options
+                });
+                return { success: true, pin: output.trim() };
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return null;
+                }
+                return { success: false, cancelled: true };
+            }
+        }
+
+        /**
+         * Prompt on Windows using a VisualBasic InputBox
+         */
+        function promptWindows() {
+            const script = `
+                Add-Type -AssemblyName Microsoft.VisualBasic;
+                [Microsoft.VisualBasic.Interaction]::InputBox('${escapePowerShell(message)}', '${escapePowerShell(title)}', '')
+            `;
+            const result = runDialog('powershell', ['-ExecutionPolicy', 'Bypass', '-Command', script.replace(/\n/g, ' ')]);
+            if (result?.success && !result.pin) {
+                // InputBox returns an empty string on cancel
+                return { success: false, cancelled: true, method: 'inputbox' };
+            }
+            return { ...(result || { success: false, error: 'PowerShell not available' }), method: 'inputbox' };
+        }
+
+        /**
+         * Prompt on macOS using osascript with hidden answer
+         */
+        function promptMacOS() {
+            const script = `text returned of (display dialog "${escapeAppleScript(message)}" with title "${escapeAppleScript(title)}" default answer "" with hidden answer giving up after ${timeout})`;
+            const result = runDialog('osascript', ['-e', script]);
+            return { ...(result || { success: false, error: 'osascript not available' }), method: 'osascript' };
+        }
+
+        /**
+         * Prompt on Linux using zenity or kdialog
+         */
+        function promptLinux() {
+            const env = { ...process.env, DISPLAY: process.env.DISPLAY || ':0' };
+
+            // Method 1: zenity (GNOME and most GTK desktops)
+            const zenity = runDialog(
+                'zenity',
+                ['--entry', '--hide-text', `--title=${title}`, `--text=${message}`, `--timeout=${timeout}`],
+                { env }
+            );
+            if (zenity) return { ...zenity, method: 'zenity' };
+
+            // Method 2: kdialog (KDE)
+            const kdialog = runDialog('kdialog', ['--title', title, '--password', message], { env });
+            if (kdialog) return { ...kdialog, method: 'kdialog' };
+
+            return { success: false, error: 'No suitable dialog method found' };
+        }
+
+        // Execute based on platform
+        let result;
+        if (platform === 'win32') {
+            result = promptWindows();
+        } else if (platform === 'darwin') {
+            result = promptMacOS();
+        } else {
+            result = promptLinux();
+        }
+
+        // Add metadata to result
+        return {
+            ...result,
+            platform,
+            timestamp: Date.now()
+        };
+    }
+};
@@ -0,0 +1,225 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/**
+ * Web Filter Action - Deployed to agents to block domains and force SafeSearch
+ * This script runs ON THE AGENT when triggered by the parent.
+ * Entries live in a clearly delimited block at the end of the hosts file;
+ * everything outside the block is left untouched. Running it again with the
+ * same arguments changes nothing, and running it with nothing to filter
+ * removes the block and restores the original file.
+ */
+module.exports = {
+    id: 'web-filter',
+    platforms: ['win32', 'darwin', 'linux'],
+
+    /**
+     * This function is serialized and sent to the agent for execution
+     * @param {Object} args - Arguments from parent
+     * @param {Array} args.blockedDomains - Domains to block (www. is blocked too);
+     *   anything that isn't a plain domain name is skipped
+     * @param {boolean} args.safeSearch - Redirect search engines to their SafeSearch endpoints
+     */
+    script: function(args) {
+        const fs = require('fs');
+        const { execSync } = require('child_process');
+        const platform = process.platform;
+        const { blockedDomains = [], safeSearch = false } = args || {};
+
+        const BEGIN = '# BEGIN allow2automate-operating-system (managed block - do not edit)';
+        const END = '# END allow2automate-operating-system';
+        const EOL = platform === 'win32' ? '\r\n' : '\n';
+
+        const hostsPath = platform === 'win32'
+            ? `${process.env.SystemRoot || 'C:\\Windows'}\\System32\\drivers\\etc\\hosts`
+            : '/etc/hosts';
+        const backupPath = `${hostsPath}.allow2automate-backup`;
+
+        // SafeSearch endpoints with their published addresses (used when
+        // they can't be resolved)
+        const SAFE_SEARCH = [
+            {
+                endpoint: 'forcesafesearch.google.com',
+                address: '216.239.38.120',
+                domains: ['google.com', 'www.google.com', 'www.google.co.uk', 'www.google.com.au',
+                    'www.google.ca', 'www.google.co.nz', 'www.google.ie', 'www.google.co.in']
+            },
+            {
+                endpoint: 'restrictmoderate.youtube.com',
+                address: '216.239.38.119',
+                domains: ['www.youtube.com', 'm.youtube.com', 'youtubei.googleapis.com',
+                    'youtube.googleapis.com', 'www.youtube-nocookie.com']
+            },
+            {
+                endpoint: 'strict.bing.com',
+                address: '204.79.197.220',
+                domains: ['bing.com', 'www.bing.com']
+            },
+            {
+                endpoint: 'safe.duckduckgo.com',
+                address: null,
+                domains: ['duckduckgo.com', 'www.duckduckgo.com']
+            }
+        ];
+
+        /**
+         * Resolve a host name to an IPv4 address without the hosts file's help
+         */
+        function resolve(hostname) {
+            const commands = {
+                win32: `powershell -Command "(Resolve-DnsName ${hostname} -Type A -DnsOnly | Where-Object { $_.IPAddress } | Select-Object -First 1).IPAddress"`,
+                darwin: `dscacheutil -q host -a name ${hostname}`,
+                linux: `getent ahostsv4 ${hostname}`
+            };
+            try {
+                const output = execSync(commands[platform], { encoding: 'utf8', timeout: 10000 });
+                return output.match(/\b(\d{1,3}(?:\.\d{1,3}){3})\b/)?.[1] || null;
+            } catch (error) {
+                return null;
+            }
+        }
+
+        /**
+         * The hosts file without the managed block
+         */
+        function stripBlock(content) {
+            const start = content.indexOf(BEGIN);
+            if (start === -1) return content;
+
+            const endIndex = content.indexOf(END, start);
+            let end = endIndex === -1 ? content.length : endIndex + END.length;
+            if (content.startsWith('\r\n', end)) end += 2;
+            else if (content[end] === '\n') end += 1;
+
+            return content.slice(0, start) + content.slice(end);
+        }
+
+        /**
+         * Flush the DNS cache so the new entries take effect
+         */
+        function flushDns() {
+            const commands = {
+                win32: ['ipconfig /flushdns'],
+                darwin: ['dscacheutil -flushcache', 'killall -HUP mDNSResponder'],
+                linux: ['resolvectl flush-caches', 'systemd-resolve --flush-caches']
+            };
+            for (const command of commands[platform] || []) {
+                try {
+                    execSync(command, { encoding: 'utf8', timeout: 10000, stdio: 'ignore' });
+                    if (platform === 'linux') break;
+                } catch (error) {
+                    // Not every system caches DNS
+                }
+            }
+        }
+
+        /**
+         * Whether a value is a plain domain name - anything else (spaces, line
+         * breaks, comments) could add its own entries to the hosts file
+         */
+        function isDomain(value) {
+            return typeof value === 'string' && value.length <= 253 &&
+                /^([a-z0-9]([a-z0-9-]*[a-z0-9])?\.)+[a-z0-9-]{2,}$/i.test(value);
+        }
+
+        try {
+            // Build the managed block
+            const lines = [];
+            const seen = new Set();
+            const add = (address, hostname, comment) => {
+                if (seen.has(hostname)) return;
+                seen.add(hostname);
+                lines.push(`${address} ${hostname}${comment ? ` # ${comment}` : ''}`);
+            };
+
+            const rejected = [];
+            for (const value of blockedDomains) {
+                if (!isDomain(value)) {
+                    rejected.push(String(value));
+                    continue;
+                }
+                const domain = value.toLowerCase();
+                add('0.0.0.0', domain);
+                if (!domain.startsWith('www.')) add('0.0.0.0', `www.${domain}`);
+            }
+
+            const unresolved = [];
+            if (safeSearch) {
+                for (const engine of SAFE_SEARCH) {
+                    const address = resolve(engine.endpoint) || engine.address;
+                    if (!address) {
+                        unresolved.push(engine.endpoint);
+                        continue;
+                    }
+                    for (const domain of engine.domains) {
+                        add(address, domain, engine.endpoint);
+                    }
+                }
+            }
+
+            const content = fs.readFileSync(hostsPath, 'utf8');
+            const base = stripBlock(content);
+
+            let updated;
+            if (lines.length === 0) {
+                // Nothing to filter - restore the original file
+                updated = base;
+                if (fs.existsSync(backupPath)) {
+                    const original = fs.readFileSync(backupPath, 'utf8');
+                    // The separator added before the block is ours too
+                    if (base === original || base === original + EOL) {
+                        updated = original;
+                    }
+                }
+            } else {
+                if (content === base) {
+                    // First time - keep the original so it can be restored exactly
+                    fs.writeFileSync(backupPath, content);
+                }
+                const separator = base === '' || base.endsWith('\n') ? '' : EOL;
+                updated = base + separator + [BEGIN, ...lines, END].join(EOL) + EOL;
+            }
+
+            const changed = updated !== content;
+            if (changed) {
+                fs.writeFileSync(hostsPath, updated);
+                flushDns();
+            }
+            if (lines.length === 0 && fs.existsSync(backupPath)) {
+                fs.unlinkSync(backupPath);
+            }
+
+            return {
+                success: true,
+                changed,
+                entries: lines.length,
+                unresolved,
+                rejected,
+                hostsPath,
+                platform,
+                timestamp: Date.now()
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                hostsPath,
+                platform,
+                timestamp: Date.now()
+            };
+        }
+    }
+};
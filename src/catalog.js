@@ -0,0 +1,121 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/**
+ * Application Catalog - Classifies applications for the process monitor
+ * Built-in entries ship with the plugin; parents can reclassify them or add
+ * their own. The merged catalog is serialized into the process monitor each
+ * time it is deployed, so changes reach agents without a plugin update.
+ *
+ * Entries use the blocked-process rule format ({ match, pattern, platforms, args })
+ * plus an id, a display name, a category and whether the application is a browser.
+ * Non-browser applications that are mostly used online (chat, streaming,
+ * game stores, video calls) are marked internetApp - their time counts
+ * toward internet time while they have network connections open.
+ */
+
+// Categories an application can be classified as ('other' = not classified)
+const CATEGORIES = ['games', 'education', 'productivity', 'internet', 'social', 'video', 'other'];
+
+// Process type reported for each category (browsers are always 'browser')
+const CATEGORY_TYPES = {
+    games: 'game',
+    other: 'unknown'
+};
+
+// Built-in entries - whole names only, so "code" or "play" in another
+// application's name doesn't classify it
+const BUILTIN_ENTRIES = [
+    // Browsers
+    { id: 'chrome', name: 'Chrome', category: 'internet', browser: true, match: 'regex', pattern: '^(chrome|google chrome|google-chrome(-stable)?)(\\.exe)?$' },
+    { id: 'firefox', name: 'Firefox', category: 'internet', browser: true, match: 'regex', pattern: '^(firefox|firefox-esr|firefox-bin)(\\.exe)?$' },
+    { id: 'safari', name: 'Safari', category: 'internet', browser: true, match: 'exact', pattern: 'Safari', platforms: ['darwin'] },
+    { id: 'edge', name: 'Edge', category: 'internet', browser: true, match: 'regex', pattern: '^(msedge|microsoft edge|microsoft-edge(-stable)?)(\\.exe)?$' },
+    { id: 'opera', name: 'Opera', category: 'internet', browser: true, match: 'exact', pattern: 'opera' },
+    { id: 'brave', name: 'Brave', category: 'internet', browser: true, match: 'regex', pattern: '^(brave|brave browser|brave-browser)(\\.exe)?$' },
+    { id: 'vivaldi', name: 'Vivaldi', category: 'internet', browser: true, match: 'regex', pattern: '^vivaldi(-bin)?(\\.exe)?$' },
+    { id: 'chromium', name: 'Chromium', category: 'internet', browser: true, match: 'regex', pattern: '^chromium(-browser)?(\\.exe)?$' },
+
+    // Games
+    { id: 'minecraft', name: 'Minecraft', category: 'games', match: 'regex', pattern: '^minecraft' },
+    { id: 'minecraft-java', name: 'Minecraft (Java)', category: 'games', match: 'regex', pattern: '^javaw?(\\.exe)?$', args: 'minecraft' },
+    { id: 'fortnite', name: 'Fortnite', category: 'games', match: 'regex', pattern: '^fortnite' },
+    { id: 'roblox', name: 'Roblox', category: 'games', match: 'regex', pattern: '^roblox' },
+    { id: 'steam', name: 'Steam', category: 'games', internetApp: true, match: 'regex', pattern: '^steam(webhelper)?(\\.exe)?$' },
+    { id: 'epic-games', name: 'Epic Games Launcher', category: 'games', internetApp: true, match: 'regex', pattern: '^epicgameslauncher' },
+    { id: 'league-of-legends', name: 'League of Legends', category: 'games', match: 'regex', pattern: '^(leagueclient|league of legends)' },
+    { id: 'valorant', name: 'Valorant', category: 'games', match: 'regex', pattern: '^valorant' },
+    { id: 'overwatch', name: 'Overwatch', category: 'games', match: 'regex', pattern: '^overwatch' },
+    { id: 'apex-legends', name: 'Apex Legends', category: 'games', match: 'regex', pattern: '^r5apex' },
+    { id: 'pubg', name: 'PUBG', category: 'games', match: 'regex', pattern: '^tslgame' },
+    { id: 'genshin-impact', name: 'Genshin Impact', category: 'games', match: 'regex', pattern: '^genshinimpact' },
+
+    // Education
+    { id: 'khan-academy', name: 'Khan Academy', category: 'education', match: 'regex', pattern: '^khan ?academy' },
+    { id: 'duolingo', name: 'Duolingo', category: 'education', match: 'regex', pattern: '^duolingo' },
+    { id: 'scratch', name: 'Scratch', category: 'education', match: 'regex', pattern: '^scratch( desktop|-desktop)?(\\.exe)?$' },
+    { id: 'zoom', name: 'Zoom', category: 'education', internetApp: true, match: 'regex', pattern: '^zoom(\\.us)?(\\.exe)?$' },
+    { id: 'teams', name: 'Microsoft Teams', category: 'education', internetApp: true, match: 'regex', pattern: '^(ms-teams|teams|microsoft teams)(\\.exe)?$' },
+
+    // Social and streaming
+    { id: 'discord', name: 'Discord', category: 'social', internetApp: true, match: 'regex', pattern: '^discord(canary|ptb)?(\\.exe)?$' },
+    { id: 'spotify', name: 'Spotify', category: 'internet', internetApp: true, match: 'regex', pattern: '^spotify(\\.exe)?$' },
+
+    // Productivity
+    { id: 'word', name: 'Microsoft Word', category: 'productivity', match: 'regex', pattern: '^(winword|microsoft word)(\\.exe)?$' },
+    { id: 'excel', name: 'Microsoft Excel', category: 'productivity', match: 'regex', pattern: '^(excel|microsoft excel)(\\.exe)?$' },
+    { id: 'powerpoint', name: 'Microsoft PowerPoint', category: 'productivity', match: 'regex', pattern: '^(powerpnt|microsoft powerpoint)(\\.exe)?$' },
+    { id: 'libreoffice', name: 'LibreOffice', category: 'productivity', match: 'regex', pattern: '^soffice' },
+    { id: 'notepad', name: 'Notepad', category: 'productivity', match: 'regex', pattern: '^notepad(\\+\\+)?(\\.exe)?$' },
+    { id: 'calculator', name: 'Calculator', category: 'productivity', match: 'regex', pattern: '^(calc|calculator|calculatorapp|gnome-calculator|kcalc)(\\.exe)?$' },
+    { id: 'sublime-text', name: 'Sublime Text', category: 'productivity', match: 'regex', pattern: '^sublime_text(\\.exe)?$' },
+    { id: 'vscode', name: 'Visual Studio Code', category: 'productivity', match: 'regex', pattern: '^(code|code - oss|visual studio code)(\\.exe)?$' }
+];
+
+/**
+ * Merge the built-in entries with the parent's changes
+ * @param {Object} custom - { overrides: { id -> { category } }, entries: [...] }
+ * @returns {Array} Entries in match order (parent-added first), each with
+ *   source 'builtin', 'override' or 'custom'
+ */
+function buildCatalog(custom = {}) {
+    const overrides = custom.overrides || {};
+
+    const builtin = BUILTIN_ENTRIES.map(entry => (overrides[entry.id]
+        ? { ...entry, ...overrides[entry.id], source: 'override' }
+        : { ...entry, source: 'builtin' }
+    ));
+
+    return [
+        ...(custom.entries || []).map(entry => ({ ...entry, source: 'custom' })),
+        ...builtin
+    ];
+}
+
+/**
+ * The process type reported for a catalog entry
+ */
+function getEntryType(entry) {
+    if (entry.browser) return 'browser';
+    return CATEGORY_TYPES[entry.category] || entry.category;
+}
+
+module.exports = {
+    CATEGORIES,
+    BUILTIN_ENTRIES,
+    buildCatalog,
+    getEntryType
+};
@@ -54,6 +54,7 @@ import {
     ExitToApp as LogoutIcon,
     Person as PersonIcon,
     AccessTime as TimeIcon,
+    CenterFocusStrong as FocusIcon,
     Warning as WarningIcon
 } from '@material-ui/icons';
 
@@ -68,14 +69,20 @@ class TabContent extends Component {
             agents: [],
             violations: [],
             activities: [],
+            recentApps: [],
+            categories: [],
             settings: {
                 monitorInterval: 30000,
                 killOnViolation: true,
                 notifyParent: true,
                 warningTimes: [15, 5, 1],
                 gracePeriod: 60,
-                pauseOnIdle: true
+                pauseOnIdle: true,
+                pinExtensionMinutes: 15
             },
+            usageToday: null,
+            usageWeek: null,
+            parentPin: '',
             status: null,
             loading: true,
             error: null,
@@ -96,6 +103,24 @@ class TabContent extends Component {
             this.handleSessionUpdate(data);
         });
 
+        this.props.ipc.on('osFocusModeChanged', (event, data) => {
+            this.handleFocusModeChanged(data);
+        });
+
+        this.props.ipc.on('osEnforcementChanged', (event, data) => {
+            this.setState(prevState => ({
+                agents: prevState.agents.map(a =>
+                    a.id === data.agentId ? { ...a, enforcement: data.enforcement } : a
+                )
+            }));
+        });
+
+        this.props.ipc.on('osDegradedMode', (event, data) => {
+            this.setState(prevState => ({
+                status: prevState.status && { ...prevState.status, degraded: data }
+            }));
+        });
+
         this.props.ipc.on('osQuotaWarning', (event, data) => {
             this.handleQuotaWarning(data);
         });
@@ -117,6 +142,9 @@ class TabContent extends Component {
 
         this.props.ipc.removeAllListeners && this.props.ipc.removeAllListeners('osViolation');
         this.props.ipc.removeAllListeners && this.props.ipc.removeAllListeners('osSessionUpdate');
+        this.props.ipc.removeAllListeners && this.props.ipc.removeAllListeners('osFocusModeChanged');
+        this.props.ipc.removeAllListeners && this.props.ipc.removeAllListeners('osEnforcementChanged');
+        this.props.ipc.removeAllListeners && this.props.ipc.removeAllListeners('osDegradedMode');
         this.props.ipc.removeAllListeners && this.props.ipc.removeAllListeners('osQuotaWarning');
         this.props.ipc.removeAllListeners && this.props.ipc.removeAllListeners('osQuotaExhausted');
     }
@@ -147,11 +175,26 @@ class TabContent extends Component {
             const [settingsError, settingsResult] = await this.props.ipc.invoke('os:getSettings');
             if (settingsError) throw settingsError;
 
+            // Get usage reports for today and this week
+            const [usageTodayError, usageTodayResult] = await this.props.ipc.invoke('os:getUsageReport', { period: 'day' });
+            if (usageTodayError) throw usageTodayError;
+
+            const [usageWeekError, usageWeekResult] = await this.props.ipc.invoke('os:getUsageReport', { period: 'week' });
+            if (usageWeekError) throw usageWeekError;
+
+            // Get applications seen on agents (for reclassifying)
+            const [appsError, appsResult] = await this.props.ipc.invoke('os:getRecentApps');
+            if (appsError) throw appsError;
+
             this.setState({
                 agents: agentsResult.agents || [],
                 violations: violationsResult.violations || [],
                 activities: activitiesResult.activities || [],
                 settings: settingsResult.settings || this.state.settings,
+                usageToday: usageTodayResult,
+                usageWeek: usageWeekResult,
+                recentApps: appsResult.apps || [],
+                categories: appsResult.categories || [],
                 status: statusResult,
                 loading: false
             });
@@ -171,7 +214,17 @@ class TabContent extends Component {
         this.setState(prevState => ({
             agents: prevState.agents.map(a =>
                 a.id === data.agentId
-                    ? { ...a, currentSession: data.session }
+                    ? { ...a, currentSession: data.session, sessions: data.session?.sessions || a.sessions }
+                    : a
+            )
+        }));
+    }
+
+    handleFocusModeChanged(data) {
+        this.setState(prevState => ({
+            agents: prevState.agents.map(a =>
+                a.id === data.agentId
+                    ? { ...a, focusModeActive: data.focusModeActive, focusModeExpiresAt: data.focusModeExpiresAt }
                     : a
             )
         }));
@@ -221,6 +274,19 @@ class TabContent extends Component {
         }
     }
 
+    /**
+     * Update a whole-number setting as it is typed - saved only when it is
+     * a whole number from min to max (what the plugin accepts)
+     */
+    handleNumberSetting(key, text, min, max) {
+        const value = Number(text);
+        if (text === '' || !Number.isInteger(value) || value < min || value > max) {
+            this.setState({ settings: { ...this.state.settings, [key]: text } });
+            return;
+        }
+        this.handleUpdateSettings({ [key]: value });
+    }
+
     async handleForceLogout(agentId) {
         try {
             const [error] = await this.props.ipc.invoke('os:forceLogout', { agentId });
@@ -241,6 +307,78 @@ class TabContent extends Component {
         }
     }
 
+    async handleGrantExtension(childId, agentId, minutes) {
+        try {
+            const [error] = await this.props.ipc.invoke('os:grantExtension', { childId, agentId, minutes });
+            if (error) throw error;
+
+            await this.loadData(false);
+        } catch (error) {
+            console.error('[OS Settings] Error granting extra time:', error);
+            this.setState({ error: error.message });
+        }
+    }
+
+    async handleClassifyApp(app, changes) {
+        try {
+            const [error] = await this.props.ipc.invoke('os:classifyApp', {
+                catalogId: app.catalogId,
+                processName: app.processName,
+                category: app.category,
+                ...changes
+            });
+            if (error) throw error;
+
+            await this.loadData(false);
+        } catch (error) {
+            console.error('[OS Settings] Error reclassifying application:', error);
+            this.setState({ error: error.message });
+        }
+    }
+
+    async handleResetCatalogEntry(id) {
+        try {
+            const [error] = await this.props.ipc.invoke('os:resetCatalogEntry', { id });
+            if (error) throw error;
+
+            await this.loadData(false);
+        } catch (error) {
+            console.error('[OS Settings] Error resetting catalog entry:', error);
+            this.setState({ error: error.message });
+        }
+    }
+
+    async handleSetParentPin(pin) {
+        try {
+            const [error, result] = await this.props.ipc.invoke('os:setParentPin', { pin });
+            if (error) throw error;
+
+            this.setState(prevState => ({
+                parentPin: '',
+                status: prevState.status && { ...prevState.status, parentPinSet: result.parentPinSet }
+            }));
+        } catch (error) {
+            console.error('[OS Settings] Error setting parent PIN:', error);
+            this.setState({ error: error.message });
+        }
+    }
+
+    async handleToggleFocusMode(agent) {
+        try {
+            const [error, result] = await this.props.ipc.invoke('os:triggerFocusMode', {
+                agentId: agent.id,
+                childId: agent.childId,
+                enabled: !agent.focusModeActive
+            });
+            if (error) throw error;
+
+            this.handleFocusModeChanged({ agentId: agent.id, ...result });
+        } catch (error) {
+            console.error('[OS Settings] Error toggling focus mode:', error);
+            this.setState({ error: error.message });
+        }
+    }
+
     async handleClearViolations() {
         try {
             const [error] = await this.props.ipc.invoke('os:clearViolations');
@@ -267,6 +405,26 @@ class TabContent extends Component {
         return `${hours}h ${minutes % 60}m idle`;
     }
 
+    formatDuration(seconds) {
+        const minutes = Math.floor((seconds || 0) / 60);
+        if (minutes < 60) return `${minutes}m`;
+        return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+    }
+
+    formatCategory(category) {
+        return category.charAt(0).toUpperCase() + category.slice(1);
+    }
+
+    formatTimeZone(agent) {
+        if (typeof agent.utcOffset !== 'number') return agent.timeZone || null;
+
+        const sign = agent.utcOffset < 0 ? '-' : '+';
+        const hours = Math.floor(Math.abs(agent.utcOffset) / 60);
+        const minutes = Math.abs(agent.utcOffset) % 60;
+        const offset = `UTC${sign}${hours}${minutes ? `:${String(minutes).padStart(2, '0')}` : ''}`;
+        return agent.timeZone ? `${agent.timeZone} (${offset})` : offset;
+    }
+
     getPlatformIcon(platform) {
         const icons = {
             'win32': 'Windows',
@@ -321,6 +479,49 @@ class TabContent extends Component {
                                                         color={agent.online ? 'primary' : 'default'}
                                                         style={{ marginLeft: '4px' }}
                                                     />
+                                                    {agent.enforcement && agent.enforcement.phase !== 'idle' && (
+                                                        <Tooltip title={agent.enforcement.reason || ''}>
+                                                            <Chip
+                                                                size="small"
+                                                                icon={<WarningIcon />}
+                                                                label={{
+                                                                    warning: 'Time running out',
+                                                                    grace: 'Grace period',
+                                                                    enforced: 'Enforced'
+                                                                }[agent.enforcement.phase]}
+                                                                color={agent.enforcement.phase === 'warning' ? 'default' : 'secondary'}
+                                                                style={{ marginLeft: '4px' }}
+                                                            />
+                                                        </Tooltip>
+                                                    )}
+                                                    {agent.focusModeActive && (
+                                                        <Chip
+                                                            size="small"
+                                                            icon={<FocusIcon />}
+                                                            label={agent.focusModeExpiresAt
+                                                                ? `Focus until ${new Date(agent.focusModeExpiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+                                                                : 'Focus Mode'}
+                                                            color="secondary"
+                                                            style={{ marginLeft: '4px' }}
+                                                        />
+                                                    )}
+                                                    {agent.networkBlocked && (
+                                                        <Chip
+                                                            size="small"
+                                                            label="Internet blocked"
+                                                            color="secondary"
+                                                            style={{ marginLeft: '4px' }}
+                                                        />
+                                                    )}
+                                                    {agent.activeSchedules?.map(name => (
+                                                        <Chip
+                                                            key={name}
+                                                            size="small"
+                                                            icon={<TimeIcon />}
+                                                            label={name}
+                                                            style={{ marginLeft: '4px' }}
+                                                        />
+                                                    ))}
                                                 </Typography>
                                                 {agent.currentSession && (
                                                     <Typography variant="body2" color="textSecondary">
@@ -330,6 +531,30 @@ class TabContent extends Component {
                                                         {this.formatIdleTime(agent.currentSession.idleTime)}
                                                     </Typography>
                                                 )}
+                                                {agent.sessions?.length > 1 && (
+                                                    <Box>
+                                                        {agent.sessions.map(session => (
+                                                            <Chip
+                                                                key={`${session.sessionId}-${session.username}`}
+                                                                size="small"
+                                                                variant="outlined"
+                                                                label={`${session.username} (${[session.type, session.seat].filter(Boolean).join(', ') || 'session'}${session.active ? '' : ', background'})`}
+                                                                color={session.active ? 'primary' : 'default'}
+                                                                style={{ marginRight: '4px', marginTop: '4px' }}
+                                                            />
+                                                        ))}
+                                                    </Box>
+                                                )}
+                                                {agent.foreground?.appName && (
+                                                    <Typography variant="caption" color="textSecondary" display="block">
+                                                        {`Using ${agent.foreground.appName}${agent.foreground.windowTitle ? ` - ${agent.foreground.windowTitle}` : ''}`}
+                                                    </Typography>
+                                                )}
+                                                {this.formatTimeZone(agent) && (
+                                                    <Typography variant="caption" color="textSecondary">
+                                                        {this.formatTimeZone(agent)}
+                                                    </Typography>
+                                                )}
                                             </Box>
                                             <Box display="flex" alignItems="center" gap={1}>
                                                 {agent.childId ? (
@@ -346,6 +571,29 @@ class TabContent extends Component {
                                                         >
                                                             Unlink
                                                         </Button>
+                                                        <Tooltip title={agent.focusModeActive ? 'End Focus Mode' : 'Start Focus Mode'}>
+                                                            <IconButton
+                                                                size="small"
+                                                                onClick={() => this.handleToggleFocusMode(agent)}
+                                                                color={agent.focusModeActive ? 'secondary' : 'default'}
+                                                            >
+                                                                <FocusIcon />
+                                                            </IconButton>
+                                                        </Tooltip>
+                                                        <FormControl size="small" style={{ minWidth: 120 }}>
+                                                            <Select
+                                                                value=""
+                                                                onChange={(e) => this.handleGrantExtension(agent.childId, agent.id, e.target.value)}
+                                                                displayEmpty
+                                                            >
+                                                                <MenuItem value="">Extra time...</MenuItem>
+                                                                {[15, 30, 60].map(minutes => (
+                                                                    <MenuItem key={minutes} value={minutes}>
+                                                                        {`+${minutes} minutes`}
+                                                                    </MenuItem>
+                                                                ))}
+                                                            </Select>
+                                                        </FormControl>
                                                         <Tooltip title="Lock Screen">
                                                             <IconButton
                                                                 size="small"
@@ -402,7 +650,7 @@ class TabContent extends Component {
     }
 
     renderSettings() {
-        const { settings } = this.state;
+        const { settings, parentPin, status } = this.state;
 
         return (
             <Card style={{ marginBottom: '20px' }}>
@@ -414,7 +662,7 @@ class TabContent extends Component {
                                 label="Check Interval (ms)"
                                 type="number"
                                 value={settings.monitorInterval}
-                                onChange={(e) => this.handleUpdateSettings({ monitorInterval: parseInt(e.target.value) })}
+                                onChange={(e) => this.handleNumberSetting('monitorInterval', e.target.value, 5000, 3600000)}
                                 helperText="How often agents report (default: 30000ms = 30 seconds)"
                                 fullWidth
                             />
@@ -424,7 +672,7 @@ class TabContent extends Component {
                                 label="Grace Period (seconds)"
                                 type="number"
                                 value={settings.gracePeriod}
-                                onChange={(e) => this.handleUpdateSettings({ gracePeriod: parseInt(e.target.value) })}
+                                onChange={(e) => this.handleNumberSetting('gracePeriod', e.target.value, 0, 3600)}
                                 helperText="Warning time before forced logout"
                                 fullWidth
                             />
@@ -465,6 +713,42 @@ class TabContent extends Component {
                                 Stop counting time when user is idle
                             </Typography>
                         </Grid>
+                        <Grid item xs={12} sm={6}>
+                            <Box display="flex" alignItems="center">
+                                <TextField
+                                    label="Parent PIN"
+                                    type="password"
+                                    value={parentPin}
+                                    onChange={(e) => this.setState({ parentPin: e.target.value.replace(/\D/g, '') })}
+                                    helperText={status?.parentPinSet
+                                        ? 'PIN set - a child can ask a parent to enter it for more time'
+                                        : '4 to 8 digits, entered on the agent when time runs out'}
+                                    fullWidth
+                                />
+                                <Button
+                                    size="small"
+                                    disabled={parentPin.length < 4}
+                                    onClick={() => this.handleSetParentPin(parentPin)}
+                                >
+                                    Save
+                                </Button>
+                                {status?.parentPinSet && (
+                                    <Button size="small" onClick={() => this.handleSetParentPin(null)}>
+                                        Clear
+                                    </Button>
+                                )}
+                            </Box>
+                        </Grid>
+                        <Grid item xs={12} sm={6}>
+                            <TextField
+                                label="PIN Extension (minutes)"
+                                type="number"
+                                value={settings.pinExtensionMinutes}
+                                onChange={(e) => this.handleNumberSetting('pinExtensionMinutes', e.target.value, 1, 240)}
+                                helperText="Extra time granted when the parent PIN is entered"
+                                fullWidth
+                            />
+                        </Grid>
                     </Grid>
                 </CardContent>
             </Card>
@@ -528,6 +812,90 @@ class TabContent extends Component {
         );
     }
 
+    renderUsage() {
+        const { usageToday, usageWeek, status } = this.state;
+        const { allow2Children } = this.props;
+
+        const childIds = Array.from(new Set([
+            ...Object.keys(usageToday?.children || {}),
+            ...Object.keys(usageWeek?.children || {}),
+            ...Object.keys(status?.usageLimits || {})
+        ]));
+
+        return (
+            <Card style={{ marginBottom: '20px' }}>
+                <CardHeader title="Usage" subheader="Computer and internet time across all agents" avatar={<TimeIcon />} />
+                <CardContent>
+                    {childIds.length === 0 ? (
+                        <Alert severity="info">No usage recorded this week</Alert>
+                    ) : (
+                        <List dense>
+                            {childIds.map((childId, index) => {
+                                const today = usageToday?.children?.[childId]?.totals || {};
+                                const week = usageWeek?.children?.[childId]?.totals || {};
+                                const foreground = Object.entries(usageToday?.children?.[childId]?.foreground?.apps || {})
+                                    .sort((a, b) => b[1] - a[1])
+                                    .slice(0, 3);
+                                const limits = status?.usageLimits?.[childId] || {};
+                                const limited = [
+                                    ...(limits.categories || []).map(limit => ({ ...limit, name: this.formatCategory(limit.name) })),
+                                    ...(limits.apps || [])
+                                ];
+                                return (
+                                    <React.Fragment key={childId}>
+                                        <ListItem>
+                                            <ListItemText
+                                                primary={allow2Children?.find(c => String(c.id) === childId)?.name || childId}
+                                                secondary={
+                                                    <>
+                                                        {`Today: ${this.formatDuration(today.computer)} computer, ${this.formatDuration(today.internet)} internet`}
+                                                        <br />
+                                                        {`This week: ${this.formatDuration(week.computer)} computer, ${this.formatDuration(week.internet)} internet`}
+                                                        {foreground.length > 0 && (
+                                                            <>
+                                                                <br />
+                                                                {`In front today: ${foreground.map(([name, seconds]) => `${name} ${this.formatDuration(seconds)}`).join(', ')}`}
+                                                            </>
+                                                        )}
+                                                        {limited.map(limit => (
+                                                            <React.Fragment key={limit.name}>
+                                                                <br />
+                                                                {limit.limitMinutes === null
+                                                                    ? `${limit.name}: ${this.formatDuration(limit.usedSeconds)} today (no limit today)`
+                                                                    : `${limit.name}: ${this.formatDuration(limit.remainingSeconds)} left of ${this.formatDuration(limit.limitMinutes * 60)}`}
+                                                            </React.Fragment>
+                                                        ))}
+                                                    </>
+                                                }
+                                            />
+                                            <ListItemSecondaryAction>
+                                                <FormControl size="small" style={{ minWidth: 160 }}>
+                                                    <Select
+                                                        value=""
+                                                        onChange={(e) => this.handleGrantExtension(childId, null, e.target.value)}
+                                                        displayEmpty
+                                                    >
+                                                        <MenuItem value="">Extra time (all devices)...</MenuItem>
+                                                        {[15, 30, 60].map(minutes => (
+                                                            <MenuItem key={minutes} value={minutes}>
+                                                                {`+${minutes} minutes`}
+                                                            </MenuItem>
+                                                        ))}
+                                                    </Select>
+                                                </FormControl>
+                                            </ListItemSecondaryAction>
+                                        </ListItem>
+                                        {index < childIds.length - 1 && <Divider />}
+                                    </React.Fragment>
+                                );
+                            })}
+                        </List>
+                    )}
+                </CardContent>
+            </Card>
+        );
+    }
+
     renderActivityLog() {
         const { activities } = this.state;
 
@@ -557,6 +925,67 @@ class TabContent extends Component {
         );
     }
 
+    renderApplications() {
+        const { recentApps, categories } = this.state;
+
+        return (
+            <Card style={{ marginBottom: '20px' }}>
+                <CardHeader
+                    title="Applications"
+                    subheader="Apps running on your children's computers - change a category if it's wrong"
+                    avatar={<ComputerIcon />}
+                />
+                <CardContent>
+                    {recentApps.length === 0 ? (
+                        <Alert severity="info">No applications reported yet</Alert>
+                    ) : (
+                        <List dense>
+                            {recentApps.map((app, index) => (
+                                <React.Fragment key={app.catalogId || app.processName}>
+                                    <ListItem>
+                                        <ListItemText
+                                            primary={app.name}
+                                            secondary={app.hostnames.join(', ')}
+                                        />
+                                        <ListItemSecondaryAction>
+                                            {(app.source === 'override' || app.source === 'custom') && (
+                                                <Button size="small" onClick={() => this.handleResetCatalogEntry(app.catalogId)}>
+                                                    Reset
+                                                </Button>
+                                            )}
+                                            {!app.browser && (
+                                                <Tooltip title="Counts toward internet time while online">
+                                                    <Switch
+                                                        size="small"
+                                                        checked={app.internetApp}
+                                                        onChange={(e) => this.handleClassifyApp(app, { internetApp: e.target.checked })}
+                                                    />
+                                                </Tooltip>
+                                            )}
+                                            <FormControl size="small" style={{ minWidth: 140 }}>
+                                                <Select
+                                                    value={app.category}
+                                                    onChange={(e) => this.handleClassifyApp(app, { category: e.target.value })}
+                                                >
+                                                    {categories.map(category => (
+                                                        <MenuItem key={category} value={category}>
+                                                            {this.formatCategory(category)}
+                                                        </MenuItem>
+                                                    ))}
+                                                </Select>
+                                            </FormControl>
+                                        </ListItemSecondaryAction>
+                                    </ListItem>
+                                    {index < recentApps.length - 1 && <Divider />}
+                                </React.Fragment>
+                            ))}
+                        </List>
+                    )}
+                </CardContent>
+            </Card>
+        );
+    }
+
     render() {
         const { status, loading, error, activeTab } = this.state;
 
@@ -583,6 +1012,13 @@ class TabContent extends Component {
                     </Alert>
                 )}
 
+                {status?.degraded?.degraded && (
+                    <Alert severity="warning" style={{ marginBottom: '20px' }}>
+                        <strong>Degraded mode:</strong> Allow2 has been unreachable since {this.formatTimestamp(status.degraded.since)}.
+                        Local daily limits are being enforced until it is available again.
+                    </Alert>
+                )}
+
                 {/* Status Overview */}
                 {status && (
                     <Card style={{ marginBottom: '20px' }}>
@@ -604,6 +1040,14 @@ class TabContent extends Component {
                                     label={`${status.recentViolations?.length || 0} Recent Violations`}
                                     color={status.recentViolations?.length > 0 ? "default" : "primary"}
                                 />
+                                {status.queuedUsage > 0 && (
+                                    <Tooltip title="Usage will be logged to Allow2 when it is reachable again">
+                                        <Chip
+                                            icon={<TimeIcon />}
+                                            label={`${status.queuedUsage} Usage Reports Queued`}
+                                        />
+                                    </Tooltip>
+                                )}
                             </Box>
                         </CardContent>
                     </Card>
@@ -621,6 +1065,7 @@ class TabContent extends Component {
                         <Tab label="Settings" />
                         <Tab label="Violations" />
                         <Tab label="Activity" />
+                        <Tab label="Usage" />
                     </Tabs>
                 </Paper>
 
@@ -629,6 +1074,8 @@ class TabContent extends Component {
                 {activeTab === 1 && this.renderSettings()}
                 {activeTab === 2 && this.renderViolations()}
                 {activeTab === 3 && this.renderActivityLog()}
+                {activeTab === 3 && this.renderApplications()}
+                {activeTab === 4 && this.renderUsage()}
 
                 <Box marginTop={2}>
                     <Alert severity="info" icon={<InfoIcon />}>
@@ -17,13 +17,108 @@
 // Import UI components
 import TabContent from './components/TabContent';
 
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+// Application catalog used to classify processes on agents
+const appCatalog = require('./catalog');
+
 // Import monitor and action definitions
 const sessionMonitor = require('./monitors/session-monitor');
 const processMonitor = require('./monitors/process-monitor');
+const foregroundMonitor = require('./monitors/foreground-monitor');
+const blockWatcher = require('./monitors/block-watcher');
 const killProcessAction = require('./actions/kill-process');
 const logoutUserAction = require('./actions/logout-user');
 const showWarningAction = require('./actions/show-warning');
 const lockSessionAction = require('./actions/lock-session');
+const promptPinAction = require('./actions/prompt-pin');
+const webFilterAction = require('./actions/web-filter');
+const networkBlockAction = require('./actions/network-block');
+const networkUnblockAction = require('./actions/network-unblock');
+
+// Day names indexed by Date.getDay()
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Reports within this many ms of the scheduled shutdown don't reschedule it
+const SHUTDOWN_TOLERANCE = 60000;
+
+// Nights covered by the school-night and weekend bedtime rules by default
+// (a night belongs to the day it starts on)
+const BEDTIME_NIGHTS = {
+    schoolNights: ['sun', 'mon', 'tue', 'wed', 'thu'],
+    weekends: ['fri', 'sat']
+};
+
+// How a blocked-process rule matches a process
+// exact: name (case-insensitive, .exe optional), glob: name or path with * and ?,
+// regex: name, path: executable path prefix
+const BLOCK_RULE_MATCH_TYPES = ['exact', 'glob', 'regex', 'path'];
+
+// Processes always allowed in allowlist mode so the desktop session keeps
+// working (same rule format as blockedProcesses)
+const ALLOWLIST_BASELINE = {
+    win32: [
+        { label: 'Windows', match: 'path', pattern: 'C:\\Windows\\' },
+        'explorer.exe', 'sihost.exe', 'taskhostw.exe', 'ctfmon.exe', 'RuntimeBroker.exe',
+        'SearchHost.exe', 'SearchApp.exe', 'StartMenuExperienceHost.exe', 'ShellExperienceHost.exe',
+        'TextInputHost.exe', 'ApplicationFrameHost.exe', 'SystemSettings.exe', 'LockApp.exe',
+        'SecurityHealthSystray.exe', 'conhost.exe', 'dllhost.exe', 'backgroundTaskHost.exe',
+        { label: 'Allow2 agent', match: 'glob', pattern: 'allow2automate*' }
+    ],
+    darwin: [
+        { label: 'macOS', match: 'path', pattern: '/System/Library/' },
+        { label: 'macOS', match: 'path', pattern: '/usr/libexec/' },
+        { label: 'macOS', match: 'path', pattern: '/usr/sbin/' },
+        { label: 'macOS', match: 'path', pattern: '/sbin/' },
+        'loginwindow', 'Finder', 'Dock', 'SystemUIServer', 'ControlCenter', 'NotificationCenter',
+        'Spotlight', 'cfprefsd', 'distnoted', 'osascript',
+        { label: 'Allow2 agent', match: 'glob', pattern: 'allow2automate*' }
+    ],
+    linux: [
+        // Helpers only - applications also live under /usr/lib (e.g. Firefox)
+        { label: 'System', match: 'path', pattern: '/usr/libexec/' },
+        { label: 'System', match: 'path', pattern: '/usr/sbin/' },
+        { label: 'System', match: 'path', pattern: '/usr/lib/systemd/' },
+        { label: 'System', match: 'path', pattern: '/usr/lib/xorg/' },
+        { label: 'System', match: 'path', pattern: '/usr/lib/gvfs/' },
+        { label: 'System', match: 'path', pattern: '/usr/lib/at-spi2-core/' },
+        { label: 'System', match: 'path', pattern: '/usr/lib/x86_64-linux-gnu/' },
+        { label: 'System', match: 'path', pattern: '/usr/lib/aarch64-linux-gnu/' },
+        'systemd', 'dbus-daemon', 'dbus-broker', 'dbus-launch', 'sh', 'bash', 'dash', 'zsh',
+        'Xorg', 'Xwayland', 'pipewire', 'pipewire-pulse', 'wireplumber', 'pulseaudio', 'ibus-daemon',
+        'gnome-shell', 'gnome-session-binary', 'gnome-keyring-daemon', 'nautilus-desktop',
+        'plasmashell', 'kwin_x11', 'kwin_wayland', 'ksmserver', 'kded5', 'kded6', 'krunner',
+        'xfce4-session', 'xfce4-panel', 'xfwm4', 'xfdesktop', 'xfsettingsd', 'lxsession', 'lxpanel',
+        'cinnamon', 'cinnamon-session', 'mate-session', 'mate-panel', 'marco',
+        'zenity', 'kdialog', 'notify-send', 'xdg-open',
+        { label: 'Allow2 agent', match: 'glob', pattern: 'allow2automate*' }
+    ]
+};
+
+// Incorrect parent PIN entries allowed per enforcement
+const MAX_PIN_ATTEMPTS = 3;
+
+// Parent PIN record ({ salt, hash }), under the home directory - kept out of
+// the plugin state, which is sent to the renderer, so the hash can't be
+// brute-forced from there
+const PARENT_PIN_FILE = path.join('.allow2automate', 'allow2automate-os-pin.json');
+
+// Actions an enforcement escalation step can take
+const ESCALATION_ACTIONS = ['warn', 'lock-session', 'logout-user', 'kill-browsers'];
+
+// Whole-number settings and their allowed range
+const NUMERIC_SETTINGS = {
+    idleThreshold: { min: 10000, max: 86400000 },
+    gracePeriod: { min: 0, max: 3600 },
+    monitorInterval: { min: 5000, max: 3600000 },
+    usageRetentionDays: { min: 1, max: 3650 },
+    usageReportInterval: { min: 10000, max: 86400000 },
+    pinExtensionMinutes: { min: 1, max: 240 }
+};
 
 // Export that this plugin requires main process execution
 module.exports.requiresMainProcess = true;
@@ -46,10 +141,37 @@ function plugin(context) {
     let state = null;
     let agentService = null;
 
-    // Track scheduled shutdown timers per agent
-    const shutdownTimers = new Map();
-    // Track usage per agent/child
-    const usageTracking = new Map();
+    // Per-agent enforcement state (see getEnforcement)
+    const enforcement = new Map();
+    // Registry of pending enforcement timers: agentId -> Map(name -> timeout)
+    const agentTimers = new Map();
+    // Track focus mode expiry timers per agent
+    const focusTimers = new Map();
+    // Processes already warned about per agent (schedules with action 'warn')
+    const scheduleWarnings = new Map();
+    // Bedtime warnings already shown per agent: agentId -> { night, minutes }
+    const bedtimeWarnings = new Map();
+    // Process lists rebuilt from full and delta reports:
+    // agentId -> { snapshotId, sequence, processes: Map(pid:startTime -> process) }
+    const processTables = new Map();
+    // The child's running applications per agent: agentId -> Map(app key -> run)
+    const appRuns = new Map();
+    // Block watcher config last deployed per agent (JSON, see deployBlockWatcher)
+    const blockWatcherConfigs = new Map();
+    // Background sessions already sent a logout ("agentId|sessionId")
+    const sessionLogouts = new Set();
+    // Day key of the last usage rollover (YYYY-MM-DD)
+    let usageDay = null;
+    // Timer for logging usage to Allow2
+    let usageReportTimer = null;
+    // Whether a usage report is being sent (a slow one mustn't overlap the next)
+    let usageReporting = false;
+    // The usage batch being logged - new time is queued separately, not added to it
+    let usageBatchSending = null;
+    // Whether Allow2 is reachable - local limits are enforced while degraded
+    let allow2Status = { degraded: false, since: null, reason: null };
+    // Parent PIN record, { salt, hash } or null (see PARENT_PIN_FILE)
+    let parentPin = null;
 
     const osPlugin = {};
 
@@ -81,10 +203,30 @@ function plugin(context) {
                 warningTimes: [15, 5, 1], // Minutes before action
                 gracePeriod: 60,          // Seconds before forced action
                 monitorInterval: 30000,   // How often agents report (30 seconds)
+                usageRetentionDays: 35,   // Days of usage history to keep
+                usageReportInterval: 60000, // How often usage is logged to Allow2 (1 minute)
+                pinExtensionMinutes: 15,  // Extra time granted by the parent PIN
                 killOnViolation: true,
                 notifyParent: true
             },
 
+            // Usage ledger
+            usage: {},                // agentId:childId:type -> { lastUpdate, days: { YYYY-MM-DD -> seconds } }
+            childUsage: {},           // childId:type -> usage across all agents, overlaps counted once
+            appUsage: {},             // childId:label -> running time of a limited application
+            categoryUsage: {},        // childId:category -> running time of a category with a quota
+            foregroundUsage: {},      // childId:app -> time the app was the focused window
+            usageQueue: [],           // Usage batches waiting to be logged to Allow2
+
+            // Extra time granted by the parent (today only)
+            extensions: [],           // [{ childId, agentId (null = all agents), minutes, day, startedAt, source }]
+
+            // Parent changes to the application catalog
+            catalog: {
+                overrides: {},        // built-in entry id -> { category }
+                entries: []           // parent-added entries
+            },
+
             // Activity log
             violations: [],
             activityLog: [],
@@ -93,12 +235,50 @@ function plugin(context) {
             lastSync: null
         };
 
+        // State persisted by earlier versions may lack newer keys
+        state.usage = state.usage || {};
+        state.usageQueue = state.usageQueue || [];
+        if (!state.childUsage) {
+            state.childUsage = {};
+            // Usage not yet logged by the per-agent ledger is logged from the child's
+            for (const tracking of Object.values(state.usage)) {
+                if (!tracking.pendingSeconds) continue;
+                const entry = getChildUsageEntry(tracking.agentId, tracking.childId, tracking.type);
+                entry.pendingSeconds += tracking.pendingSeconds;
+                entry.pendingSince = entry.pendingSince || tracking.pendingSince;
+                delete tracking.pendingSeconds;
+                delete tracking.pendingSince;
+            }
+        }
+        state.appUsage = state.appUsage || {};
+        state.categoryUsage = state.categoryUsage || {};
+        state.foregroundUsage = state.foregroundUsage || {};
+        state.catalog = state.catalog || { overrides: {}, entries: [] };
+        state.extensions = state.extensions || [];
+        parentPin = loadParentPin();
+        if (state.parentPin) {
+            // Earlier versions kept the PIN in the plugin state - move it out
+            parentPin = parentPin || state.parentPin;
+            saveParentPin(parentPin);
+            delete state.parentPin;
+            configurationUpdate(state);
+        }
+        state.settings.pinExtensionMinutes = state.settings.pinExtensionMinutes || 15;
+        state.settings.usageRetentionDays = state.settings.usageRetentionDays || 35;
+        state.settings.usageReportInterval = state.settings.usageReportInterval || 60000;
+
+        // Drop usage days outside the retention window
+        rolloverUsage(Date.now());
+
         // Get agent service from context
         agentService = context.services?.agent;
 
         // Setup IPC handlers FIRST - renderer communication must work regardless of agent service
         setupIPCHandlers();
 
+        // Log usage to Allow2 (replays anything queued before a restart)
+        startUsageReporting();
+
         if (!agentService) {
             console.error('[OS Plugin] Agent service not available - agent features will not function');
             statusUpdate({
@@ -122,6 +302,9 @@ function plugin(context) {
             // Setup event listeners
             setupEventListeners();
 
+            // Resume or expire focus mode that was active before a restart
+            restoreFocusMode();
+
             console.log('[OS Plugin] Loaded successfully');
             statusUpdate({
                 status: 'connected',
@@ -155,17 +338,23 @@ function plugin(context) {
                 platforms: sessionMonitor.platforms
             });
 
-            // Deploy process monitor
+            // Deploy process monitor (with the current application catalog)
+            await deployProcessMonitor(agent.id);
+
+            // Deploy foreground window monitor (platforms that can report it)
             await agentService.deployMonitor(agent.id, {
                 pluginId: 'allow2automate-operating-system',
-                monitorId: processMonitor.id,
-                script: processMonitor.script.toString(),
+                monitorId: foregroundMonitor.id,
+                script: foregroundMonitor.script.toString(),
                 interval: state.settings.monitorInterval,
-                platforms: processMonitor.platforms
+                platforms: foregroundMonitor.platforms
             });
 
             // Deploy action scripts
-            const actions = [killProcessAction, logoutUserAction, showWarningAction, lockSessionAction];
+            const actions = [
+                killProcessAction, logoutUserAction, showWarningAction, lockSessionAction,
+                promptPinAction, webFilterAction, networkBlockAction, networkUnblockAction
+            ];
             for (const action of actions) {
                 await agentService.deployAction(agent.id, {
                     pluginId: 'allow2automate-operating-system',
@@ -175,8 +364,9 @@ function plugin(context) {
                 });
             }
 
-            // Update agent state
+            // Update agent state (keeping link, focus mode and last session)
             state.agents[agent.id] = {
+                ...state.agents[agent.id],
                 id: agent.id,
                 hostname: agent.hostname,
                 platform: agent.platform,
@@ -184,8 +374,25 @@ function plugin(context) {
                 childId: state.agents[agent.id]?.childId || null,
                 lastSeen: Date.now()
             };
+            // The agent may have gained a firewall tool since it last failed
+            delete state.agents[agent.id].networkBlockUnavailable;
 
             configurationUpdate(state);
+
+            // Bring the hosts file in line with the linked child's web filter
+            await applyWebFilter(agent.id);
+
+            // Deploy the fast block watcher with the linked child's rules
+            blockWatcherConfigs.delete(agent.id);
+            await deployBlockWatcher(agent.id);
+
+            // Firewall rules don't survive a reboot - reinstall an active network block
+            const networkBlock = state.agents[agent.id].networkBlock;
+            if (networkBlock) {
+                delete state.agents[agent.id].networkBlock;
+                await blockNetwork(agent.id, networkBlock.childId, { notify: false });
+            }
+
             console.log(`[OS Plugin] Successfully deployed to ${agent.hostname}`);
 
         } catch (error) {
@@ -193,6 +400,246 @@ function plugin(context) {
         }
     }
 
+    /**
+     * Deploy the process monitor with the application catalog built in
+     */
+    async function deployProcessMonitor(agentId) {
+        await agentService.deployMonitor(agentId, {
+            pluginId: 'allow2automate-operating-system',
+            monitorId: processMonitor.id,
+            script: processMonitor.buildScript(getMonitorCatalog()),
+            interval: state.settings.monitorInterval,
+            platforms: processMonitor.platforms
+        });
+    }
+
+    /**
+     * Deploy the block watcher to an agent if its rules or accounts changed
+     * The watcher kills the child's blocked processes on the agent within a
+     * second (Linux), instead of waiting for the next process report. It is
+     * deployed with no rules while the agent isn't linked or kills are off.
+     * @param {string} agentId
+     * @param {Object} options
+     * @param {boolean} options.clear - Deploy with no rules (plugin disabled)
+     */
+    async function deployBlockWatcher(agentId, { clear = false } = {}) {
+        const agent = state.agents[agentId];
+        if (!agentService || !agent || agent.platform !== 'linux') return;
+
+        let config = { rules: [], usernames: [] };
+        if (!clear && agent.childId && agent.enabled !== false && state.settings.killOnViolation) {
+            config = {
+                rules: getBlockRules(state.children[agent.childId] || {})
+                    .filter(rule => !rule.platforms || rule.platforms.includes('linux'))
+                    .map(rule => ({
+                        label: rule.label,
+                        match: rule.match,
+                        pattern: rule.pattern,
+                        args: rule.args && { match: rule.args.match, pattern: rule.args.pattern }
+                    })),
+                usernames: getChildUsers(agentId, agent.childId)
+            };
+        }
+
+        const signature = JSON.stringify(config);
+        if (blockWatcherConfigs.get(agentId) === signature) return;
+        blockWatcherConfigs.set(agentId, signature);
+
+        try {
+            await agentService.deployMonitor(agentId, {
+                pluginId: 'allow2automate-operating-system',
+                monitorId: blockWatcher.id,
+                script: blockWatcher.buildScript(config),
+                interval: blockWatcher.interval,
+                platforms: blockWatcher.platforms
+            });
+        } catch (error) {
+            blockWatcherConfigs.delete(agentId);
+            console.error(`[OS Plugin] Error deploying the block watcher to ${agent.hostname || agentId}:`, error);
+        }
+    }
+
+    /**
+     * Redeploy the block watcher to every agent linked to a child (or every
+     * agent when no child is given)
+     */
+    async function deployBlockWatchers({ childId, clear = false } = {}) {
+        for (const agentId of Object.keys(state.agents)) {
+            if (!childId || state.agents[agentId].childId === childId) {
+                await deployBlockWatcher(agentId, { clear });
+            }
+        }
+    }
+
+    /**
+     * Handle a block watcher report - its kills are logged like kill-process
+     * responses, and the child is told why the app closed
+     */
+    async function handleBlockWatcherData(agentId, data) {
+        const agent = state.agents[agentId];
+        if (!agent) return;
+
+        if (data.error) {
+            console.error(`[OS Plugin] Block watcher on ${agent.hostname || agentId}: ${data.error}`);
+        }
+
+        for (const kill of data.kills || []) {
+            handleActionResponse({
+                pluginId: 'allow2automate-operating-system',
+                agentId,
+                actionId: 'kill-process',
+                success: kill.success,
+                error: kill.error,
+                args: {
+                    pid: kill.pid,
+                    processName: kill.processName,
+                    reason: `blocked_list:${kill.label}`
+                },
+                source: blockWatcher.id,
+                timestamp: kill.timestamp
+            });
+            if (!kill.success) continue;
+
+            await agentService.triggerAction(agentId, {
+                pluginId: 'allow2automate-operating-system',
+                actionId: 'show-warning',
+                args: {
+                    title: 'Application Blocked',
+                    message: `${kill.label} is not allowed right now`,
+                    urgency: 'normal'
+                }
+            });
+
+            if (context.sendToRenderer) {
+                context.sendToRenderer('osBlockedProcessDetected', {
+                    agentId,
+                    hostname: agent.hostname,
+                    processName: kill.processName
+                });
+            }
+        }
+    }
+
+    /**
+     * The merged application catalog as sent to the process monitor
+     * (entries that fail validation are left out)
+     */
+    function getMonitorCatalog() {
+        const entries = [];
+        for (const entry of appCatalog.buildCatalog(state.catalog)) {
+            try {
+                const rule = normalizeBlockRule(entry);
+                entries.push({
+                    id: entry.id,
+                    name: entry.name,
+                    type: appCatalog.getEntryType(entry),
+                    category: entry.category,
+                    browser: !!entry.browser,
+                    internetApp: !!entry.internetApp,
+                    match: rule.match,
+                    pattern: rule.pattern,
+                    platforms: rule.platforms,
+                    args: rule.args && { match: rule.args.match, pattern: rule.args.pattern }
+                });
+            } catch (error) {
+                console.error(`[OS Plugin] Ignoring catalog entry ${entry.id}: ${error.message}`);
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * Validate a parent-added catalog entry, throwing if it is invalid
+     * @returns {Object} The entry as stored
+     */
+    function normalizeCatalogEntry(entry) {
+        if (!entry?.name) {
+            throw new Error('Catalog entry needs a name');
+        }
+        if (!appCatalog.CATEGORIES.includes(entry.category)) {
+            throw new Error(`Unknown category "${entry.category}" - expected ${appCatalog.CATEGORIES.join(', ')}`);
+        }
+        if (appCatalog.BUILTIN_ENTRIES.some(builtin => builtin.id === entry.id)) {
+            throw new Error(`"${entry.id}" is a built-in entry - reclassify it instead`);
+        }
+        normalizeBlockRule(entry);
+
+        return {
+            id: entry.id || `custom-${crypto.randomBytes(4).toString('hex')}`,
+            name: entry.name,
+            category: entry.category,
+            browser: !!entry.browser,
+            internetApp: !!entry.internetApp,
+            match: entry.match || 'exact',
+            pattern: entry.pattern,
+            platforms: entry.platforms || null,
+            args: entry.args || null
+        };
+    }
+
+    /**
+     * Save a catalog change and push the new catalog to every agent
+     */
+    async function updateCatalog(message) {
+        configurationUpdate(state);
+        logActivity({
+            type: 'catalog_updated',
+            message,
+            timestamp: Date.now()
+        });
+
+        if (!agentService) return;
+
+        const agents = await agentService.listAgents();
+        for (const agent of agents) {
+            try {
+                await deployProcessMonitor(agent.id);
+            } catch (error) {
+                console.error(`[OS Plugin] Error updating the catalog on ${agent.hostname}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Applications in the latest process reports of agents linked to a child,
+     * one per catalog entry (or process name when not in the catalog)
+     * Desktop and system processes (the allowlist baseline) and other users'
+     * processes are left out
+     */
+    function getRecentApps() {
+        const catalog = appCatalog.buildCatalog(state.catalog);
+        const apps = new Map();
+
+        for (const [agentId, agent] of Object.entries(state.agents)) {
+            if (!agent.childId || !agent.currentProcessData) continue;
+
+            const baseline = normalizeRules(ALLOWLIST_BASELINE[agent.platform] || []);
+            const processes = getChildProcesses(agentId, agent.childId, agent.currentProcessData.processes || []);
+
+            for (const proc of processes) {
+                if (baseline.some(rule => matchesBlockRule(rule, proc, agent.platform))) continue;
+
+                const key = proc.catalogId || proc.name.toLowerCase();
+                const app = apps.get(key) || {
+                    name: proc.appName || proc.name,
+                    processName: proc.name,
+                    catalogId: proc.catalogId || null,
+                    category: proc.category || 'other',
+                    browser: proc.type === 'browser',
+                    internetApp: !!proc.internetApp,
+                    source: catalog.find(entry => entry.id === proc.catalogId)?.source || null,
+                    hostnames: []
+                };
+                if (!app.hostnames.includes(agent.hostname)) {
+                    app.hostnames.push(agent.hostname);
+                }
+                apps.set(key, app);
+            }
+        }
+
+        return Array.from(apps.values()).sort((a, b) => a.name.localeCompare(b.name));
+    }
+
     /**
      * Setup event listeners for agent events
      */
@@ -213,24 +660,19 @@ function plugin(context) {
                 handleSessionData(agentId, result);
             } else if (monitorId === 'os-process-monitor') {
                 handleProcessData(agentId, result);
+            } else if (monitorId === 'os-foreground-monitor') {
+                handleForegroundData(agentId, result);
+            } else if (monitorId === blockWatcher.id) {
+                handleBlockWatcherData(agentId, result).catch(error => {
+                    console.error(`[OS Plugin] Error handling block watcher data from ${agentId}:`, error);
+                });
             }
         });
 
         // Listen for action responses
         agentService.on('actionResponse', (data) => {
             if (data.pluginId !== 'allow2automate-operating-system') return;
-
-            console.log(`[OS Plugin] Action response from ${data.agentId}:`, data);
-
-            if (data.actionId === 'kill-process' && data.success) {
-                logViolation({
-                    type: 'process_killed',
-                    agentId: data.agentId,
-                    processName: data.args?.processName,
-                    reason: data.args?.reason || 'quota_enforcement',
-                    timestamp: Date.now()
-                });
-            }
+            handleActionResponse(data);
         });
 
         // Listen for Allow2 state changes
@@ -242,6 +684,62 @@ function plugin(context) {
         }
     }
 
+    /**
+     * Handle the result of an action run on an agent (also used for the
+     * kills the block watcher makes on its own)
+     */
+    function handleActionResponse(data) {
+        // Keep the entered PIN out of the logs
+        if (data.actionId === 'prompt-pin') {
+            handlePinResponse(data.agentId, data.result || data).catch(error => {
+                console.error(`[OS Plugin] Error handling PIN from ${data.agentId}:`, error);
+            });
+            return;
+        }
+
+        console.log(`[OS Plugin] Action response from ${data.agentId}:`, data);
+
+        if (data.actionId === 'web-filter') {
+            const result = data.result || data;
+            const hostname = state.agents[data.agentId]?.hostname || data.agentId;
+            if (!result.success) {
+                logActivity({
+                    type: 'web_filter',
+                    agentId: data.agentId,
+                    message: `Could not update the web filter on ${hostname}: ${result.error}`,
+                    timestamp: Date.now()
+                });
+            } else if (result.changed) {
+                logActivity({
+                    type: 'web_filter',
+                    agentId: data.agentId,
+                    message: result.entries > 0
+                        ? `Web filter updated on ${hostname} (${result.entries} hosts entries)`
+                        : `Web filter removed from ${hostname}`,
+                    timestamp: Date.now()
+                });
+            }
+            return;
+        }
+
+        if (data.actionId === 'network-block') {
+            handleNetworkBlockResponse(data.agentId, data.result || data).catch(error => {
+                console.error(`[OS Plugin] Error handling network block on ${data.agentId}:`, error);
+            });
+            return;
+        }
+
+        if (data.actionId === 'kill-process' && data.success) {
+            logViolation({
+                type: 'process_killed',
+                agentId: data.agentId,
+                processName: data.args?.processName,
+                reason: data.args?.reason || 'quota_enforcement',
+                timestamp: Date.now()
+            });
+        }
+    }
+
     /**
      * Handle session data from agent
      */
@@ -252,26 +750,67 @@ function plugin(context) {
         agent.lastSeen = Date.now();
         agent.currentSession = data;
 
-        // Map OS username to child ID
+        // Bedtime, schedules and daily usage follow the agent's local time
+        if (data.timeZone) {
+            agent.timeZone = data.timeZone;
+        }
+        if (typeof data.utcOffset === 'number') {
+            agent.utcOffset = data.utcOffset;
+        }
+
+        // Map OS username to child ID - parent accounts are never a child's
         const userMappings = state.userMappings[agentId] || {};
-        const childId = userMappings[data.username];
+        const parentAccounts = state.parentAccounts[agentId] || [];
+        const parentLoggedIn = parentAccounts.includes(data.username);
+        const childId = parentLoggedIn ? null : userMappings[data.username];
+
+        // Every session on the agent, each mapped to its own child
+        // Parent accounts are never restricted
+        const sessions = getReportedSessions(data);
+        const childSessions = new Map();
+        for (const session of sessions) {
+            const sessionChildId = userMappings[session.username];
+            if (!sessionChildId || parentAccounts.includes(session.username)) continue;
+
+            session.childId = sessionChildId;
+            if (!childSessions.has(sessionChildId)) {
+                childSessions.set(sessionChildId, []);
+            }
+            childSessions.get(sessionChildId).push(session);
+        }
+        agent.sessions = sessions;
+        forgetEndedSessions(agentId, sessions);
+
+        // Enforcement belongs to the foreground user it started for - drop it once they've gone
+        const current = enforcement.get(agentId);
+        if (current?.username && current.username !== data.username) {
+            resetEnforcement(agentId);
+        }
 
         if (childId) {
             agent.childId = childId;
+        } else if (parentLoggedIn) {
+            console.log(`[OS Plugin] Parent account logged in on ${agent.hostname}`);
+        }
 
-            // Check if this is a parent account
-            const parentAccounts = state.parentAccounts[agentId] || [];
-            if (parentAccounts.includes(data.username)) {
-                // Parent accounts are never restricted
-                console.log(`[OS Plugin] Parent account logged in on ${agent.hostname}`);
-                return;
-            }
+        // The watched accounts follow the link and the logged-in user
+        await deployBlockWatcher(agentId);
 
-            // Track session time
-            updateUsageTracking(agentId, childId, 'computer', data);
+        for (const [sessionChildId, list] of childSessions) {
+            // Track session time - only sessions in use count
+            const inUse = list.filter(session => session.active);
+            updateUsageTracking(agentId, sessionChildId, 'computer', {
+                active: inUse.length > 0,
+                isIdle: inUse.every(session => session.isIdle)
+            });
 
-            // Check quotas and bedtime with Allow2
-            await checkQuotasAndEnforce(agentId, childId, data);
+            if (sessionChildId === childId && list.some(session => session.username === data.username)) {
+                // Foreground child - check quotas and bedtime with Allow2 and run the ladder
+                await checkQuotasAndEnforce(agentId, sessionChildId, data);
+            } else {
+                // Background, remote or second-seat sessions
+                await checkSessionAccess(agentId, sessionChildId, list);
+            }
         }
 
         // Notify renderer
@@ -283,171 +822,1966 @@ function plugin(context) {
     }
 
     /**
-     * Handle process data from agent
+     * Sessions reported by an agent's session monitor
+     * Older monitors only report the foreground user
      */
-    async function handleProcessData(agentId, data) {
-        const agent = state.agents[agentId];
-        if (!agent || !agent.childId) return;
+    function getReportedSessions(data) {
+        if (Array.isArray(data.sessions) && data.sessions.length > 0) {
+            return data.sessions.filter(session => session.username);
+        }
 
-        const childId = agent.childId;
-        const childConfig = state.children[childId] || {};
+        if (!data.username) return [];
+
+        return [{
+            sessionId: data.sessionId,
+            username: data.username,
+            type: null,
+            seat: null,
+            active: true,
+            isIdle: data.isIdle,
+            idleTime: data.idleTime
+        }];
+    }
 
-        // Check for browsers (internet time tracking)
-        if (data.browsers && data.browsers.length > 0) {
-            updateUsageTracking(agentId, childId, 'internet', data);
+    /**
+     * Forget logouts sent to sessions that have since ended
+     */
+    function forgetEndedSessions(agentId, sessions) {
+        for (const key of sessionLogouts) {
+            const [keyAgentId, sessionId] = key.split('|');
+            if (keyAgentId === agentId && !sessions.some(session => String(session.sessionId) === sessionId)) {
+                sessionLogouts.delete(key);
+            }
         }
+    }
 
-        // Check for blocked processes
-        const blockedProcesses = childConfig.blockedProcesses || [];
-        for (const proc of data.processes || []) {
-            const procName = proc.name.toLowerCase();
-            const isBlocked = blockedProcesses.some(bp =>
-                procName.includes(bp.toLowerCase())
-            );
-
-            if (isBlocked) {
-                console.log(`[OS Plugin] Blocked process detected on ${agent.hostname}: ${proc.name}`);
+    /**
+     * Enforce on a child's sessions that aren't in the foreground
+     * (fast user switching, a second seat, SSH or RDP)
+     * Nobody is watching these, so they are logged out without warnings
+     * once time is up or bedtime is reached
+     */
+    async function checkSessionAccess(agentId, childId, sessions) {
+        const agent = state.agents[agentId];
 
-                // Kill the blocked process
-                if (state.settings.killOnViolation) {
-                    await agentService.triggerAction(agentId, {
-                        pluginId: 'allow2automate-operating-system',
-                        actionId: 'kill-process',
-                        args: {
-                            pid: proc.pid,
-                            processName: proc.name,
-                            reason: 'blocked_process'
-                        }
-                    });
-                }
+        const allowances = await getAllowances(agentId, childId, false);
+        const verdict = getAccessVerdict(agentId, childId, allowances);
+        const bedtime = getBedtimeStatus(childId, getAgentDate(agentId));
+        const reason = verdict.blocked || (bedtime?.active ? 'Bedtime reached' : null);
+        if (!reason) return;
 
-                // Show warning on agent
-                await agentService.triggerAction(agentId, {
-                    pluginId: 'allow2automate-operating-system',
-                    actionId: 'show-warning',
-                    args: {
-                        title: 'Application Blocked',
-                        message: `${proc.name} is not allowed right now`,
-                        urgency: 'normal'
-                    }
-                });
+        for (const session of sessions) {
+            const key = `${agentId}|${session.sessionId}`;
+            if (sessionLogouts.has(key)) continue;
+            sessionLogouts.add(key);
 
-                // Log violation
-                logViolation({
-                    type: 'blocked_process',
-                    agentId,
-                    processName: proc.name,
-                    reason: 'blocked_list',
-                    timestamp: Date.now()
-                });
+            const where = `${session.type || 'session'} ${session.sessionId ?? ''}`.trim();
+            console.log(`[OS Plugin] Logging out ${session.username} (${where}) on ${agent.hostname}: ${reason}`);
 
-                // Notify renderer
-                if (context.sendToRenderer) {
-                    context.sendToRenderer('osBlockedProcessDetected', {
-                        agentId,
-                        hostname: agent.hostname,
-                        processName: proc.name
-                    });
+            await agentService.triggerAction(agentId, {
+                pluginId: 'allow2automate-operating-system',
+                actionId: 'logout-user',
+                args: {
+                    username: session.username,
+                    sessionId: session.sessionId,
+                    reason
                 }
-            }
+            });
+
+            logViolation({
+                type: 'quota_exhausted',
+                agentId,
+                hostname: agent.hostname,
+                reason: `${reason} (${where})`,
+                timestamp: Date.now()
+            });
         }
     }
 
     /**
-     * Update usage tracking
+     * Handle process data from agent
      */
-    function updateUsageTracking(agentId, childId, type, data) {
-        const key = `${agentId}:${childId}:${type}`;
-        const tracking = usageTracking.get(key) || {
-            startTime: Date.now(),
-            lastUpdate: Date.now(),
-            totalSeconds: 0
+    async function handleProcessData(agentId, data) {
+        const agent = state.agents[agentId];
+        if (!agent) return;
+
+        // Keep the process list current even while the agent isn't linked
+        // (nothing is enforced from a list that missed a report)
+        const processes = applyProcessReport(agentId, data);
+        if (!processes || !agent.childId) return;
+
+        const childId = agent.childId;
+        const childConfig = state.children[childId] || {};
+
+        // Only the child's own processes are enforced - never a parent's or
+        // a system service's that happens to match
+        const childProcesses = getChildProcesses(agentId, childId, processes);
+        const childPids = new Set(childProcesses.map(proc => proc.pid));
+
+        trackAppRuns(agentId, childId, childProcesses, data.timestamp || Date.now());
+
+        // Keep the latest report for quota checks and browser blocking
+        // (browsers and online apps are only the child's, and apps the agent
+        // saw without network connections aren't online)
+        const { started, exited, ...report } = data;
+        agent.currentProcessData = {
+            ...report,
+            processes,
+            browsers: (data.browsers || []).filter(browser => childPids.has(browser.pid)),
+            internetApps: (data.internetApps || []).filter(app =>
+                childPids.has(app.pid) && app.networkActive !== false
+            )
         };
 
-        const now = Date.now();
-        const elapsed = (now - tracking.lastUpdate) / 1000;
+        // Check for browsers and online apps (internet time tracking) - agents
+        // reporting the focused window count internet time from that instead
+        if (isInternetActive(agent) && !hasForegroundTracking(agent)) {
+            updateUsageTracking(agentId, childId, 'internet', agent.currentProcessData);
+        }
 
-        // Only count if activity is present
-        if (type === 'internet' && data.browsers?.length > 0) {
-            tracking.totalSeconds += elapsed;
-        } else if (type === 'computer' && !data.isIdle) {
-            tracking.totalSeconds += elapsed;
-        } else if (type === 'computer' && data.isIdle && !state.settings.pauseOnIdle) {
-            tracking.totalSeconds += elapsed;
+        // Schedules active right now (e.g. "Homework Time")
+        const activeSchedules = getActiveSchedules(childId, getAgentDate(agentId));
+        if (activeSchedules.length === 0) {
+            scheduleWarnings.delete(agentId);
         }
 
-        tracking.lastUpdate = now;
-        usageTracking.set(key, tracking);
-    }
+        // Per-application limits and category quotas
+        await checkAppLimits(agentId, childId, childProcesses);
 
-    /**
-     * Check quotas with Allow2 and enforce if needed
-     */
-    async function checkQuotasAndEnforce(agentId, childId, sessionData) {
-        const allow2Client = services?.allow2Client;
-        if (!allow2Client) return;
+        // Check for blocked processes
+        const blockRules = getBlockRules(childConfig);
+        const allowRules = getAllowRules(childConfig, agent.platform);
 
-        const agent = state.agents[agentId];
-        if (!agent) return;
+        for (const proc of childProcesses) {
+            const rule = blockRules.find(r => matchesBlockRule(r, proc, agent.platform));
 
-        try {
-            // Check computer time allowance (without logging - just checking)
-            const computerAllowance = await allow2Client.checkActivity({
-                child_id: childId,
-                activity_type: 'computer',
-                log_usage: false,
-                check_only: true,
-                device_id: agentId
-            });
+            if (rule) {
+                console.log(`[OS Plugin] Blocked process detected on ${agent.hostname}: ${proc.name} (${rule.label})`);
 
-            // Check internet time if browsers are active
-            let internetAllowance = null;
-            if (agent.currentProcessData?.browsers?.length > 0) {
-                internetAllowance = await allow2Client.checkActivity({
-                    child_id: childId,
-                    activity_type: 'internet',
-                    log_usage: false,
-                    check_only: true,
-                    device_id: agentId
+                await blockProcess(agentId, proc, {
+                    message: `${rule.label} is not allowed right now`,
+                    reason: `blocked_list:${rule.label}`
                 });
+                continue;
             }
 
-            // Process warnings
-            const warnings = [];
+            // Allowlist mode - only listed applications may run in the child's
+            // session (never applied to processes of unknown owner)
+            if (allowRules && proc.user && !isAllowedProcess(allowRules, proc, agent.platform)) {
+                console.log(`[OS Plugin] ${proc.name} is not on the allowlist on ${agent.hostname}`);
 
-            if (computerAllowance) {
-                // Check for bans
-                if (computerAllowance.is_banned || computerAllowance.is_activity_blocked || !computerAllowance.allowed) {
-                    await enforceLogout(agentId, childId, 'Computer access blocked');
-                    return;
-                }
-
-                // Check remaining time
-                const remainingMinutes = computerAllowance.remaining_seconds / 60;
-                for (const warningTime of state.settings.warningTimes) {
-                    if (remainingMinutes <= warningTime && remainingMinutes > warningTime - 1) {
-                        await showTimeWarning(agentId, 'computer', remainingMinutes);
-                    }
-                }
+                await blockProcess(agentId, proc, {
+                    message: childConfig.allowlist.message ||
+                        `${proc.name} isn't on your list of apps. Ask a parent if you need it.`,
+                    reason: 'allowlist'
+                });
+                continue;
+            }
 
-                if (computerAllowance.remaining_seconds <= 0) {
-                    await enforceLogout(agentId, childId, 'Computer time exhausted');
-                    return;
-                }
+            // Categories only apply to recognised applications, never to
+            // uncategorised (system) processes
+            if (!proc.category || proc.category === 'other') continue;
 
-                // Schedule shutdown based on remaining time
-                scheduleShutdown(agentId, childId, computerAllowance.remaining_seconds);
+            // Check the process category against focus mode
+            if (agent.focusModeActive &&
+                (childConfig.focusMode?.blockedCategories || []).includes(proc.category)) {
+                await blockProcess(agentId, proc, {
+                    message: `${proc.name} is blocked while focus mode is on`,
+                    reason: 'focus_mode'
+                });
+                continue;
             }
 
-            if (internetAllowance && !internetAllowance.allowed) {
-                await blockBrowsers(agentId, childId);
-            }
+            // Check the process category against active schedules
+            const violated = activeSchedules.filter(schedule =>
+                !(schedule.allowedCategories || []).includes(proc.category)
+            );
+            if (violated.length === 0) continue;
 
-            // Check bedtime
-            await checkBedtime(agentId, childId);
+            const schedule = violated[0];
+            const kill = violated.some(v => (v.action || 'kill') === 'kill');
+
+            if (!kill) {
+                // Warn once per process while the schedule is active
+                const warned = scheduleWarnings.get(agentId) || new Set();
+                if (warned.has(proc.pid)) continue;
+                warned.add(proc.pid);
+                scheduleWarnings.set(agentId, warned);
+            }
+
+            console.log(`[OS Plugin] ${proc.name} (${proc.category}) not allowed during "${schedule.name}" on ${agent.hostname}`);
+
+            await blockProcess(agentId, proc, {
+                message: `${proc.name} is not allowed during ${schedule.name}`,
+                reason: `schedule:${schedule.name}`,
+                kill
+            });
+        }
+    }
+
+    /**
+     * Bring the parent's copy of an agent's process list up to date
+     * Full reports (and monitors that predate deltas) replace the list; delta
+     * reports add the processes that started and drop those that exited. A
+     * delta that doesn't follow the last report is dropped and a full list
+     * requested - applied to a stale list it would leave blocked apps running
+     * and send kills to pids that may have been reused.
+     * @returns {Array|null} The agent's processes, each with startedAt (ms),
+     *   or null when the list is out of date until the next full report
+     */
+    function applyProcessReport(agentId, data) {
+        const key = proc => `${proc.pid}:${proc.startTime || ''}`;
+        const timestamp = data.timestamp || Date.now();
+        const previous = processTables.get(agentId);
+        let processes;
+
+        if (data.report === 'delta') {
+            if (!previous || previous.stale || previous.snapshotId !== data.snapshotId ||
+                previous.sequence !== data.sequence - 1) {
+                requestFullProcessReport(agentId, previous);
+                return null;
+            }
+            processes = new Map(previous.processes);
+            for (const proc of data.exited || []) {
+                processes.delete(key(proc));
+            }
+            for (const proc of data.started || []) {
+                processes.set(key(proc), { ...proc, startedAt: proc.startTime || timestamp });
+            }
+        } else {
+            processes = new Map();
+            for (const proc of data.processes || []) {
+                const known = previous?.processes.get(key(proc));
+                processes.set(key(proc), { ...proc, startedAt: known?.startedAt || proc.startTime || timestamp });
+            }
+        }
+
+        processTables.set(agentId, { snapshotId: data.snapshotId, sequence: data.sequence, processes });
+        return Array.from(processes.values());
+    }
+
+    /**
+     * Mark an agent's process list out of date and redeploy its process
+     * monitor, which then starts over with a full list
+     * Asked again only if no full list arrived within a few reports.
+     */
+    function requestFullProcessReport(agentId, table) {
+        const now = Date.now();
+        if (table?.stale && now - table.stale < state.settings.monitorInterval * 3) return;
+
+        console.log(`[OS Plugin] Missed a process report from ${agentId} - requesting a full list`);
+        processTables.set(agentId, { ...table, processes: table?.processes || new Map(), stale: now });
+
+        deployProcessMonitor(agentId).catch(error => {
+            console.error(`[OS Plugin] Error requesting a full process list from ${agentId}:`, error);
+        });
+    }
+
+    /**
+     * Follow the child's applications starting and exiting on an agent
+     * An application (catalog entry, or process name) runs from its first
+     * process starting until its last one exits. Apps already running when
+     * tracking starts are picked up without a launch event.
+     */
+    function trackAppRuns(agentId, childId, childProcesses, timestamp) {
+        const agent = state.agents[agentId];
+        const baseline = normalizeRules(ALLOWLIST_BASELINE[agent.platform] || []);
+        const known = appRuns.get(agentId);
+
+        const running = new Map();
+        for (const proc of childProcesses) {
+            if (baseline.some(rule => matchesBlockRule(rule, proc, agent.platform))) continue;
+
+            const appKey = `${proc.catalogId || proc.name.toLowerCase()}:${proc.user || ''}`;
+            let run = running.get(appKey);
+            if (!run) {
+                run = {
+                    name: proc.appName || proc.name,
+                    processName: proc.name,
+                    catalogId: proc.catalogId || null,
+                    category: proc.category || 'other',
+                    user: proc.user,
+                    startedAt: known?.get(appKey)?.startedAt || proc.startedAt,
+                    pids: []
+                };
+                running.set(appKey, run);
+            } else if (!known?.has(appKey)) {
+                // Newly seen - the app started with its earliest process
+                run.startedAt = Math.min(run.startedAt, proc.startedAt);
+            }
+            run.pids.push(proc.pid);
+        }
+        appRuns.set(agentId, running);
+        if (!known) return;
+
+        for (const [appKey, run] of running) {
+            if (!known.has(appKey)) {
+                notifyAppRun(agentId, childId, 'launched', run, timestamp);
+            }
+        }
+        for (const [appKey, run] of known) {
+            if (!running.has(appKey)) {
+                notifyAppRun(agentId, childId, 'exited', run, timestamp);
+            }
+        }
+    }
+
+    /**
+     * Tell the renderer an application launched or exited (catalogued
+     * applications are also logged)
+     */
+    function notifyAppRun(agentId, childId, event, run, timestamp) {
+        const hostname = state.agents[agentId]?.hostname || agentId;
+        const durationSeconds = event === 'exited'
+            ? Math.max(0, Math.round((timestamp - run.startedAt) / 1000))
+            : undefined;
+
+        if (context.sendToRenderer) {
+            context.sendToRenderer(event === 'launched' ? 'osAppLaunched' : 'osAppExited', {
+                agentId,
+                hostname,
+                childId,
+                name: run.name,
+                processName: run.processName,
+                catalogId: run.catalogId,
+                category: run.category,
+                user: run.user,
+                startedAt: run.startedAt,
+                durationSeconds,
+                timestamp
+            });
+        }
+
+        if (run.catalogId) {
+            logActivity({
+                type: event === 'launched' ? 'app_launched' : 'app_exited',
+                message: event === 'launched'
+                    ? `${run.name} started on ${hostname}`
+                    : `${run.name} closed on ${hostname} after ${Math.round(durationSeconds / 60)} min`,
+                agentId,
+                timestamp
+            });
+        }
+    }
+
+    /**
+     * Handle foreground window data from agent
+     * Time the child's focused application was in front is added to the
+     * foreground ledger, and internet time only counts while a browser is focused
+     */
+    async function handleForegroundData(agentId, data) {
+        const agent = state.agents[agentId];
+        if (!agent || !agent.childId) return;
+
+        const childId = agent.childId;
+        const now = Date.now();
+        const previous = agent.foreground;
+
+        // The focused application, when it is the child's
+        let focused = null;
+        if (data.available && data.pid) {
+            const reported = (agent.currentProcessData?.processes || []).find(proc => proc.pid === data.pid);
+            // The process monitor's name first - it is the one rules and
+            // the usage ledgers use
+            const proc = {
+                ...reported,
+                pid: data.pid,
+                name: reported?.name || data.name || data.windowClass || '',
+                path: data.path || reported?.path,
+                args: data.args || reported?.args,
+                user: data.user || reported?.user
+            };
+
+            if (getChildProcesses(agentId, childId, [proc]).length > 0) {
+                const entry = findCatalogEntry(proc, agent.platform);
+                focused = {
+                    pid: proc.pid,
+                    name: proc.name,
+                    path: proc.path,
+                    args: proc.args,
+                    user: proc.user,
+                    appName: entry?.name || proc.name,
+                    catalogId: entry?.id || null,
+                    category: entry?.category || 'other',
+                    browser: !!entry?.browser,
+                    internetApp: !!entry?.internetApp &&
+                        (agent.currentProcessData?.internetApps || []).some(app => app.pid === proc.pid),
+                    windowTitle: data.windowTitle
+                };
+            }
+        }
+
+        agent.foreground = {
+            available: !!data.available,
+            method: data.method,
+            reason: data.reason,
+            receivedAt: now,
+            focused
+        };
+
+        const idle = state.settings.pauseOnIdle && !!agent.currentSession?.isIdle;
+        const maxGap = state.settings.monitorInterval * 3;
+        if (focused && !idle && previous?.available && now - previous.receivedAt <= maxGap) {
+            const shift = getAgentDate(agentId, now).getTime() - now;
+            const entry = getForegroundUsageEntry(agentId, childId, focused);
+            addUncountedUsage(entry, previous.receivedAt, now, shift);
+            entry.lastAgentId = agentId;
+        }
+
+        if (data.available) {
+            updateUsageTracking(agentId, childId, 'internet', {
+                browsers: focused?.browser && !idle ? [focused] : [],
+                internetApps: focused?.internetApp && !idle ? [focused] : []
+            });
+        }
+    }
+
+    /**
+     * Whether an agent reports the focused window (recently enough to rely on)
+     */
+    function hasForegroundTracking(agent) {
+        return !!agent.foreground?.available &&
+            Date.now() - agent.foreground.receivedAt <= state.settings.monitorInterval * 3;
+    }
+
+    /**
+     * Whether the child is using the internet on an agent (a browser or an
+     * online app) - the focused window when the agent reports it, otherwise
+     * any running
+     */
+    function isInternetActive(agent) {
+        if (hasForegroundTracking(agent)) {
+            return !!agent.foreground.focused?.browser || !!agent.foreground.focused?.internetApp;
+        }
+        return agent.currentProcessData?.browsers?.length > 0 ||
+            agent.currentProcessData?.internetApps?.length > 0;
+    }
+
+    /**
+     * What the child has in front on an agent, for the renderer
+     */
+    function getForegroundSummary(agent) {
+        if (!agent || !hasForegroundTracking(agent)) return null;
+
+        const { focused } = agent.foreground;
+        return focused
+            ? { appName: focused.appName, category: focused.category, windowTitle: focused.windowTitle }
+            : { appName: null };
+    }
+
+    /**
+     * A child's foreground ledger entry for an application across all agents
+     * Applications in the catalog are keyed by entry, others by process name
+     */
+    function getForegroundUsageEntry(agentId, childId, app) {
+        const key = `${childId}:${app.catalogId || app.name.toLowerCase()}`;
+        const entry = state.foregroundUsage[key] || (state.foregroundUsage[key] = {
+            childId,
+            days: {},                 // YYYY-MM-DD -> seconds
+            intervals: [],            // Recently counted [start, end) intervals, merged
+            lastAgentId: agentId
+        });
+
+        // Follow renames and reclassification in the catalog
+        entry.name = app.appName;
+        entry.category = app.category;
+        return entry;
+    }
+
+    /**
+     * The catalog entry for a process, matched the way the process monitor does
+     */
+    function findCatalogEntry(proc, platform) {
+        for (const entry of getMonitorCatalog()) {
+            try {
+                if (matchesBlockRule(normalizeBlockRule(entry), proc, platform)) return entry;
+            } catch (error) {
+                // Invalid entries are skipped (already logged)
+            }
+        }
+        return null;
+    }
+
+    /**
+     * The child's OS accounts on an agent (lowercase)
+     * The usernames mapped to the child, or the logged-in user when none are
+     * mapped. Parent accounts are always exempt.
+     */
+    function getChildUsers(agentId, childId) {
+        const parents = (state.parentAccounts[agentId] || []).map(username => username.toLowerCase());
+        let childUsers = Object.keys(state.userMappings[agentId] || {})
+            .filter(username => state.userMappings[agentId][username] === childId)
+            .map(username => username.toLowerCase());
+
+        const sessionUser = state.agents[agentId]?.currentSession?.username?.toLowerCase();
+        if (childUsers.length === 0 && sessionUser) {
+            childUsers = [sessionUser];
+        }
+        return childUsers.filter(username => !parents.includes(username));
+    }
+
+    /**
+     * The processes in a report owned by the child's OS accounts (see
+     * getChildUsers). Processes of unknown owner only count when the agent
+     * doesn't report owners at all (older monitors).
+     */
+    function getChildProcesses(agentId, childId, processes) {
+        const childUsers = getChildUsers(agentId, childId);
+
+        const ownersReported = processes.some(proc => proc.user);
+        return processes.filter(proc => {
+            if (!proc.user) return !ownersReported;
+            return childUsers.includes(proc.user.toLowerCase());
+        });
+    }
+
+    /**
+     * Normalize a blocked-process rule, throwing if it is invalid
+     * Plain strings from older configurations are exact names, or globs when
+     * they contain * or ?
+     * @param {string|Object} rule - { label, match, pattern, platforms, args }
+     *   where args is a string the command line must contain, or
+     *   { match: 'contains'|'glob'|'regex', pattern }
+     */
+    function normalizeBlockRule(rule) {
+        if (typeof rule === 'string') {
+            rule = { match: /[*?]/.test(rule) ? 'glob' : 'exact', pattern: rule };
+        }
+
+        if (!rule || typeof rule.pattern !== 'string' || !rule.pattern.trim()) {
+            throw new Error('Block rule needs a pattern');
+        }
+
+        const match = rule.match || 'exact';
+        if (!BLOCK_RULE_MATCH_TYPES.includes(match)) {
+            throw new Error(`Unknown block rule match type "${match}" - expected ${BLOCK_RULE_MATCH_TYPES.join(', ')}`);
+        }
+        if (rule.platforms && !Array.isArray(rule.platforms)) {
+            throw new Error('Block rule platforms must be a list (win32, darwin, linux)');
+        }
+
+        let args = null;
+        if (rule.args) {
+            args = typeof rule.args === 'string'
+                ? { match: 'contains', pattern: rule.args }
+                : { match: rule.args.match || 'contains', pattern: rule.args.pattern };
+            if (!['contains', 'glob', 'regex'].includes(args.match) || typeof args.pattern !== 'string') {
+                throw new Error('Block rule args must be a string or { match: contains|glob|regex, pattern }');
+            }
+        }
+
+        const normalized = {
+            label: rule.label || rule.pattern,
+            match,
+            pattern: rule.pattern,
+            platforms: rule.platforms || null,
+            args
+        };
+
+        // Compile up front so bad patterns are reported when the rule is saved
+        normalized.test = compileRuleTest(match, rule.pattern);
+        if (args) {
+            args.test = compileRuleTest(args.match, args.pattern);
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Build a tester for one rule pattern
+     * @returns {Function} (value) => boolean
+     */
+    function compileRuleTest(match, pattern) {
+        if (match === 'regex') {
+            let regex;
+            try {
+                regex = new RegExp(pattern, 'i');
+            } catch (error) {
+                throw new Error(`Invalid regular expression "${pattern}": ${error.message}`);
+            }
+            return value => regex.test(value);
+        }
+
+        if (match === 'glob') {
+            const source = pattern
+                .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+                .replace(/\*/g, '.*')
+                .replace(/\?/g, '.');
+            const regex = new RegExp(`^${source}$`, 'i');
+            return value => regex.test(value);
+        }
+
+        if (match === 'contains') {
+            const needle = pattern.toLowerCase();
+            return value => value.toLowerCase().includes(needle);
+        }
+
+        if (match === 'path') {
+            const prefix = normalizePath(pattern);
+            return value => normalizePath(value).startsWith(prefix);
+        }
+
+        // exact - the .exe suffix is optional on either side
+        const name = pattern.toLowerCase().replace(/\.exe$/, '');
+        return value => value.toLowerCase().replace(/\.exe$/, '') === name;
+    }
+
+    /**
+     * Compare paths case-insensitively with forward slashes
+     */
+    function normalizePath(path) {
+        return String(path).replace(/\\/g, '/').toLowerCase();
+    }
+
+    /**
+     * A child's valid blocked-process rules (invalid ones are skipped)
+     */
+    function getBlockRules(childConfig) {
+        return normalizeRules(childConfig.blockedProcesses || []);
+    }
+
+    /**
+     * Rules for allowlist mode: the platform baseline plus the child's
+     * allowed applications, or null when allowlist mode is off
+     */
+    function getAllowRules(childConfig, platform) {
+        if (!childConfig.allowlist?.enabled) return null;
+
+        return normalizeRules([
+            ...(ALLOWLIST_BASELINE[platform] || []),
+            ...(childConfig.allowlist.allowedProcesses || [])
+        ]);
+    }
+
+    /**
+     * Normalize a list of process rules, skipping invalid ones
+     */
+    function normalizeRules(list) {
+        const rules = [];
+        for (const rule of list) {
+            try {
+                rules.push(normalizeBlockRule(rule));
+            } catch (error) {
+                console.error(`[OS Plugin] Ignoring block rule: ${error.message}`);
+            }
+        }
+        return rules;
+    }
+
+    /**
+     * Whether allowlist rules allow a reported process
+     * Killing a desktop process by mistake ends the child's session, so the
+     * executable's file name is tried too - Linux cuts reported names to 15
+     * characters, and a script's name isn't its executable's
+     */
+    function isAllowedProcess(rules, proc, platform) {
+        if (rules.some(rule => matchesBlockRule(rule, proc, platform))) return true;
+
+        const exeName = proc.path && proc.path.replace(/ \(deleted\)$/, '').split(/[\/\\]/).pop();
+        if (!exeName || exeName === proc.name) return false;
+        return rules.some(rule => matchesBlockRule(rule, { ...proc, name: exeName }, platform));
+    }
+
+    /**
+     * Whether a normalized block rule matches a reported process
+     */
+    function matchesBlockRule(rule, proc, platform) {
+        if (rule.platforms && !rule.platforms.includes(platform)) return false;
+
+        let target = proc.name || '';
+        if (rule.match === 'path' || (rule.match === 'glob' && /[\/\\]/.test(rule.pattern))) {
+            if (!proc.path) return false;
+            target = proc.path;
+        }
+        if (!rule.test(target)) return false;
+
+        if (rule.args) {
+            return !!proc.args && rule.args.test(proc.args);
+        }
+        return true;
+    }
+
+    /**
+     * Normalize a per-application daily limit, throwing if it is invalid
+     * Limits sharing a label share one daily usage total, so an application
+     * can have different limits on different days
+     * @param {Object} limit - A block rule ({ label, match, pattern, platforms, args })
+     *   plus minutes per day and optionally the days it applies on (default: every day)
+     */
+    function normalizeAppLimit(limit) {
+        const rule = normalizeBlockRule(limit);
+
+        if (typeof limit.minutes !== 'number' || !(limit.minutes >= 0)) {
+            throw new Error(`App limit "${rule.label}" needs a number of minutes per day`);
+        }
+        if (limit.days && (!Array.isArray(limit.days) || limit.days.some(day => !DAY_NAMES.includes(day)))) {
+            throw new Error(`App limit "${rule.label}" days must be a list of ${DAY_NAMES.join(', ')}`);
+        }
+
+        return { ...rule, minutes: limit.minutes, days: limit.days || null };
+    }
+
+    /**
+     * A child's valid application limits grouped by label (invalid ones are skipped)
+     * @returns {Map} label -> [limit, ...]
+     */
+    function getAppLimits(childConfig) {
+        const limits = new Map();
+        for (const limit of childConfig.appLimits || []) {
+            try {
+                const normalized = normalizeAppLimit(limit);
+                limits.set(normalized.label, [...(limits.get(normalized.label) || []), normalized]);
+            } catch (error) {
+                console.error(`[OS Plugin] Ignoring app limit: ${error.message}`);
+            }
+        }
+        return limits;
+    }
+
+    /**
+     * The limit for an application on the given (agent-local) date, or null
+     * when it isn't limited that day
+     */
+    function getAppLimitForDay(limits, date) {
+        const dayName = DAY_NAMES[date.getDay()];
+        return limits.find(limit => !limit.days || limit.days.includes(dayName)) || null;
+    }
+
+    /**
+     * A child's valid category quotas (invalid ones are skipped)
+     * @returns {Object} category -> minutes per day
+     */
+    function getCategoryQuotas(childConfig) {
+        const quotas = {};
+        for (const [category, minutes] of Object.entries(childConfig.categoryQuotas || {})) {
+            try {
+                validateCategoryQuota(category, minutes);
+                quotas[category] = minutes;
+            } catch (error) {
+                console.error(`[OS Plugin] Ignoring category quota: ${error.message}`);
+            }
+        }
+        return quotas;
+    }
+
+    /**
+     * Throw if a category quota is invalid
+     */
+    function validateCategoryQuota(category, minutes) {
+        if (!category || category === 'other') {
+            throw new Error(`"${category}" isn't a category that can have a quota`);
+        }
+        if (typeof minutes !== 'number' || !(minutes >= 0)) {
+            throw new Error(`Category quota "${category}" needs a number of minutes per day`);
+        }
+    }
+
+    /**
+     * A child's usage ledger entry for a limited application or category
+     * across all agents
+     * @param {Object} ledger - state.appUsage or state.categoryUsage
+     */
+    function getLimitUsageEntry(ledger, agentId, childId, name) {
+        const key = `${childId}:${name}`;
+        return ledger[key] || (ledger[key] = {
+            childId,
+            name,
+            days: {},                 // YYYY-MM-DD -> seconds
+            intervals: [],            // Recently counted [start, end) intervals, merged
+            warned: null,             // { day, minutes: [...] } warnings already shown
+            lastAgentId: agentId
+        });
+    }
+
+    /**
+     * The child's limited applications and categories
+     * @returns {Array} [{ key, ledger, name, category, getMinutes(date), matches(proc) }]
+     *   where getMinutes returns the limit on an agent-local date, or null when
+     *   it isn't limited that day
+     */
+    function getUsageLimits(childId, platform) {
+        const childConfig = state.children[childId] || {};
+        const limits = [];
+
+        for (const [label, appLimits] of getAppLimits(childConfig)) {
+            limits.push({
+                key: `app:${label}`,
+                ledger: state.appUsage,
+                name: label,
+                category: false,
+                getMinutes: date => getAppLimitForDay(appLimits, date)?.minutes ?? null,
+                matches: proc => appLimits.some(appLimit => matchesBlockRule(appLimit, proc, platform))
+            });
+        }
+
+        for (const [category, minutes] of Object.entries(getCategoryQuotas(childConfig))) {
+            limits.push({
+                key: `category:${category}`,
+                ledger: state.categoryUsage,
+                name: category,
+                category: true,
+                getMinutes: () => minutes,
+                matches: proc => proc.category === category
+            });
+        }
+
+        return limits;
+    }
+
+    /**
+     * Track running time of the child's limited applications and categories,
+     * warn as each daily limit runs out and kill what's running once it is reached
+     * @param {string} agentId
+     * @param {string} childId
+     * @param {Array} processes - The child's processes from the latest report
+     */
+    async function checkAppLimits(agentId, childId, processes) {
+        const agent = state.agents[agentId];
+
+        const now = Date.now();
+        const local = getAgentDate(agentId, now);
+        const shift = local.getTime() - now;
+        const day = getDateKey(local);
+
+        // Time between two reports that both saw it in use counts - in use is
+        // focused when the agent reports the focused window, otherwise running
+        const maxGap = state.settings.monitorInterval * 3;
+        const lastSeen = agent.limitsSeen || {};
+        const focused = hasForegroundTracking(agent) ? agent.foreground.focused : undefined;
+        agent.limitsSeen = {};
+
+        for (const limit of getUsageLimits(childId, agent.platform)) {
+            const running = processes.filter(limit.matches);
+            const inUse = focused === undefined ? running.length > 0 : !!focused && limit.matches(focused);
+            if (running.length === 0 && !inUse) continue;
+
+            const entry = getLimitUsageEntry(limit.ledger, agentId, childId, limit.name);
+            if (inUse) {
+                if (lastSeen[limit.key] && now - lastSeen[limit.key] <= maxGap) {
+                    addUncountedUsage(entry, lastSeen[limit.key], now, shift);
+                }
+                entry.lastAgentId = agentId;
+                agent.limitsSeen[limit.key] = now;
+            }
+            if (running.length === 0) continue;
+
+            const limitMinutes = limit.getMinutes(local);
+            if (limitMinutes === null) continue;
+
+            const remainingSeconds = limitMinutes * 60 - (entry.days[day] || 0);
+            if (remainingSeconds <= 0) {
+                console.log(`[OS Plugin] ${limit.name} limit reached on ${agent.hostname}`);
+
+                for (const proc of running) {
+                    await blockProcess(agentId, proc, {
+                        message: limit.category
+                            ? `${proc.name} was closed - ${limit.name} time is up for today`
+                            : `${limit.name} time is up for today`,
+                        reason: limit.category ? `category_quota:${limit.name}` : `app_limit:${limit.name}`
+                    });
+                }
+                continue;
+            }
+
+            // Warn once per threshold per day
+            const minutesRemaining = remainingSeconds / 60;
+            const due = state.settings.warningTimes.filter(minutes => minutesRemaining <= minutes);
+            if (!entry.warned || entry.warned.day !== day) {
+                entry.warned = { day, minutes: [] };
+            }
+            if (due.length === 0 || due.every(minutes => entry.warned.minutes.includes(minutes))) continue;
+            entry.warned.minutes.push(...due.filter(minutes => !entry.warned.minutes.includes(minutes)));
+
+            // Categories are warned about like computer time
+            if (limit.category) {
+                await showTimeWarning(agentId, limit.name, minutesRemaining);
+                continue;
+            }
+
+            const minutes = Math.ceil(minutesRemaining);
+            await agentService.triggerAction(agentId, {
+                pluginId: 'allow2automate-operating-system',
+                actionId: 'show-warning',
+                args: {
+                    title: `${limit.name} Time`,
+                    message: `You have ${minutes} minute${minutes === 1 ? '' : 's'} of ${limit.name} left today.`,
+                    urgency: minutes <= 5 ? 'critical' : 'normal'
+                }
+            });
+
+            if (context.sendToRenderer) {
+                context.sendToRenderer('osAppLimitWarning', {
+                    agentId,
+                    childId,
+                    label: limit.name,
+                    minutes
+                });
+            }
+        }
+    }
+
+    /**
+     * Today's usage and remaining time of each of a child's limited
+     * applications and categories
+     * "Today" is the day on the agent that last ran them
+     * @returns {Object} { apps: [...], categories: [...] } of
+     *   { name, usedSeconds, limitMinutes, remainingSeconds }
+     */
+    function getUsageLimitStatus(childId) {
+        const agentIds = Object.keys(state.agents).filter(id => state.agents[id].childId === childId);
+        const status = { apps: [], categories: [] };
+
+        for (const limit of getUsageLimits(childId, state.agents[agentIds[0]]?.platform)) {
+            const entry = limit.ledger[`${childId}:${limit.name}`];
+            const local = getAgentDate(entry?.lastAgentId || agentIds[0]);
+            const usedSeconds = entry?.days[getDateKey(local)] || 0;
+            const minutes = limit.getMinutes(local);
+
+            (limit.category ? status.categories : status.apps).push({
+                name: limit.name,
+                usedSeconds: Math.round(usedSeconds),
+                limitMinutes: minutes,
+                remainingSeconds: minutes === null ? null : Math.max(0, Math.round(minutes * 60 - usedSeconds))
+            });
+        }
+
+        return status;
+    }
+
+    /**
+     * Kill (or just warn about) a process that is not allowed, log the
+     * violation and notify the renderer
+     * @param {string} agentId
+     * @param {Object} proc - Process from the process monitor ({ pid, name })
+     * @param {Object} options
+     * @param {string} options.message - Message shown on the agent
+     * @param {string} options.reason - Violation reason
+     * @param {boolean} options.kill - Kill the process (default: killOnViolation setting)
+     */
+    async function blockProcess(agentId, proc, { message, reason, kill = true }) {
+        const agent = state.agents[agentId];
+
+        // Kill the blocked process
+        if (kill && state.settings.killOnViolation) {
+            await agentService.triggerAction(agentId, {
+                pluginId: 'allow2automate-operating-system',
+                actionId: 'kill-process',
+                args: {
+                    pid: proc.pid,
+                    processName: proc.name,
+                    reason: 'blocked_process'
+                }
+            });
+        }
+
+        // Show warning on agent
+        await agentService.triggerAction(agentId, {
+            pluginId: 'allow2automate-operating-system',
+            actionId: 'show-warning',
+            args: {
+                title: 'Application Blocked',
+                message,
+                urgency: 'normal'
+            }
+        });
+
+        // Log violation
+        logViolation({
+            type: 'blocked_process',
+            agentId,
+            processName: proc.name,
+            reason,
+            timestamp: Date.now()
+        });
+
+        // Notify renderer
+        if (context.sendToRenderer) {
+            context.sendToRenderer('osBlockedProcessDetected', {
+                agentId,
+                hostname: agent?.hostname,
+                processName: proc.name
+            });
+        }
+    }
+
+    /**
+     * Apply the linked child's web filter (blocked domains and SafeSearch)
+     * to an agent's hosts file
+     * The hosts file applies to everyone on the machine, so it follows the
+     * child linked to the agent. Without a linked child or filter (or when
+     * clearing) the managed block is removed and the original file restored.
+     * @param {string} agentId
+     * @param {Object} options
+     * @param {boolean} options.clear - Remove the filter regardless of settings
+     */
+    async function applyWebFilter(agentId, { clear = false } = {}) {
+        if (!agentService) return;
+
+        const agent = state.agents[agentId];
+        const webFilter = !clear && agent?.childId && agent.enabled !== false
+            ? state.children[agent.childId]?.webFilter
+            : null;
+        const active = !!webFilter && webFilter.enabled !== false;
+
+        // Settings saved through the IPC are already normalized, but state can
+        // also come from configurationUpdate - nothing unchecked reaches the hosts file
+        const blockedDomains = [];
+        for (const value of active ? webFilter.blockedDomains || [] : []) {
+            try {
+                const domain = normalizeDomain(value);
+                if (!blockedDomains.includes(domain)) blockedDomains.push(domain);
+            } catch (error) {
+                console.error(`[OS Plugin] Ignoring blocked domain: ${error.message}`);
+            }
+        }
+
+        try {
+            await agentService.triggerAction(agentId, {
+                pluginId: 'allow2automate-operating-system',
+                actionId: 'web-filter',
+                args: {
+                    blockedDomains,
+                    safeSearch: active && !!webFilter.safeSearch
+                }
+            });
+        } catch (error) {
+            console.error(`[OS Plugin] Error applying web filter on ${agent?.hostname || agentId}:`, error);
+        }
+    }
+
+    /**
+     * Apply (or remove) the web filter on every agent
+     */
+    async function applyWebFilters({ clear = false } = {}) {
+        if (!agentService) return;
+
+        try {
+            const agents = await agentService.listAgents();
+            for (const agent of agents) {
+                await applyWebFilter(agent.id, { clear });
+            }
+        } catch (error) {
+            console.error('[OS Plugin] Error applying web filters:', error);
+        }
+    }
+
+    /**
+     * Normalize a domain for the web filter, throwing if it isn't one
+     * URLs are accepted ("https://www.example.com/page" -> "www.example.com")
+     */
+    function normalizeDomain(value) {
+        const domain = String(value || '').trim().toLowerCase()
+            .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+            .replace(/[\/?#:].*$/, '')
+            .replace(/\.$/, '');
+
+        if (!/^([a-z0-9]([a-z0-9-]*[a-z0-9])?\.)+[a-z0-9-]{2,}$/.test(domain) || domain.length > 253) {
+            throw new Error(`Invalid domain "${value}" (wildcards are not supported)`);
+        }
+        return domain;
+    }
+
+    /**
+     * Turn focus mode on or off for an agent
+     * @param {string} agentId
+     * @param {boolean} enabled
+     * @param {Object} options
+     * @param {number} options.durationMinutes - Auto-expire after this many minutes (optional)
+     * @param {string} options.reason - Why focus mode changed (for the activity log)
+     */
+    async function setFocusMode(agentId, enabled, { durationMinutes, reason } = {}) {
+        const agent = state.agents[agentId];
+        if (!agent) return;
+
+        const timer = focusTimers.get(agentId);
+        if (timer) {
+            clearTimeout(timer);
+            focusTimers.delete(agentId);
+        }
+
+        const wasActive = !!agent.focusModeActive;
+        agent.focusModeActive = enabled;
+        agent.focusModeStartedAt = enabled ? (wasActive ? agent.focusModeStartedAt : Date.now()) : null;
+        agent.focusModeExpiresAt = enabled && durationMinutes > 0
+            ? Date.now() + durationMinutes * 60000
+            : null;
+
+        if (agent.focusModeExpiresAt) {
+            scheduleFocusModeExpiry(agentId);
+        }
+
+        if (enabled !== wasActive) {
+            await notifyFocusModeChange(agentId, reason);
+        }
+
+        configurationUpdate(state);
+    }
+
+    /**
+     * Schedule automatic expiry of focus mode for an agent
+     */
+    function scheduleFocusModeExpiry(agentId) {
+        const agent = state.agents[agentId];
+        const delay = Math.max(0, agent.focusModeExpiresAt - Date.now());
+
+        focusTimers.set(agentId, setTimeout(() => {
+            focusTimers.delete(agentId);
+            setFocusMode(agentId, false, { reason: 'expired' }).catch(error => {
+                console.error(`[OS Plugin] Error ending focus mode on ${agentId}:`, error);
+            });
+        }, delay));
+    }
+
+    /**
+     * Resume focus mode timers after a restart
+     */
+    function restoreFocusMode() {
+        for (const [agentId, agent] of Object.entries(state.agents)) {
+            if (agent.focusModeActive && agent.focusModeExpiresAt) {
+                scheduleFocusModeExpiry(agentId);
+            }
+        }
+    }
+
+    /**
+     * Tell the child (and the parent UI) that focus mode started or ended
+     */
+    async function notifyFocusModeChange(agentId, reason) {
+        const agent = state.agents[agentId];
+        const active = agent.focusModeActive;
+        const until = agent.focusModeExpiresAt
+            ? ` until ${new Date(agent.focusModeExpiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+            : '';
+
+        if (agentService) {
+            await agentService.triggerAction(agentId, {
+                pluginId: 'allow2automate-operating-system',
+                actionId: 'show-warning',
+                args: {
+                    title: active ? 'Focus Mode On' : 'Focus Mode Off',
+                    message: active
+                        ? `Distracting apps are blocked${until}. Time to concentrate!`
+                        : 'Focus mode has ended.',
+                    urgency: 'normal'
+                }
+            });
+        }
+
+        logActivity({
+            type: active ? 'focus_mode_started' : 'focus_mode_ended',
+            message: `Focus mode ${active ? 'started' : 'ended'} on ${agent.hostname || agentId}${reason ? ` (${reason})` : ''}`,
+            agentId,
+            timestamp: Date.now()
+        });
+
+        if (context.sendToRenderer) {
+            context.sendToRenderer('osFocusModeChanged', {
+                agentId,
+                focusModeActive: active,
+                focusModeExpiresAt: agent.focusModeExpiresAt
+            });
+        }
+    }
+
+    /**
+     * Parse an "HH:MM" time into minutes after midnight
+     */
+    function parseTimeOfDay(time) {
+        const [hour, minute] = String(time).split(':').map(Number);
+        return (hour || 0) * 60 + (minute || 0);
+    }
+
+    /**
+     * The agent's local wall-clock time as a Date (read with the usual local
+     * getters), from the time zone or UTC offset its session monitor reports
+     * Falls back to this machine's time until the agent has reported
+     * @param {string} agentId
+     * @param {number} time - Timestamp to convert (default: now)
+     */
+    function getAgentDate(agentId, time = Date.now()) {
+        const agent = state.agents[agentId];
+
+        if (agent?.timeZone) {
+            try {
+                const parts = {};
+                const formatter = new Intl.DateTimeFormat('en-US', {
+                    timeZone: agent.timeZone,
+                    hourCycle: 'h23',
+                    year: 'numeric',
+                    month: 'numeric',
+                    day: 'numeric',
+                    hour: 'numeric',
+                    minute: 'numeric',
+                    second: 'numeric'
+                });
+                for (const part of formatter.formatToParts(time)) {
+                    parts[part.type] = Number(part.value);
+                }
+                return new Date(parts.year, parts.month - 1, parts.day,
+                    parts.hour, parts.minute, parts.second, time % 1000);
+            } catch (error) {
+                // Zone unknown to this machine - use the reported offset
+            }
+        }
+
+        if (typeof agent?.utcOffset === 'number') {
+            const offset = agent.utcOffset + new Date(time).getTimezoneOffset();
+            return new Date(time + offset * 60000);
+        }
+
+        return new Date(time);
+    }
+
+    /**
+     * Check whether a schedule window covers the given time
+     * Windows whose end is before their start run past midnight
+     */
+    function isScheduleActive(schedule, now) {
+        if (schedule.enabled === false) return false;
+
+        const days = schedule.days || DAY_NAMES;
+        const today = DAY_NAMES[now.getDay()];
+        const yesterday = DAY_NAMES[(now.getDay() + 6) % 7];
+        const minutes = now.getHours() * 60 + now.getMinutes();
+        const start = parseTimeOfDay(schedule.start);
+        const end = parseTimeOfDay(schedule.end);
+
+        if (start <= end) {
+            return days.includes(today) && minutes >= start && minutes < end;
+        }
+
+        return (days.includes(today) && minutes >= start) ||
+            (days.includes(yesterday) && minutes < end);
+    }
+
+    /**
+     * Get the schedules active for a child right now
+     * When windows overlap, a process must be allowed by every active schedule
+     */
+    function getActiveSchedules(childId, now) {
+        const schedules = state.children[childId]?.schedules || [];
+        return schedules.filter(schedule => isScheduleActive(schedule, now));
+    }
+
+    /**
+     * Update usage tracking
+     * Usage is kept in the persisted ledger (state.usage) in per-day buckets
+     */
+    function updateUsageTracking(agentId, childId, type, data) {
+        const key = `${agentId}:${childId}:${type}`;
+        const now = Date.now();
+
+        rolloverUsage(now);
+
+        const tracking = state.usage[key] || (state.usage[key] = {
+            agentId,
+            childId,
+            type,
+            lastUpdate: now,
+            days: {}                  // YYYY-MM-DD -> seconds
+        });
+
+        // A gap much longer than the report interval means the agent stopped
+        // reporting or the app was restarted - don't count time we never saw
+        const maxGap = state.settings.monitorInterval * 3;
+        const start = now - tracking.lastUpdate > maxGap ? now : tracking.lastUpdate;
+
+        // Only count if activity is present
+        let counted = false;
+        if (type === 'internet' && state.agents[agentId]?.networkBlock) {
+            // The child's traffic is cut off - open browsers aren't internet time
+            counted = false;
+        } else if (type === 'internet' && (data.browsers?.length > 0 || data.internetApps?.length > 0)) {
+            counted = true;
+        } else if (type === 'computer' && data.active === false) {
+            counted = false;
+        } else if (type === 'computer' && !data.isIdle) {
+            counted = true;
+        } else if (type === 'computer' && data.isIdle && !state.settings.pauseOnIdle) {
+            counted = true;
+        }
+
+        if (counted) {
+            const shift = getAgentDate(agentId, now).getTime() - now;
+            addUsageSeconds(tracking, start, now, shift);
+            addChildUsage(agentId, childId, type, start, now, shift);
+        }
+
+        tracking.lastUpdate = now;
+    }
+
+    /**
+     * Add the interval [start, end) to a ledger entry, splitting it at midnight
+     * @param {number} shift - Milliseconds from this machine's clock to the agent's
+     *   local time, so days are the agent's days
+     */
+    function addUsageSeconds(tracking, start, end, shift = 0) {
+        for (const [chunkStart, chunkEnd, day] of splitAtMidnight(start, end, shift)) {
+            tracking.days[day] = (tracking.days[day] || 0) + (chunkEnd - chunkStart) / 1000;
+        }
+    }
+
+    /**
+     * Split the interval [start, end) at the agent's midnights
+     * @param {number} shift - Milliseconds from this machine's clock to the agent's local time
+     * @returns {Array} [start, end, YYYY-MM-DD] chunks, one per day
+     */
+    function splitAtMidnight(start, end, shift = 0) {
+        const chunks = [];
+        let cursor = start;
+        while (cursor < end) {
+            const local = new Date(cursor + shift);
+            const nextMidnight = new Date(local);
+            nextMidnight.setHours(24, 0, 0, 0);
+            const chunkEnd = Math.min(end, nextMidnight.getTime() - shift);
+            chunks.push([cursor, chunkEnd, getDateKey(local)]);
+            cursor = chunkEnd;
+        }
+        return chunks;
+    }
+
+    /**
+     * A child's usage ledger entry across all agents
+     */
+    function getChildUsageEntry(agentId, childId, type) {
+        const key = `${childId}:${type}`;
+        return state.childUsage[key] || (state.childUsage[key] = {
+            childId,
+            type,
+            days: {},                 // YYYY-MM-DD -> seconds
+            intervals: [],            // Recently counted [start, end) intervals, merged
+            pendingSeconds: 0,        // Seconds not yet logged to Allow2
+            pendingSince: null,
+            pendingDay: null,         // Agent-local day the pending seconds belong to
+            lastAgentId: agentId
+        });
+    }
+
+    /**
+     * Add an agent's interval to the child's usage across all agents
+     * Only the parts no other agent has already counted are added, so using
+     * two devices at the same time isn't counted twice
+     */
+    function addChildUsage(agentId, childId, type, start, end, shift) {
+        const entry = getChildUsageEntry(agentId, childId, type);
+
+        for (const [pieceStart, pieceEnd] of addUncountedUsage(entry, start, end, shift)) {
+            for (const [chunkStart, chunkEnd, day] of splitAtMidnight(pieceStart, pieceEnd, shift)) {
+                // Seconds are logged against the day they were used on, so
+                // queue the previous day's before counting into a new one
+                if (entry.pendingDay && entry.pendingDay !== day) {
+                    queueChildUsage(entry, chunkStart);
+                }
+                entry.pendingSeconds += (chunkEnd - chunkStart) / 1000;
+                entry.pendingSince = entry.pendingSince || chunkStart;
+                entry.pendingDay = day;
+            }
+        }
+        entry.lastAgentId = agentId;
+    }
+
+    /**
+     * Add the parts of [start, end) not already in a ledger entry's counted
+     * intervals to its day buckets
+     * @returns {Array} The [start, end) pieces that were added
+     */
+    function addUncountedUsage(entry, start, end, shift) {
+        let pieces = [[start, end]];
+        for (const [countedStart, countedEnd] of entry.intervals) {
+            pieces = pieces.flatMap(([pieceStart, pieceEnd]) => {
+                if (countedEnd <= pieceStart || countedStart >= pieceEnd) {
+                    return [[pieceStart, pieceEnd]];
+                }
+                const rest = [];
+                if (pieceStart < countedStart) rest.push([pieceStart, countedStart]);
+                if (countedEnd < pieceEnd) rest.push([countedEnd, pieceEnd]);
+                return rest;
+            });
+        }
+
+        for (const [pieceStart, pieceEnd] of pieces) {
+            addUsageSeconds(entry, pieceStart, pieceEnd, shift);
+        }
+
+        // Keep counted intervals for as long as a slower agent could still report an overlap
+        const horizon = end - state.settings.monitorInterval * 6;
+        entry.intervals = mergeIntervals([...entry.intervals, [start, end]])
+            .filter(([, intervalEnd]) => intervalEnd > horizon);
+
+        return pieces;
+    }
+
+    /**
+     * Merge overlapping [start, end) intervals
+     */
+    function mergeIntervals(intervals) {
+        const merged = [];
+        for (const [start, end] of intervals.slice().sort((a, b) => a[0] - b[0])) {
+            const last = merged[merged.length - 1];
+            if (last && start <= last[1]) {
+                last[1] = Math.max(last[1], end);
+            } else {
+                merged.push([start, end]);
+            }
+        }
+        return merged;
+    }
+
+    /**
+     * Day-boundary rollover of the usage ledger
+     * Drops day buckets older than the retention window once per day
+     */
+    function rolloverUsage(now) {
+        const today = getDateKey(new Date(now));
+        if (usageDay === today) return;
+
+        const oldest = new Date(now);
+        oldest.setDate(oldest.getDate() - (state.settings.usageRetentionDays - 1));
+        const oldestKey = getDateKey(oldest);
+
+        for (const ledger of [state.usage, state.childUsage, state.appUsage, state.categoryUsage, state.foregroundUsage]) {
+            for (const [key, tracking] of Object.entries(ledger)) {
+                for (const day of Object.keys(tracking.days)) {
+                    if (day < oldestKey) {
+                        delete tracking.days[day];
+                    }
+                }
+                if (Object.keys(tracking.days).length === 0 && !tracking.pendingSeconds) {
+                    delete ledger[key];
+                }
+            }
+        }
+
+        // Extensions only last for the day they were granted (agents may be a day behind)
+        const yesterday = new Date(now);
+        yesterday.setDate(yesterday.getDate() - 1);
+        state.extensions = state.extensions.filter(extension => extension.day >= getDateKey(yesterday));
+
+        if (usageDay) {
+            logActivity({
+                type: 'usage_rollover',
+                message: `Daily usage reset for ${today}`,
+                timestamp: now
+            });
+        }
+
+        usageDay = today;
+        configurationUpdate(state);
+    }
+
+    /**
+     * Start logging tracked usage to Allow2 on a cadence
+     */
+    function startUsageReporting() {
+        stopUsageReporting();
+        usageReportTimer = setInterval(() => {
+            reportUsage().catch(error => {
+                console.error('[OS Plugin] Error reporting usage:', error);
+            });
+        }, state.settings.usageReportInterval);
+    }
+
+    /**
+     * Stop the usage logging cadence
+     */
+    function stopUsageReporting() {
+        if (usageReportTimer) {
+            clearInterval(usageReportTimer);
+            usageReportTimer = null;
+        }
+    }
+
+    /**
+     * Move accrued seconds from the child ledger into the usage queue
+     * Batches for the same agent, child, type and day are merged. Batches
+     * are logged against the agent that last added time, each second once.
+     */
+    function queueUsage(now) {
+        for (const tracking of Object.values(state.childUsage)) {
+            queueChildUsage(tracking, now);
+        }
+    }
+
+    /**
+     * Move one child ledger entry's accrued seconds into the usage queue,
+     * under the agent-local day they were used on
+     */
+    function queueChildUsage(tracking, now) {
+        const seconds = Math.floor(tracking.pendingSeconds || 0);
+        if (seconds < 1) return;
+
+        // Entries persisted before pendingDay was kept fall back to the day the seconds started in
+        const day = tracking.pendingDay ||
+            getDateKey(getAgentDate(tracking.lastAgentId, tracking.pendingSince || now));
+        const queued = state.usageQueue.find(item =>
+            item !== usageBatchSending &&
+            item.agentId === tracking.lastAgentId &&
+            item.childId === tracking.childId &&
+            item.type === tracking.type &&
+            item.day === day
+        );
+
+        if (queued) {
+            queued.seconds += seconds;
+            queued.to = now;
+        } else {
+            state.usageQueue.push({
+                agentId: tracking.lastAgentId,
+                childId: tracking.childId,
+                type: tracking.type,
+                day,
+                seconds,
+                from: tracking.pendingSince || now,
+                to: now,
+                attempts: 0,
+                nextAttempt: 0
+            });
+        }
+
+        tracking.pendingSeconds -= seconds;
+        tracking.pendingSince = null;
+    }
+
+    /**
+     * Log queued usage to Allow2
+     * Batches stay queued (and persisted) until Allow2 accepts them, with
+     * exponential backoff while the client is unreachable
+     */
+    async function reportUsage() {
+        // The previous report is still waiting on Allow2 - it would log the same batch again
+        if (usageReporting) return;
+        usageReporting = true;
+        try {
+            await sendQueuedUsage();
+        } finally {
+            usageReporting = false;
+            usageBatchSending = null;
+        }
+    }
+
+    /**
+     * Send queued usage batches in order (see reportUsage)
+     */
+    async function sendQueuedUsage() {
+        const now = Date.now();
+        queueUsage(now);
+
+        const allow2Client = services?.allow2Client;
+        let reported = 0;
+
+        while (state.usageQueue.length > 0) {
+            const item = state.usageQueue[0];
+            if (!allow2Client || item.nextAttempt > now) break;
+
+            usageBatchSending = item;
+            try {
+                await allow2Client.checkActivity({
+                    child_id: item.childId,
+                    activity_type: item.type,
+                    log_usage: true,
+                    check_only: false,
+                    device_id: item.agentId,
+                    usage_seconds: item.seconds,
+                    timestamp: item.to
+                });
+                // Remove the batch that was sent - the queue may have changed meanwhile
+                state.usageQueue = state.usageQueue.filter(queued => queued !== item);
+                reported++;
+            } catch (error) {
+                // Keep order - later batches wait behind the failed one
+                item.attempts++;
+                item.nextAttempt = now + Math.min(
+                    state.settings.usageReportInterval * Math.pow(2, item.attempts),
+                    30 * 60 * 1000
+                );
+                console.error(`[OS Plugin] Failed to log usage for child ${item.childId} (attempt ${item.attempts}):`, error.message);
+                break;
+            }
+        }
+
+        // Drop batches that fell out of the retention window while offline
+        const oldest = new Date(now);
+        oldest.setDate(oldest.getDate() - (state.settings.usageRetentionDays - 1));
+        const oldestKey = getDateKey(oldest);
+        state.usageQueue = state.usageQueue.filter(item => item.day >= oldestKey);
+
+        if (reported > 0) {
+            state.lastSync = now;
+            console.log(`[OS Plugin] Logged ${reported} usage batches to Allow2`);
+        }
+
+        configurationUpdate(state);
+    }
+
+    /**
+     * Get the YYYY-MM-DD key for a date (local time)
+     */
+    function getDateKey(date) {
+        const year = date.getFullYear();
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${year}-${month}-${day}`;
+    }
+
+    /**
+     * Resolve the first and last day covered by a usage report
+     * 'day' is today, 'week' runs from Monday to today
+     */
+    function getReportRange(period, from, to, today = new Date()) {
+
+        if (from || to) {
+            const range = {
+                from: from || to,
+                to: to || getDateKey(today)
+            };
+            const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+            if (!datePattern.test(range.from) || !datePattern.test(range.to) || range.from > range.to) {
+                throw new Error('Invalid date range - expected YYYY-MM-DD with from <= to');
+            }
+            return range;
+        }
+
+        if (period === 'week') {
+            const monday = new Date(today);
+            monday.setDate(today.getDate() - ((today.getDay() + 6) % 7));
+            return { from: getDateKey(monday), to: getDateKey(today) };
+        }
+
+        return { from: getDateKey(today), to: getDateKey(today) };
+    }
+
+    /**
+     * Build a usage report of computer and internet seconds
+     * per child, per agent and per day
+     * 'day' and 'week' follow each agent's local calendar
+     * @param {Object} options
+     * @param {string} options.childId - Limit the report to one child (default: all children)
+     * @param {string} options.period - 'day' or 'week' (ignored when from/to are given)
+     * @param {string} options.from - First day of the range (YYYY-MM-DD, inclusive)
+     * @param {string} options.to - Last day of the range (YYYY-MM-DD, inclusive)
+     */
+    function buildUsageReport({ childId, period = 'day', from, to } = {}) {
+        const range = getReportRange(period, from, to);
+        const children = {};
+
+        const emptyTotals = () => ({ computer: 0, internet: 0 });
+        const getChildReport = (id) => {
+            if (!children[id]) {
+                children[id] = {
+                    childId: id,
+                    totals: emptyTotals(),
+                    days: {},
+                    agents: {},
+                    // Time each application was the focused window (agents that report it)
+                    foreground: { apps: {}, categories: {} }
+                };
+            }
+            return children[id];
+        };
+
+        if (childId) {
+            getChildReport(childId);
+        }
+
+        for (const tracking of Object.values(state.usage)) {
+            if (childId && tracking.childId !== childId) continue;
+
+            for (const [day, seconds] of Object.entries(tracking.days)) {
+                const agentRange = from || to
+                    ? range
+                    : getReportRange(period, null, null, getAgentDate(tracking.agentId));
+                if (day < agentRange.from || day > agentRange.to) continue;
+
+                // Agents in other time zones can widen the range by a day
+                range.from = day < range.from ? day : range.from;
+                range.to = day > range.to ? day : range.to;
+
+                const childReport = getChildReport(tracking.childId);
+                const agentReport = childReport.agents[tracking.agentId] || (childReport.agents[tracking.agentId] = {
+                    agentId: tracking.agentId,
+                    hostname: state.agents[tracking.agentId]?.hostname,
+                    totals: emptyTotals(),
+                    days: {}
+                });
+
+                const rounded = Math.round(seconds);
+                agentReport.totals[tracking.type] += rounded;
+                agentReport.days[day] = agentReport.days[day] || emptyTotals();
+                agentReport.days[day][tracking.type] += rounded;
+            }
+        }
+
+        // Child totals come from the merged ledger, so they can be less than
+        // the sum of the agents when devices were used at the same time
+        for (const tracking of Object.values(state.childUsage)) {
+            if (childId && tracking.childId !== childId) continue;
+
+            const childRange = from || to
+                ? range
+                : getReportRange(period, null, null, getAgentDate(tracking.lastAgentId));
+
+            for (const [day, seconds] of Object.entries(tracking.days)) {
+                if (day < childRange.from || day > childRange.to) continue;
+
+                const childReport = getChildReport(tracking.childId);
+                const rounded = Math.round(seconds);
+                childReport.totals[tracking.type] += rounded;
+                childReport.days[day] = childReport.days[day] || emptyTotals();
+                childReport.days[day][tracking.type] += rounded;
+            }
+        }
+
+        for (const tracking of Object.values(state.foregroundUsage)) {
+            if (childId && tracking.childId !== childId) continue;
+
+            const childRange = from || to
+                ? range
+                : getReportRange(period, null, null, getAgentDate(tracking.lastAgentId));
+
+            for (const [day, seconds] of Object.entries(tracking.days)) {
+                if (day < childRange.from || day > childRange.to) continue;
+
+                const { foreground } = getChildReport(tracking.childId);
+                const rounded = Math.round(seconds);
+                foreground.apps[tracking.name] = (foreground.apps[tracking.name] || 0) + rounded;
+                foreground.categories[tracking.category] = (foreground.categories[tracking.category] || 0) + rounded;
+            }
+        }
+
+        return {
+            from: range.from,
+            to: range.to,
+            generatedAt: Date.now(),
+            children
+        };
+    }
+
+    /**
+     * Check quotas with Allow2 and enforce if needed
+     * Falls back to local daily limits when Allow2 can't be reached
+     */
+    async function checkQuotasAndEnforce(agentId, childId, sessionData) {
+        const agent = state.agents[agentId];
+        if (!agent) return;
+
+        // Keep checking internet time while cut off, so the block is lifted
+        // when more time is granted
+        const browsersActive = isInternetActive(agent) || !!agent.networkBlock;
+        const allowances = await getAllowances(agentId, childId, browsersActive);
+
+        try {
+            // The child's time is shared - warn and enforce on every agent they're using
+            for (const otherAgentId of getChildAgentIds(childId)) {
+                if (otherAgentId === agentId) continue;
+
+                const otherVerdict = getAccessVerdict(otherAgentId, childId, allowances);
+                if (otherVerdict.blocked) {
+                    await enforceEscalation(otherAgentId, childId, otherVerdict.blocked);
+                } else if (otherVerdict.remainingSeconds !== null) {
+                    await scheduleShutdown(otherAgentId, childId, otherVerdict.remainingSeconds);
+                }
+            }
+
+            const verdict = getAccessVerdict(agentId, childId, allowances);
+            if (verdict.blocked) {
+                await enforceEscalation(agentId, childId, verdict.blocked);
+                return;
+            }
+
+            if (verdict.remainingSeconds !== null) {
+                // Schedule warnings and shutdown based on remaining time
+                await scheduleShutdown(agentId, childId, verdict.remainingSeconds);
+            }
+
+            if (verdict.internetBlocked) {
+                if (canBlockNetwork(agentId, childId)) {
+                    await blockNetwork(agentId, childId);
+                } else {
+                    await unblockNetwork(agentId, 'Network blocking turned off');
+                    await blockBrowsers(agentId, childId);
+                }
+            } else if (agent.networkBlock) {
+                await unblockNetwork(agentId, 'Internet time available');
+            }
+
+            // Check bedtime
+            await checkBedtime(agentId, childId);
 
         } catch (error) {
-            console.error(`[OS Plugin] Error checking quotas for ${agentId}:`, error);
+            console.error(`[OS Plugin] Error enforcing quotas for ${agentId}:`, error);
+        }
+    }
+
+    /**
+     * Agents the child is using right now: in the foreground, not idle and
+     * seen within the last few reports
+     */
+    function getChildAgentIds(childId) {
+        const since = Date.now() - state.settings.monitorInterval * 3;
+
+        return Object.keys(state.agents).filter(agentId => {
+            const agent = state.agents[agentId];
+            const session = agent.currentSession;
+            return agent.lastSeen > since && session && !session.isIdle &&
+                state.userMappings[agentId]?.[session.username] === childId &&
+                !(state.parentAccounts[agentId] || []).includes(session.username);
+        });
+    }
+
+    /**
+     * Work out whether a child may keep using an agent
+     * @param {string} agentId
+     * @param {string} childId
+     * @param {Object} allowances - From getAllowances
+     * @returns {Object} { blocked: reason or null, remainingSeconds (null when
+     *   unlimited), internetBlocked }
+     */
+    function getAccessVerdict(agentId, childId, allowances) {
+        const { computerAllowance, internetAllowance } = allowances;
+        const suffix = allowances.local ? ' (offline limit)' : '';
+        const verdict = { blocked: null, remainingSeconds: null, internetBlocked: false };
+
+        if (computerAllowance) {
+            // Parent extensions are added on top of the allowance
+            const allowanceSeconds = computerAllowance.allowed
+                ? Math.max(0, computerAllowance.remaining_seconds)
+                : 0;
+            const extensionSeconds = getExtensionSeconds(agentId, childId, allowanceSeconds);
+
+            // Check for bans (an extension overrides "not allowed", not a ban)
+            if (computerAllowance.is_banned || computerAllowance.is_activity_blocked ||
+                (!computerAllowance.allowed && extensionSeconds <= 0)) {
+                verdict.blocked = `Computer access blocked${suffix}`;
+                return verdict;
+            }
+
+            verdict.remainingSeconds = allowanceSeconds + extensionSeconds;
+            if (verdict.remainingSeconds <= 0) {
+                verdict.blocked = `Computer time exhausted${suffix}`;
+                return verdict;
+            }
+        }
+
+        verdict.internetBlocked = !!internetAllowance &&
+            (!internetAllowance.allowed || internetAllowance.remaining_seconds <= 0);
+
+        return verdict;
+    }
+
+    /**
+     * Get computer (and internet, if browsers are active) allowances
+     * from Allow2, or from local daily limits when Allow2 is unavailable
+     */
+    async function getAllowances(agentId, childId, browsersActive) {
+        const allow2Client = services?.allow2Client;
+
+        if (allow2Client) {
+            try {
+                // Check computer time allowance (without logging - just checking)
+                const computerAllowance = await allow2Client.checkActivity({
+                    child_id: childId,
+                    activity_type: 'computer',
+                    log_usage: false,
+                    check_only: true,
+                    device_id: agentId
+                });
+
+                // Check internet time if browsers are active
+                let internetAllowance = null;
+                if (browsersActive) {
+                    internetAllowance = await allow2Client.checkActivity({
+                        child_id: childId,
+                        activity_type: 'internet',
+                        log_usage: false,
+                        check_only: true,
+                        device_id: agentId
+                    });
+                }
+
+                setDegraded(false);
+                return { computerAllowance, internetAllowance, local: false };
+            } catch (error) {
+                console.error(`[OS Plugin] Error checking quotas for ${agentId}:`, error);
+                setDegraded(true, error.message);
+            }
+        } else {
+            setDegraded(true, 'Allow2 client not available');
+        }
+
+        return {
+            computerAllowance: getLocalAllowance(agentId, childId, 'computer'),
+            internetAllowance: browsersActive ? getLocalAllowance(agentId, childId, 'internet') : null,
+            local: true
+        };
+    }
+
+    /**
+     * Build an Allow2-style allowance from the child's local daily limit
+     * (computerTimeDaily / internetTimeDaily, in minutes) and today's usage
+     * Without a local limit the child's offlinePolicy decides:
+     * 'open' (default) allows unlimited use, 'closed' blocks
+     */
+    function getLocalAllowance(agentId, childId, type) {
+        const childConfig = state.children[childId] || {};
+        const limitMinutes = type === 'computer'
+            ? childConfig.computerTimeDaily
+            : childConfig.internetTimeDaily;
+
+        if (limitMinutes === undefined || limitMinutes === null) {
+            if (childConfig.offlinePolicy === 'closed') {
+                return { allowed: false, remaining_seconds: 0, local: true };
+            }
+            return null;
+        }
+
+        const used = getChildUsageSeconds(childId, type, getDateKey(getAgentDate(agentId)));
+        const remaining = Math.max(0, limitMinutes * 60 - used);
+
+        return { allowed: true, remaining_seconds: remaining, local: true };
+    }
+
+    /**
+     * Seconds of one usage type for a child on a day across all agents
+     * (time on several agents at once counts once)
+     */
+    function getChildUsageSeconds(childId, type, day) {
+        return state.childUsage[`${childId}:${type}`]?.days[day] || 0;
+    }
+
+    /**
+     * Enter or leave degraded mode (Allow2 unreachable, local limits enforced)
+     */
+    function setDegraded(degraded, reason) {
+        if (degraded === allow2Status.degraded) return;
+
+        allow2Status = {
+            degraded,
+            since: degraded ? Date.now() : null,
+            reason: degraded ? reason : null
+        };
+
+        logActivity({
+            type: degraded ? 'degraded_mode_started' : 'degraded_mode_ended',
+            message: degraded
+                ? `Allow2 unavailable - enforcing local limits (${reason})`
+                : 'Allow2 reachable again - local limits no longer enforced',
+            timestamp: Date.now()
+        });
+
+        statusUpdate(degraded
+            ? {
+                status: 'warning',
+                message: 'Allow2 unavailable - enforcing local limits',
+                timestamp: Date.now()
+            }
+            : {
+                status: 'connected',
+                message: 'OS monitoring active',
+                timestamp: Date.now()
+            });
+
+        if (context.sendToRenderer) {
+            context.sendToRenderer('osDegradedMode', allow2Status);
         }
     }
 
@@ -461,41 +2795,220 @@ function plugin(context) {
                 // Re-check quotas for this agent
                 await checkQuotasAndEnforce(agentId, childId, agentData.currentSession || {});
             }
-        }
+        }
+    }
+
+    /**
+     * Get (or create) the enforcement state of an agent
+     * Phases: idle -> warning (time running out) -> grace (time is up, child
+     * warned) -> enforced (lock/logout/kill carried out)
+     */
+    function getEnforcement(agentId) {
+        let current = enforcement.get(agentId);
+        if (!current) {
+            current = {
+                phase: 'idle',
+                since: Date.now(),
+                childId: null,
+                username: null,           // OS user being enforced
+                cause: null,              // 'quota', 'bedtime' or 'manual'
+                reason: null,
+                shutdownAt: null,
+                warned: [],               // warningTimes already shown
+                steps: [],
+                stepIndex: 0,
+                lockedAt: null,
+                completedAt: null,
+                waiting: false
+            };
+            enforcement.set(agentId, current);
+        }
+        return current;
+    }
+
+    /**
+     * Move an agent's enforcement to a new phase
+     */
+    function setEnforcementPhase(agentId, phase) {
+        const current = getEnforcement(agentId);
+        if (current.phase === phase) return;
+
+        console.log(`[OS Plugin] Enforcement on ${agentId}: ${current.phase} -> ${phase}`);
+        current.phase = phase;
+        current.since = Date.now();
+
+        if (context.sendToRenderer) {
+            context.sendToRenderer('osEnforcementChanged', {
+                agentId,
+                enforcement: getEnforcementSummary(agentId)
+            });
+        }
+    }
+
+    /**
+     * Enforcement state as reported to the renderer
+     */
+    function getEnforcementSummary(agentId) {
+        const current = enforcement.get(agentId);
+        if (!current) return { phase: 'idle' };
+
+        return {
+            phase: current.phase,
+            since: current.since,
+            cause: current.cause,
+            reason: current.reason,
+            shutdownAt: current.shutdownAt
+        };
+    }
+
+    /**
+     * Register a pending enforcement timer for an agent (replacing one with the same name)
+     */
+    function setAgentTimer(agentId, name, delayMs, callback) {
+        clearAgentTimer(agentId, name);
+
+        const timers = agentTimers.get(agentId) || new Map();
+        agentTimers.set(agentId, timers);
+
+        timers.set(name, setTimeout(() => {
+            timers.delete(name);
+            Promise.resolve().then(callback).catch(error => {
+                console.error(`[OS Plugin] Error in ${name} timer for ${agentId}:`, error);
+            });
+        }, Math.max(0, delayMs)));
+    }
+
+    /**
+     * Clear one pending enforcement timer of an agent
+     */
+    function clearAgentTimer(agentId, name) {
+        const timers = agentTimers.get(agentId);
+        if (timers?.has(name)) {
+            clearTimeout(timers.get(name));
+            timers.delete(name);
+        }
+    }
+
+    /**
+     * Clear every pending enforcement timer of an agent
+     */
+    function clearAgentTimers(agentId) {
+        const timers = agentTimers.get(agentId);
+        if (!timers) return;
+
+        for (const timer of timers.values()) {
+            clearTimeout(timer);
+        }
+        agentTimers.delete(agentId);
+    }
+
+    /**
+     * Return an agent to idle, dropping all pending enforcement
+     */
+    function resetEnforcement(agentId) {
+        clearAgentTimers(agentId);
+        if (!enforcement.has(agentId)) return;
+
+        setEnforcementPhase(agentId, 'idle');
+        enforcement.delete(agentId);
+    }
+
+    /**
+     * Cancel a pending or completed enforcement (e.g. more time was granted)
+     */
+    async function cancelEnforcement(agentId, message) {
+        const current = enforcement.get(agentId);
+        if (!current || (current.phase !== 'grace' && current.phase !== 'enforced')) return;
+
+        const agent = state.agents[agentId];
+        console.log(`[OS Plugin] Cancelling enforcement on ${agent?.hostname || agentId}: ${message}`);
+
+        resetEnforcement(agentId);
+
+        await agentService.triggerAction(agentId, {
+            pluginId: 'allow2automate-operating-system',
+            actionId: 'show-warning',
+            args: {
+                title: 'Good news',
+                message,
+                urgency: 'normal'
+            }
+        });
+
+        logActivity({
+            type: 'enforcement_cancelled',
+            message: `Enforcement cancelled on ${agent?.hostname || agentId}: ${message}`,
+            agentId,
+            timestamp: Date.now()
+        });
     }
 
     /**
      * Schedule shutdown for an agent
+     * Called on every report - timers are only rescheduled when the deadline moves
      */
-    function scheduleShutdown(agentId, childId, remainingSeconds) {
-        // Clear existing timer
-        const existingTimer = shutdownTimers.get(agentId);
-        if (existingTimer) {
-            clearTimeout(existingTimer);
+    async function scheduleShutdown(agentId, childId, remainingSeconds) {
+        const previous = enforcement.get(agentId);
+
+        if (previous && (previous.phase === 'grace' || previous.phase === 'enforced')) {
+            // Bedtime and manual enforcement aren't affected by quota changes
+            if (previous.cause !== 'quota') return;
+
+            // Allow2 granted more time while enforcement was pending
+            await cancelEnforcement(agentId, `More time granted - ${Math.round(remainingSeconds / 60)} minutes remaining.`);
         }
 
         // Don't schedule if more than 1 hour remaining
-        if (remainingSeconds > 3600) return;
+        if (remainingSeconds > 3600) {
+            resetEnforcement(agentId);
+            return;
+        }
+
+        const current = getEnforcement(agentId);
+        const shutdownAt = Date.now() + (remainingSeconds * 1000);
+
+        if (current.phase === 'warning' && current.childId === childId &&
+            Math.abs(current.shutdownAt - shutdownAt) < SHUTDOWN_TOLERANCE) {
+            return;
+        }
 
-        const shutdownTime = Date.now() + (remainingSeconds * 1000);
+        current.childId = childId;
+        current.username = state.agents[agentId]?.currentSession?.username;
+        current.cause = 'quota';
+        current.reason = 'Computer time running out';
+        current.shutdownAt = shutdownAt;
+        // Warnings become due again if the deadline moved later
+        current.warned = current.warned.filter(minutes => remainingSeconds <= minutes * 60);
+        setEnforcementPhase(agentId, 'warning');
 
         // Schedule warning intervals
+        const due = [];
         for (const warningMinutes of state.settings.warningTimes) {
             const warningSeconds = warningMinutes * 60;
+            if (current.warned.includes(warningMinutes)) continue;
+
             if (remainingSeconds > warningSeconds) {
-                const warningDelay = (remainingSeconds - warningSeconds) * 1000;
-                setTimeout(() => {
-                    showTimeWarning(agentId, 'computer', warningMinutes);
-                }, warningDelay);
+                setAgentTimer(agentId, `warning:${warningMinutes}`, (remainingSeconds - warningSeconds) * 1000, async () => {
+                    current.warned.push(warningMinutes);
+                    await showTimeWarning(agentId, 'computer', warningMinutes);
+                });
+            } else {
+                clearAgentTimer(agentId, `warning:${warningMinutes}`);
+                due.push(warningMinutes);
             }
         }
 
+        // Warnings whose time has already passed - show the actual time left once
+        if (due.length > 0) {
+            current.warned.push(...due);
+            await showTimeWarning(agentId, 'computer', remainingSeconds / 60);
+        }
+
         // Schedule actual shutdown
-        const timer = setTimeout(async () => {
-            await enforceLogout(agentId, childId, 'Computer time exhausted');
-        }, remainingSeconds * 1000);
+        setAgentTimer(agentId, 'shutdown', remainingSeconds * 1000, () =>
+            enforceEscalation(agentId, childId, 'Computer time exhausted')
+        );
 
-        shutdownTimers.set(agentId, timer);
         console.log(`[OS Plugin] Scheduled shutdown for ${agentId} in ${remainingSeconds} seconds`);
     }
 
@@ -514,78 +3027,628 @@ function plugin(context) {
                 message: `You have ${Math.round(minutesRemaining)} minutes of ${type} time left.`,
                 urgency: minutesRemaining <= 5 ? 'critical' : 'normal'
             }
-        });
+        });
+
+        // Notify renderer
+        if (context.sendToRenderer) {
+            context.sendToRenderer('osQuotaWarning', {
+                agentId,
+                type,
+                remaining: minutesRemaining
+            });
+        }
+    }
+
+    /**
+     * Enforce logout on agent (manual logout by the parent)
+     * Warns, then logs out after the grace period
+     */
+    async function enforceLogout(agentId, childId, reason) {
+        resetEnforcement(agentId);
+
+        await enforceEscalation(agentId, childId, reason, {
+            cause: 'manual',
+            steps: [
+                { action: 'warn', delay: 0 },
+                { action: 'logout-user', delay: state.settings.gracePeriod }
+            ]
+        });
+    }
+
+    /**
+     * Steps of a child's escalation ladder
+     * Each step is { action, delay, message } where action is one of
+     * ESCALATION_ACTIONS and delay is seconds after the previous step.
+     * Without a configured ladder: warn, then logout after the grace period.
+     */
+    function getEscalationSteps(childId) {
+        const configured = (state.children[childId]?.escalation || [])
+            .filter(step => ESCALATION_ACTIONS.includes(step.action));
+
+        if (configured.length > 0) return configured;
+
+        return [
+            { action: 'warn', delay: 0 },
+            { action: 'logout-user', delay: state.settings.gracePeriod }
+        ];
+    }
+
+    /**
+     * Whether the user on an agent has used the machine since a point in time
+     * (session reported after it with less idle time than has since passed)
+     */
+    function wasActiveSince(agent, time) {
+        const session = agent.currentSession;
+        if (!session || !agent.lastSeen || agent.lastSeen <= time) return false;
+        return (session.idleTime || 0) < agent.lastSeen - time;
+    }
+
+    /**
+     * Enforce exhausted time or bedtime by running the child's escalation ladder
+     * Reports arriving while an agent is in grace or enforced don't re-trigger
+     * anything. Steps after a lock only run if the child keeps using the
+     * machine once it is unlocked.
+     * @param {string} agentId
+     * @param {string} childId
+     * @param {string} reason - Shown to the child and logged
+     * @param {Object} options
+     * @param {string} options.cause - 'quota' (default), 'bedtime' or 'manual'
+     * @param {Array} options.steps - Ladder to run (default: the child's ladder)
+     */
+    async function enforceEscalation(agentId, childId, reason, { cause = 'quota', steps } = {}) {
+        const agent = state.agents[agentId];
+        if (!agent) return;
+
+        const current = getEnforcement(agentId);
+        if (current.phase === 'grace' || current.phase === 'enforced') {
+            if (current.waiting && wasActiveSince(agent, current.lockedAt)) {
+                // Unlocked and back in use - carry on up the ladder
+                await runEscalationStep(agentId);
+            } else if (current.completedAt && wasActiveSince(agent, current.completedAt)) {
+                // Ladder finished but the child is still using the machine
+                resetEnforcement(agentId);
+                await enforceEscalation(agentId, childId, reason, { cause, steps });
+            }
+            return;
+        }
+
+        console.log(`[OS Plugin] Starting enforcement on ${agent.hostname}: ${reason}`);
+
+        // Pending warnings and shutdown are superseded by the ladder
+        clearAgentTimers(agentId);
+
+        Object.assign(current, {
+            childId,
+            username: agent.currentSession?.username,
+            cause,
+            reason,
+            steps: steps || getEscalationSteps(childId),
+            stepIndex: 0,
+            lockedAt: null,
+            completedAt: null,
+            waiting: false
+        });
+        setEnforcementPhase(agentId, 'grace');
+
+        // Log violation
+        logViolation({
+            type: 'quota_exhausted',
+            agentId,
+            hostname: agent.hostname,
+            reason,
+            timestamp: Date.now()
+        });
+
+        // Notify renderer
+        if (context.sendToRenderer) {
+            context.sendToRenderer('osQuotaExhausted', {
+                agentId,
+                hostname: agent.hostname,
+                type: 'computer',
+                reason
+            });
+        }
+
+        scheduleEscalationStep(agentId, current.steps[0].delay);
+
+        // Let a parent at the machine grant more time with their PIN (bedtime still applies)
+        if (parentPin && cause === 'quota') {
+            current.pinAttempts = 0;
+            await promptForPin(agentId);
+        }
+    }
+
+    /**
+     * Run the next escalation step after a delay (seconds)
+     */
+    function scheduleEscalationStep(agentId, delaySeconds) {
+        setAgentTimer(agentId, 'escalation', (delaySeconds || 0) * 1000, () =>
+            runEscalationStep(agentId)
+        );
+    }
+
+    /**
+     * Execute the current escalation step and schedule the one after it
+     */
+    async function runEscalationStep(agentId) {
+        const current = enforcement.get(agentId);
+        const agent = state.agents[agentId];
+        if (!current || !agent || current.stepIndex >= current.steps.length) return;
+
+        // After a lock, only continue if the child is using the machine again
+        if (current.lockedAt && !wasActiveSince(agent, current.lockedAt)) {
+            current.waiting = true;
+            return;
+        }
+        current.waiting = false;
+
+        const step = current.steps[current.stepIndex];
+        await executeEscalationStep(agentId, current, step);
+
+        if (step.action !== 'warn') {
+            setEnforcementPhase(agentId, 'enforced');
+        }
+        if (step.action === 'lock-session') {
+            current.lockedAt = Date.now();
+        }
+
+        current.stepIndex++;
+        const next = current.steps[current.stepIndex];
+        if (next) {
+            scheduleEscalationStep(agentId, next.delay);
+        } else {
+            current.completedAt = Date.now();
+            setEnforcementPhase(agentId, 'enforced');
+        }
+    }
+
+    /**
+     * Perform a single escalation step on the agent
+     */
+    async function executeEscalationStep(agentId, current, step) {
+        const agent = state.agents[agentId];
+        const { reason } = current;
+
+        console.log(`[OS Plugin] Escalation step "${step.action}" on ${agent.hostname}: ${reason}`);
+
+        if (step.action === 'warn') {
+            await agentService.triggerAction(agentId, {
+                pluginId: 'allow2automate-operating-system',
+                actionId: 'show-warning',
+                args: {
+                    title: 'Time is up!',
+                    message: step.message || describeNextEscalation(current),
+                    urgency: 'critical'
+                }
+            });
+        } else if (step.action === 'lock-session') {
+            await agentService.triggerAction(agentId, {
+                pluginId: 'allow2automate-operating-system',
+                actionId: 'lock-session',
+                args: { reason }
+            });
+        } else if (step.action === 'logout-user') {
+            // Log out every session the child has on the agent
+            const sessions = (agent.sessions || []).filter(session =>
+                session.childId && session.childId === current.childId
+            );
+            const targets = sessions.length > 0
+                ? sessions
+                : [{ username: agent.currentSession?.username, sessionId: agent.currentSession?.sessionId }];
+
+            for (const session of targets) {
+                await agentService.triggerAction(agentId, {
+                    pluginId: 'allow2automate-operating-system',
+                    actionId: 'logout-user',
+                    args: {
+                        username: session.username,
+                        sessionId: session.sessionId,
+                        reason
+                    }
+                });
+            }
+        } else if (step.action === 'kill-browsers') {
+            await blockBrowsers(agentId, current.childId);
+        }
+
+        logActivity({
+            type: 'escalation_step',
+            message: `${step.action} on ${agent.hostname || agentId}: ${reason}`,
+            agentId,
+            timestamp: Date.now()
+        });
+    }
+
+    /**
+     * Warning text describing the next enforcement step after the current warning
+     */
+    function describeNextEscalation(current) {
+        const descriptions = {
+            'lock-session': 'The computer will lock',
+            'logout-user': 'Logging out',
+            'kill-browsers': 'Browsers will close'
+        };
+
+        let seconds = 0;
+        for (let i = current.stepIndex + 1; i < current.steps.length; i++) {
+            const step = current.steps[i];
+            seconds += step.delay || 0;
+            if (descriptions[step.action]) {
+                return `${current.reason}. ${descriptions[step.action]} in ${seconds} seconds. Please save your work.`;
+            }
+        }
+
+        return `${current.reason}. Please save your work.`;
+    }
+
+    /**
+     * Seconds of parent-granted extra time available to a child on an agent
+     * Extensions start running once the regular allowance is used up
+     * @param {string} agentId
+     * @param {string} childId
+     * @param {number} allowanceSeconds - Remaining regular allowance
+     */
+    function getExtensionSeconds(agentId, childId, allowanceSeconds) {
+        const agentToday = getDateKey(getAgentDate(agentId));
+        const today = getDateKey(new Date());
+        let total = 0;
+        let started = false;
+
+        for (const extension of state.extensions) {
+            if (extension.childId !== childId) continue;
+            if (extension.agentId && extension.agentId !== agentId) continue;
+            // Extensions for one agent follow its day, those for every agent ours
+            if (extension.day !== (extension.agentId ? agentToday : today)) continue;
+
+            if (allowanceSeconds > 0 && !extension.startedAt) {
+                total += extension.minutes * 60;
+                continue;
+            }
+
+            if (!extension.startedAt) {
+                // Saved, so a restart carries on counting from here
+                extension.startedAt = Date.now();
+                started = true;
+            }
+            total += Math.max(0, extension.minutes * 60 - (Date.now() - extension.startedAt) / 1000);
+        }
+
+        if (started) {
+            configurationUpdate(state);
+        }
+        return total;
+    }
+
+    /**
+     * Grant a child extra minutes on one agent or on every agent
+     * Cancels pending quota logouts and re-checks with the new allowance.
+     * Bedtime still applies.
+     * @param {Object} options
+     * @param {string} options.childId
+     * @param {string} options.agentId - Agent to extend (null = every agent)
+     * @param {number} options.minutes
+     * @param {string} options.source - 'parent' or 'pin'
+     */
+    async function grantExtension({ childId, agentId = null, minutes, source = 'parent' }) {
+        minutes = Number(minutes);
+        if (!childId || !(minutes > 0)) {
+            throw new Error('A child and a positive number of minutes are required');
+        }
+
+        const today = getDateKey(agentId ? getAgentDate(agentId) : new Date());
+        const existing = state.extensions.find(extension =>
+            extension.childId === childId &&
+            extension.agentId === agentId &&
+            extension.day === today
+        );
+
+        if (existing) {
+            existing.minutes += minutes;
+        } else {
+            state.extensions.push({
+                childId,
+                agentId,
+                minutes,
+                day: today,
+                grantedAt: Date.now(),
+                startedAt: null,
+                source
+            });
+        }
+
+        const where = agentId ? (state.agents[agentId]?.hostname || agentId) : 'all devices';
+        logActivity({
+            type: 'extension_granted',
+            message: `${minutes} extra minutes granted to child ${childId} on ${where} (${source === 'pin' ? 'parent PIN' : 'parent'})`,
+            agentId,
+            timestamp: Date.now()
+        });
+
+        configurationUpdate(state);
+
+        // Cancel pending logouts and apply the new allowance
+        const agentIds = agentId
+            ? [agentId]
+            : Object.keys(state.agents).filter(id => state.agents[id].childId === childId);
+
+        for (const id of agentIds) {
+            const current = enforcement.get(id);
+            if (current && current.cause !== 'bedtime' && agentService) {
+                await cancelEnforcement(id, `${minutes} extra minutes granted.`);
+            }
+            if (agentService && state.agents[id]?.childId === childId) {
+                await checkQuotasAndEnforce(id, childId, state.agents[id].currentSession || {});
+            }
+        }
+    }
+
+    /**
+     * Hash a parent PIN with a salt
+     */
+    function hashPin(pin, salt) {
+        return crypto.scryptSync(String(pin), salt, 32).toString('hex');
+    }
+
+    /**
+     * Read the parent PIN record from PARENT_PIN_FILE (null when none is set)
+     */
+    function loadParentPin() {
+        try {
+            const record = JSON.parse(fs.readFileSync(path.join(os.homedir(), PARENT_PIN_FILE), 'utf8'));
+            return record?.salt && record?.hash ? { salt: record.salt, hash: record.hash } : null;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('[OS Plugin] Error reading the parent PIN:', error);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Store (or with null, remove) the parent PIN record, readable only by
+     * the account running Allow2Automate
+     */
+    function saveParentPin(record) {
+        const file = path.join(os.homedir(), PARENT_PIN_FILE);
+        if (!record) {
+            fs.rmSync(file, { force: true });
+            return;
+        }
+        fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+        fs.writeFileSync(file, JSON.stringify(record), { mode: 0o600 });
+        fs.chmodSync(file, 0o600);
+    }
+
+    /**
+     * Check an entered PIN against the stored parent PIN
+     */
+    function verifyPin(pin) {
+        if (!parentPin || !pin) return false;
+
+        const expected = Buffer.from(parentPin.hash, 'hex');
+        const actual = Buffer.from(hashPin(pin, parentPin.salt), 'hex');
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    /**
+     * Ask for the parent PIN on an agent
+     */
+    async function promptForPin(agentId) {
+        await agentService.triggerAction(agentId, {
+            pluginId: 'allow2automate-operating-system',
+            actionId: 'prompt-pin',
+            args: {
+                title: 'Time is up!',
+                message: `Ask a parent to enter their PIN for ${state.settings.pinExtensionMinutes} more minutes.`
+            }
+        });
+    }
+
+    /**
+     * Handle a PIN entered on an agent
+     */
+    async function handlePinResponse(agentId, result) {
+        const current = enforcement.get(agentId);
+        if (!current || current.phase === 'idle' || !result?.pin) return;
+
+        if (verifyPin(result.pin)) {
+            await grantExtension({
+                childId: current.childId,
+                agentId,
+                minutes: state.settings.pinExtensionMinutes,
+                source: 'pin'
+            });
+            return;
+        }
+
+        current.pinAttempts = (current.pinAttempts || 0) + 1;
+
+        logViolation({
+            type: 'invalid_pin',
+            agentId,
+            hostname: state.agents[agentId]?.hostname,
+            reason: `Incorrect parent PIN (attempt ${current.pinAttempts})`,
+            timestamp: Date.now()
+        });
+
+        if (current.pinAttempts < MAX_PIN_ATTEMPTS) {
+            await promptForPin(agentId);
+        }
+    }
+
+    /**
+     * Whether an agent can cut off the child's network access instead of
+     * killing browsers (Linux agents with nftables or iptables, unless the
+     * child's networkBlock setting turns it off)
+     */
+    function canBlockNetwork(agentId, childId) {
+        const agent = state.agents[agentId];
+        return agent?.platform === 'linux' &&
+            !agent.networkBlockUnavailable &&
+            state.children[childId]?.networkBlock?.enabled !== false &&
+            getChildUsers(agentId, childId).length > 0;
+    }
+
+    /**
+     * Cut off outbound traffic from the child's accounts on an agent
+     * Loopback and the child's networkBlock.allowedHosts stay reachable.
+     * Does nothing if the child is already cut off there.
+     * @param {string} agentId
+     * @param {string} childId
+     * @param {Object} options
+     * @param {boolean} options.notify - Tell the child (default true)
+     */
+    async function blockNetwork(agentId, childId, { notify = true } = {}) {
+        const agent = state.agents[agentId];
+        if (!agent || agent.networkBlock?.childId === childId) return;
+
+        const usernames = getChildUsers(agentId, childId);
+        agent.networkBlock = { childId, usernames, since: Date.now() };
+        configurationUpdate(state);
+
+        await agentService.triggerAction(agentId, {
+            pluginId: 'allow2automate-operating-system',
+            actionId: 'network-block',
+            args: {
+                usernames,
+                allowedHosts: getAllowedHosts(childId),
+                reason: 'internet_quota_exhausted'
+            }
+        });
+
+        if (!notify) return;
+        await agentService.triggerAction(agentId, {
+            pluginId: 'allow2automate-operating-system',
+            actionId: 'show-warning',
+            args: {
+                title: 'Internet Time Exhausted',
+                message: 'Internet access is now blocked. Internet time quota has been reached.',
+                urgency: 'normal'
+            }
+        });
+    }
+
+    /**
+     * Hosts the child can still reach while cut off - invalid entries in
+     * stored state are skipped, as they end up in firewall rules
+     */
+    function getAllowedHosts(childId) {
+        const hosts = [];
+        for (const value of state.children[childId]?.networkBlock?.allowedHosts || []) {
+            try {
+                hosts.push(normalizeAllowedHost(value));
+            } catch (error) {
+                console.error(`[OS Plugin] Ignoring allowed host: ${error.message}`);
+            }
+        }
+        return hosts;
+    }
 
-        // Notify renderer
-        if (context.sendToRenderer) {
-            context.sendToRenderer('osQuotaWarning', {
-                agentId,
-                type,
-                remaining: minutesRemaining
-            });
+    /**
+     * Normalize a host that stays reachable during a network block, throwing
+     * if it isn't a host name, an IP address or a CIDR range
+     */
+    function normalizeAllowedHost(value) {
+        const host = String(value || '').trim().toLowerCase();
+        const [address, prefix, ...rest] = host.split('/');
+        // Zone ids (fe80::1%eth0) aren't valid in firewall rules
+        const version = address.includes('%') ? 0 : net.isIP(address);
+
+        if (version && prefix === undefined) return address;
+        if (version && rest.length === 0 && /^\d{1,3}$/.test(prefix) &&
+            Number(prefix) <= (version === 4 ? 32 : 128)) {
+            return `${address}/${Number(prefix)}`;
+        }
+        if (!version && prefix === undefined && host.length <= 253 &&
+            /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$/.test(host)) {
+            return host;
         }
+        throw new Error(`Invalid allowed host "${value}" - expected a host name, IP address or CIDR range`);
     }
 
     /**
-     * Enforce logout on agent
+     * Lift a network block on an agent
+     * @param {string} agentId
+     * @param {string} reason - Why the block was lifted (for the activity log)
      */
-    async function enforceLogout(agentId, childId, reason) {
+    async function unblockNetwork(agentId, reason) {
         const agent = state.agents[agentId];
-        if (!agent) return;
+        if (!agent?.networkBlock) return;
 
-        console.log(`[OS Plugin] Enforcing logout on ${agent.hostname}: ${reason}`);
-
-        // Show final warning
-        await agentService.triggerAction(agentId, {
-            pluginId: 'allow2automate-operating-system',
-            actionId: 'show-warning',
-            args: {
-                title: 'Time is up!',
-                message: `Logging out in ${state.settings.gracePeriod} seconds. Please save your work.`,
-                urgency: 'critical'
-            }
-        });
+        delete agent.networkBlock;
+        configurationUpdate(state);
 
-        // Schedule logout after grace period
-        setTimeout(async () => {
+        if (!agentService) return;
+        try {
             await agentService.triggerAction(agentId, {
                 pluginId: 'allow2automate-operating-system',
-                actionId: 'logout-user',
-                args: {
-                    username: agent.currentSession?.username,
-                    reason
-                }
+                actionId: 'network-unblock',
+                args: { reason }
             });
-        }, state.settings.gracePeriod * 1000);
+        } catch (error) {
+            console.error(`[OS Plugin] Error lifting the network block on ${agent.hostname || agentId}:`, error);
+        }
 
-        // Log violation
-        logViolation({
-            type: 'quota_exhausted',
+        logActivity({
+            type: 'network_unblocked',
+            message: `Internet access restored on ${agent.hostname || agentId}: ${reason}`,
             agentId,
-            hostname: agent.hostname,
-            reason,
             timestamp: Date.now()
         });
+    }
 
-        // Notify renderer
-        if (context.sendToRenderer) {
-            context.sendToRenderer('osQuotaExhausted', {
+    /**
+     * Lift every network block (plugin disabled or removed)
+     */
+    async function unblockNetworks(reason) {
+        for (const agentId of Object.keys(state.agents)) {
+            await unblockNetwork(agentId, reason);
+        }
+    }
+
+    /**
+     * Handle the agent's answer to a network block
+     * If the firewall couldn't be changed the agent falls back to killing browsers
+     */
+    async function handleNetworkBlockResponse(agentId, result) {
+        const agent = state.agents[agentId];
+        if (!agent?.networkBlock) return;
+
+        const { childId } = agent.networkBlock;
+        if (result.success) {
+            logActivity({
+                type: 'network_blocked',
+                message: `Internet access blocked on ${agent.hostname || agentId} for ${agent.networkBlock.usernames.join(', ')} (${result.method})`,
                 agentId,
-                hostname: agent.hostname,
-                type: 'computer',
-                reason
+                timestamp: Date.now()
             });
+            return;
         }
+
+        delete agent.networkBlock;
+        agent.networkBlockUnavailable = result.error || 'Network block failed';
+        logActivity({
+            type: 'network_block_failed',
+            message: `Could not block internet access on ${agent.hostname || agentId} (${agent.networkBlockUnavailable}) - closing browsers instead`,
+            agentId,
+            timestamp: Date.now()
+        });
+        configurationUpdate(state);
+
+        await blockBrowsers(agentId, childId);
     }
 
     /**
-     * Block browsers on agent
+     * Block browsers (and online apps) on agent
      */
     async function blockBrowsers(agentId, childId) {
         const agent = state.agents[agentId];
         if (!agent) return;
 
-        const browserProcesses = agent.currentProcessData?.browsers || [];
+        const browserProcesses = [
+            ...(agent.currentProcessData?.browsers || []),
+            ...(agent.currentProcessData?.internetApps || [])
+        ];
 
         for (const browser of browserProcesses) {
             await agentService.triggerAction(agentId, {
@@ -610,47 +3673,163 @@ function plugin(context) {
         });
     }
 
+    /**
+     * Bedtime rule for the night starting on the given day
+     * Per-night entries win over the school-night and weekend rules, which win
+     * over the top-level start/end (legacy `time` with no end runs to midnight)
+     * @returns {Object|null} { start, end } as HH:MM
+     */
+    function getBedtimeRule(rules, dayName) {
+        if (rules.nights && dayName in rules.nights) {
+            const rule = rules.nights[dayName];
+            return rule && rule.enabled !== false ? rule : null;
+        }
+
+        for (const group of ['schoolNights', 'weekends']) {
+            const rule = rules[group];
+            if (rule && rule.enabled !== false && (rule.days || BEDTIME_NIGHTS[group]).includes(dayName)) {
+                return rule;
+            }
+        }
+
+        const start = rules.start || rules.time;
+        if (start && (!rules.days || rules.days.includes(dayName))) {
+            return { start, end: rules.end || '00:00' };
+        }
+
+        return null;
+    }
+
+    /**
+     * Bedtime window for the night starting on the given date
+     * A window whose end is at or before its start ends the next morning
+     * @returns {Object|null} { start, end } as Dates
+     */
+    function getBedtimeWindow(rules, date) {
+        const rule = getBedtimeRule(rules, DAY_NAMES[date.getDay()]);
+        if (!rule?.start) return null;
+
+        const startMinutes = parseTimeOfDay(rule.start);
+        const endMinutes = parseTimeOfDay(rule.end || '00:00');
+
+        const start = new Date(date);
+        start.setHours(Math.floor(startMinutes / 60), startMinutes % 60, 0, 0);
+
+        const end = new Date(date);
+        if (endMinutes <= startMinutes) {
+            end.setDate(end.getDate() + 1);
+        }
+        end.setHours(Math.floor(endMinutes / 60), endMinutes % 60, 0, 0);
+
+        return { start, end, wakeTime: rule.end };
+    }
+
+    /**
+     * Where a child is relative to bedtime
+     * Last night's window is checked too, so the morning part of a window
+     * that crossed midnight still applies
+     * @returns {Object|null} { active, start, end, wakeTime } or null when
+     *   bedtime is over and there is none later today
+     */
+    function getBedtimeStatus(childId, now) {
+        const rules = state.children[childId]?.bedtime;
+        if (!rules?.enabled) return null;
+
+        const yesterday = new Date(now);
+        yesterday.setDate(yesterday.getDate() - 1);
+
+        for (const day of [yesterday, now]) {
+            const window = getBedtimeWindow(rules, day);
+            if (window && now >= window.start && now < window.end) {
+                return { active: true, ...window };
+            }
+        }
+
+        const tonight = getBedtimeWindow(rules, now);
+        if (tonight && tonight.start > now) {
+            return { active: false, ...tonight };
+        }
+
+        return null;
+    }
+
     /**
      * Check bedtime for an agent
      */
     async function checkBedtime(agentId, childId) {
-        const childConfig = state.children[childId];
-        if (!childConfig?.bedtime?.enabled) return;
+        const now = getAgentDate(agentId);
+        const bedtime = getBedtimeStatus(childId, now);
 
-        const rules = childConfig.bedtime;
-        const now = new Date();
-        const dayName = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'][now.getDay()];
+        // Bedtime is over (or not tonight) - release a bedtime lockout
+        if (!bedtime?.active && enforcement.get(agentId)?.cause === 'bedtime') {
+            await cancelEnforcement(agentId, 'Bedtime is over.');
+        }
 
-        if (!rules.days.includes(dayName)) return;
+        if (!bedtime) return;
 
-        const [hour, minute] = rules.time.split(':').map(Number);
-        const bedtime = new Date(now);
-        bedtime.setHours(hour, minute, 0, 0);
+        if (bedtime.active) {
+            // Bedtime reached - run the child's escalation ladder
+            const reason = bedtime.wakeTime ? `Bedtime until ${bedtime.wakeTime}` : 'Bedtime reached';
+            await enforceEscalation(agentId, childId, reason, { cause: 'bedtime' });
+            return;
+        }
 
-        const minutesUntilBedtime = (bedtime - now) / 60000;
+        // Warn once per threshold per night
+        const minutesUntilBedtime = (bedtime.start - now) / 60000;
+        const due = state.settings.warningTimes.filter(minutes => minutesUntilBedtime <= minutes);
+        if (due.length === 0) return;
 
-        if (minutesUntilBedtime <= 0) {
-            // Bedtime reached - logout
-            await enforceLogout(agentId, childId, 'Bedtime reached');
-        } else if (minutesUntilBedtime <= 15) {
-            // Warning
-            await agentService.triggerAction(agentId, {
-                pluginId: 'allow2automate-operating-system',
-                actionId: 'show-warning',
-                args: {
-                    title: 'Bedtime Soon',
-                    message: `Computer will log out in ${Math.ceil(minutesUntilBedtime)} minutes for bedtime.`,
-                    urgency: minutesUntilBedtime <= 5 ? 'critical' : 'normal'
-                }
+        let warned = bedtimeWarnings.get(agentId);
+        if (!warned || warned.night !== bedtime.start.getTime()) {
+            warned = { night: bedtime.start.getTime(), minutes: [] };
+            bedtimeWarnings.set(agentId, warned);
+        }
+
+        if (due.every(minutes => warned.minutes.includes(minutes))) return;
+        warned.minutes.push(...due.filter(minutes => !warned.minutes.includes(minutes)));
+
+        const minutes = Math.ceil(minutesUntilBedtime);
+        await agentService.triggerAction(agentId, {
+            pluginId: 'allow2automate-operating-system',
+            actionId: 'show-warning',
+            args: {
+                title: 'Bedtime Soon',
+                message: `Computer will log out in ${minutes} minute${minutes === 1 ? '' : 's'} for bedtime.`,
+                urgency: minutes <= 5 ? 'critical' : 'normal'
+            }
+        });
+
+        if (context.sendToRenderer) {
+            context.sendToRenderer('osBedtimeWarning', {
+                agentId,
+                minutes
             });
+        }
+    }
 
-            if (context.sendToRenderer) {
-                context.sendToRenderer('osBedtimeWarning', {
-                    agentId,
-                    minutes: Math.ceil(minutesUntilBedtime)
-                });
+    /**
+     * Names of the schedules currently active for the child linked to an agent
+     */
+    function getAgentScheduleNames(agentId) {
+        const childId = state.agents[agentId]?.childId;
+        if (!childId) return [];
+        return getActiveSchedules(childId, getAgentDate(agentId)).map(schedule => schedule.name);
+    }
+
+    /**
+     * Application limit and category quota status for every child with
+     * either configured
+     * @returns {Object} childId -> { apps: [...], categories: [...] }
+     */
+    function getUsageLimitsByChild() {
+        const result = {};
+        for (const [childId, childConfig] of Object.entries(state.children)) {
+            if ((childConfig.appLimits || []).length > 0 ||
+                Object.keys(childConfig.categoryQuotas || {}).length > 0) {
+                result[childId] = getUsageLimitStatus(childId);
             }
         }
+        return result;
     }
 
     /**
@@ -670,6 +3849,9 @@ function plugin(context) {
                         recentViolations: state.violations.slice(0, 10),
                         settings: state.settings,
                         lastSync: state.lastSync,
+                        queuedUsage: state.usageQueue.length,
+                        degraded: allow2Status,
+                        usageLimits: getUsageLimitsByChild(),
                         serviceUnavailable: true
                     }];
                 }
@@ -687,11 +3869,18 @@ function plugin(context) {
                         platform: a.platform,
                         online: a.online,
                         childId: state.agents[a.id]?.childId,
-                        enabled: state.agents[a.id]?.enabled
+                        enabled: state.agents[a.id]?.enabled,
+                        activeSchedules: getAgentScheduleNames(a.id),
+                        enforcement: getEnforcementSummary(a.id)
                     })),
                     recentViolations: state.violations.slice(0, 10),
                     settings: state.settings,
-                    lastSync: state.lastSync
+                    lastSync: state.lastSync,
+                    queuedUsage: state.usageQueue.length,
+                    degraded: allow2Status,
+                    extensions: state.extensions,
+                    usageLimits: getUsageLimitsByChild(),
+                    parentPinSet: !!parentPin
                 }];
             } catch (error) {
                 return [error];
@@ -713,7 +3902,16 @@ function plugin(context) {
                         online: a.online,
                         childId: state.agents[a.id]?.childId,
                         enabled: state.agents[a.id]?.enabled,
-                        currentSession: state.agents[a.id]?.currentSession
+                        currentSession: state.agents[a.id]?.currentSession,
+                        sessions: state.agents[a.id]?.sessions || [],
+                        activeSchedules: getAgentScheduleNames(a.id),
+                        focusModeActive: !!state.agents[a.id]?.focusModeActive,
+                        focusModeExpiresAt: state.agents[a.id]?.focusModeExpiresAt,
+                        enforcement: getEnforcementSummary(a.id),
+                        timeZone: state.agents[a.id]?.timeZone,
+                        utcOffset: state.agents[a.id]?.utcOffset,
+                        foreground: getForegroundSummary(state.agents[a.id]),
+                        networkBlocked: !!state.agents[a.id]?.networkBlock
                     }))
                 }];
             } catch (error) {
@@ -732,6 +3930,8 @@ function plugin(context) {
                 state.agents[agentId].enabled = true;
 
                 configurationUpdate(state);
+                await applyWebFilter(agentId);
+                await deployBlockWatcher(agentId);
                 return [null, { success: true }];
             } catch (error) {
                 return [error];
@@ -746,14 +3946,15 @@ function plugin(context) {
                     state.agents[agentId].enabled = false;
                 }
 
-                // Clear any scheduled shutdown
-                const timer = shutdownTimers.get(agentId);
-                if (timer) {
-                    clearTimeout(timer);
-                    shutdownTimers.delete(agentId);
-                }
+                // Clear any scheduled shutdown or running escalation
+                resetEnforcement(agentId);
+                bedtimeWarnings.delete(agentId);
+                appRuns.delete(agentId);
+                await unblockNetwork(agentId, 'Computer unlinked');
 
                 configurationUpdate(state);
+                await applyWebFilter(agentId);
+                await deployBlockWatcher(agentId);
                 return [null, { success: true }];
             } catch (error) {
                 return [error];
@@ -774,6 +3975,7 @@ function plugin(context) {
                 }
 
                 configurationUpdate(state);
+                await deployBlockWatcher(agentId);
                 return [null, { success: true }];
             } catch (error) {
                 return [error];
@@ -785,6 +3987,7 @@ function plugin(context) {
             try {
                 state.parentAccounts[agentId] = accounts || [];
                 configurationUpdate(state);
+                await deployBlockWatcher(agentId);
                 return [null, { success: true }];
             } catch (error) {
                 return [error];
@@ -794,18 +3997,168 @@ function plugin(context) {
         // Update child settings
         ipcMain.handle('os:updateChildSettings', async (event, { childId, settings }) => {
             try {
+                // Reject invalid rules rather than silently ignoring them later
+                for (const rule of [
+                    ...(settings.blockedProcesses || []),
+                    ...(settings.allowlist?.allowedProcesses || [])
+                ]) {
+                    normalizeBlockRule(rule);
+                }
+                for (const limit of settings.appLimits || []) {
+                    normalizeAppLimit(limit);
+                }
+                for (const [category, minutes] of Object.entries(settings.categoryQuotas || {})) {
+                    validateCategoryQuota(category, minutes);
+                }
+                if (settings.networkBlock?.allowedHosts) {
+                    settings.networkBlock = {
+                        ...settings.networkBlock,
+                        allowedHosts: settings.networkBlock.allowedHosts.map(normalizeAllowedHost)
+                    };
+                }
+                if (settings.webFilter) {
+                    settings.webFilter = {
+                        ...settings.webFilter,
+                        blockedDomains: (settings.webFilter.blockedDomains || []).map(normalizeDomain)
+                    };
+                }
+
                 state.children[childId] = {
                     ...state.children[childId],
                     ...settings
                 };
 
                 configurationUpdate(state);
+
+                if (settings.blockedProcesses) {
+                    await deployBlockWatchers({ childId });
+                }
+                if (settings.webFilter) {
+                    for (const agentId of Object.keys(state.agents)) {
+                        if (state.agents[agentId].childId === childId) {
+                            await applyWebFilter(agentId);
+                        }
+                    }
+                }
+                return [null, { success: true }];
+            } catch (error) {
+                return [error];
+            }
+        });
+
+        // Preview which processes in an agent's last report a block rule would match
+        ipcMain.handle('os:testBlockRule', async (event, { agentId, rule }) => {
+            try {
+                const agent = state.agents[agentId];
+                if (!agent) {
+                    return [new Error('Agent not found')];
+                }
+                if (!agent.currentProcessData) {
+                    return [new Error('No process report from this agent yet')];
+                }
+
+                const normalized = normalizeBlockRule(rule);
+                const matches = (agent.currentProcessData.processes || [])
+                    .filter(proc => matchesBlockRule(normalized, proc, agent.platform))
+                    .map(proc => ({ pid: proc.pid, name: proc.name, path: proc.path, args: proc.args }));
+
+                return [null, {
+                    label: normalized.label,
+                    matches,
+                    processCount: (agent.currentProcessData.processes || []).length,
+                    reportedAt: agent.currentProcessData.timestamp
+                }];
+            } catch (error) {
+                return [error];
+            }
+        });
+
+        // Get the application catalog (built-in entries merged with the parent's changes)
+        ipcMain.handle('os:getCatalog', async () => {
+            try {
+                return [null, {
+                    entries: appCatalog.buildCatalog(state.catalog),
+                    categories: appCatalog.CATEGORIES
+                }];
+            } catch (error) {
+                return [error];
+            }
+        });
+
+        // Add or update a parent-added catalog entry
+        ipcMain.handle('os:saveCatalogEntry', async (event, { entry }) => {
+            try {
+                const normalized = normalizeCatalogEntry(entry);
+                state.catalog.entries = [
+                    ...state.catalog.entries.filter(existing => existing.id !== normalized.id),
+                    normalized
+                ];
+
+                await updateCatalog(`Catalog entry "${normalized.name}" saved as ${normalized.category}`);
+                return [null, { entry: normalized }];
+            } catch (error) {
+                return [error];
+            }
+        });
+
+        // Reclassify an application from the recent applications list
+        // (internetApp optionally sets whether it counts toward internet time)
+        ipcMain.handle('os:classifyApp', async (event, { catalogId, processName, category, internetApp }) => {
+            try {
+                if (!appCatalog.CATEGORIES.includes(category)) {
+                    return [new Error(`Unknown category "${category}"`)];
+                }
+
+                const builtin = appCatalog.BUILTIN_ENTRIES.find(entry => entry.id === catalogId);
+                const custom = state.catalog.entries.find(entry => entry.id === catalogId);
+                const changes = internetApp === undefined ? { category } : { category, internetApp: !!internetApp };
+                let name;
+                if (builtin) {
+                    state.catalog.overrides[catalogId] = { ...state.catalog.overrides[catalogId], ...changes };
+                    name = builtin.name;
+                } else if (custom) {
+                    Object.assign(custom, changes);
+                    name = custom.name;
+                } else if (processName) {
+                    // Not in the catalog yet - add it by exact process name
+                    const entry = normalizeCatalogEntry({ name: processName, ...changes, match: 'exact', pattern: processName });
+                    state.catalog.entries.push(entry);
+                    name = processName;
+                } else {
+                    return [new Error('Application not found')];
+                }
+
+                await updateCatalog(`${name} reclassified as ${category}${
+                    internetApp === undefined ? '' : (internetApp ? ' (online app)' : ' (not an online app)')
+                }`);
+                return [null, { success: true }];
+            } catch (error) {
+                return [error];
+            }
+        });
+
+        // Undo a reclassification, or remove a parent-added entry
+        ipcMain.handle('os:resetCatalogEntry', async (event, { id }) => {
+            try {
+                delete state.catalog.overrides[id];
+                state.catalog.entries = state.catalog.entries.filter(entry => entry.id !== id);
+
+                await updateCatalog(`Catalog entry ${id} reset`);
                 return [null, { success: true }];
             } catch (error) {
                 return [error];
             }
         });
 
+        // Applications seen in the latest process reports (for reclassifying)
+        ipcMain.handle('os:getRecentApps', async () => {
+            try {
+                return [null, { apps: getRecentApps(), categories: appCatalog.CATEGORIES }];
+            } catch (error) {
+                return [error];
+            }
+        });
+
         // Get violations
         ipcMain.handle('os:getViolations', async (event, { limit = 50 }) => {
             try {
@@ -835,6 +4188,15 @@ function plugin(context) {
             }
         });
 
+        // Get usage report (computer/internet seconds per child, agent and day)
+        ipcMain.handle('os:getUsageReport', async (event, { childId, period, from, to } = {}) => {
+            try {
+                return [null, buildUsageReport({ childId, period, from, to })];
+            } catch (error) {
+                return [error];
+            }
+        });
+
         // Get settings
         ipcMain.handle('os:getSettings', async () => {
             try {
@@ -847,22 +4209,35 @@ function plugin(context) {
         // Update settings
         ipcMain.handle('os:updateSettings', async (event, { settings }) => {
             try {
+                for (const [key, { min, max }] of Object.entries(NUMERIC_SETTINGS)) {
+                    if (key in settings && !(Number.isInteger(settings[key]) && settings[key] >= min && settings[key] <= max)) {
+                        return [new Error(`${key} must be a whole number from ${min} to ${max}`)];
+                    }
+                }
+
                 state.settings = { ...state.settings, ...settings };
 
+                // Restart usage logging if its cadence changed
+                if (settings.usageReportInterval) {
+                    startUsageReporting();
+                }
+
+                // The block watcher only kills when kills are on
+                if ('killOnViolation' in settings) {
+                    await deployBlockWatchers();
+                }
+
                 // Update monitor intervals on agents if changed
                 if (settings.monitorInterval) {
                     const agents = await agentService.listAgents();
                     for (const agent of agents) {
-                        await agentService.updateMonitor(agent.id, {
-                            pluginId: 'allow2automate-operating-system',
-                            monitorId: sessionMonitor.id,
-                            interval: settings.monitorInterval
-                        });
-                        await agentService.updateMonitor(agent.id, {
-                            pluginId: 'allow2automate-operating-system',
-                            monitorId: processMonitor.id,
-                            interval: settings.monitorInterval
-                        });
+                        for (const monitor of [sessionMonitor, processMonitor, foregroundMonitor]) {
+                            await agentService.updateMonitor(agent.id, {
+                                pluginId: 'allow2automate-operating-system',
+                                monitorId: monitor.id,
+                                interval: settings.monitorInterval
+                            });
+                        }
                     }
                 }
 
@@ -888,6 +4263,38 @@ function plugin(context) {
             }
         });
 
+        // Grant extra minutes to a child on one agent (or every agent if agentId is omitted)
+        ipcMain.handle('os:grantExtension', async (event, { childId, agentId, minutes }) => {
+            try {
+                const targetChildId = childId || state.agents[agentId]?.childId;
+                await grantExtension({ childId: targetChildId, agentId: agentId || null, minutes });
+                return [null, { success: true }];
+            } catch (error) {
+                return [error];
+            }
+        });
+
+        // Set (or clear, with an empty pin) the parent PIN used for extensions on agents
+        ipcMain.handle('os:setParentPin', async (event, { pin }) => {
+            try {
+                if (!pin) {
+                    saveParentPin(null);
+                    parentPin = null;
+                } else if (!/^\d{4,8}$/.test(String(pin))) {
+                    return [new Error('PIN must be 4 to 8 digits')];
+                } else {
+                    const salt = crypto.randomBytes(16).toString('hex');
+                    const record = { salt, hash: hashPin(pin, salt) };
+                    saveParentPin(record);
+                    parentPin = record;
+                }
+
+                return [null, { success: true, parentPinSet: !!parentPin }];
+            } catch (error) {
+                return [error];
+            }
+        });
+
         // Lock session on agent
         ipcMain.handle('os:lockSession', async (event, { agentId }) => {
             try {
@@ -903,24 +4310,28 @@ function plugin(context) {
         });
 
         // Trigger focus mode
-        ipcMain.handle('os:triggerFocusMode', async (event, { agentId, enabled, childId }) => {
+        // Blocks focusMode.blockedCategories on the agent, optionally for a limited time
+        ipcMain.handle('os:triggerFocusMode', async (event, { agentId, enabled, childId, durationMinutes }) => {
             try {
-                const childConfig = state.children[childId];
+                const childConfig = state.children[childId || state.agents[agentId]?.childId];
                 if (!childConfig?.focusMode) {
                     return [new Error('Focus mode not configured for this child')];
                 }
 
-                // Focus mode would hide icons and block distracting processes
-                // This would require additional action scripts deployed to agents
-                // For now, we track the state and can block processes via the process monitor
-
                 if (!state.agents[agentId]) {
                     state.agents[agentId] = { id: agentId };
                 }
-                state.agents[agentId].focusModeActive = enabled;
 
-                configurationUpdate(state);
-                return [null, { success: true, focusModeActive: enabled }];
+                await setFocusMode(agentId, enabled, {
+                    durationMinutes: durationMinutes ?? childConfig.focusMode.durationMinutes,
+                    reason: enabled ? 'started by parent' : 'stopped by parent'
+                });
+
+                return [null, {
+                    success: true,
+                    focusModeActive: enabled,
+                    focusModeExpiresAt: state.agents[agentId].focusModeExpiresAt
+                }];
             } catch (error) {
                 return [error];
             }
@@ -962,6 +4373,14 @@ function plugin(context) {
         }
     }
 
+    /**
+     * getUsageReport - Plugin action declared in package.json
+     * @param {Object} params - { childId, period, from, to } (see buildUsageReport)
+     */
+    osPlugin.getUsageReport = async function(params) {
+        return buildUsageReport(params);
+    };
+
     /**
      * newState - Handle configuration updates from renderer
      * @param {Object} newState - Updated state
@@ -979,17 +4398,36 @@ function plugin(context) {
         console.log(`[OS Plugin] ${enabled ? 'enabled' : 'disabled'}`);
 
         if (enabled) {
+            startUsageReporting();
+            restoreFocusMode();
+            await applyWebFilters();
+            await deployBlockWatchers();
+
             statusUpdate({
                 status: 'connected',
                 message: 'OS monitoring active',
                 timestamp: Date.now()
             });
         } else {
-            // Clear all scheduled shutdowns
-            for (const timer of shutdownTimers.values()) {
+            // Clear all scheduled shutdowns and running escalations
+            for (const agentId of Array.from(agentTimers.keys())) {
+                clearAgentTimers(agentId);
+            }
+            enforcement.clear();
+
+            // Clear focus mode expiry timers (restored on next load)
+            for (const timer of focusTimers.values()) {
                 clearTimeout(timer);
             }
-            shutdownTimers.clear();
+            focusTimers.clear();
+
+            stopUsageReporting();
+
+            // Restore the original hosts files and network access, and stop
+            // the block watchers
+            await applyWebFilters({ clear: true });
+            await unblockNetworks('Monitoring paused');
+            await deployBlockWatchers({ clear: true });
 
             statusUpdate({
                 status: 'disconnected',
@@ -1008,24 +4446,40 @@ function plugin(context) {
     osPlugin.onUnload = async function(callback) {
         console.log('[OS Plugin] Unloading...');
 
-        // Clear all scheduled shutdowns
-        for (const timer of shutdownTimers.values()) {
+        // Clear all scheduled shutdowns and running escalations
+        for (const agentId of Array.from(agentTimers.keys())) {
+            clearAgentTimers(agentId);
+        }
+        enforcement.clear();
+
+        for (const timer of focusTimers.values()) {
             clearTimeout(timer);
         }
-        shutdownTimers.clear();
+        focusTimers.clear();
+
+        // Final usage report - anything not logged stays queued in state
+        stopUsageReporting();
+        try {
+            await reportUsage();
+        } catch (error) {
+            console.error('[OS Plugin] Error reporting usage:', error);
+        }
+
+        // Restore the original hosts files and network access
+        await applyWebFilters({ clear: true });
+        await unblockNetworks('Plugin removed');
 
         // Remove monitors and actions from agents
         try {
             const agents = await agentService.listAgents();
             for (const agent of agents) {
-                await agentService.removeMonitor(agent.id, {
-                    pluginId: 'allow2automate-operating-system',
-                    monitorId: sessionMonitor.id
-                });
-                await agentService.removeMonitor(agent.id, {
-                    pluginId: 'allow2automate-operating-system',
-                    monitorId: processMonitor.id
-                });
+                // The resident watcher exits by itself once its monitor stops
+                for (const monitor of [sessionMonitor, processMonitor, foregroundMonitor, blockWatcher]) {
+                    await agentService.removeMonitor(agent.id, {
+                        pluginId: 'allow2automate-operating-system',
+                        monitorId: monitor.id
+                    });
+                }
             }
         } catch (error) {
             console.error('[OS Plugin] Error during cleanup:', error);
@@ -0,0 +1,401 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+const { getPrivateDirectory } = require('./private-directory');
+
+/**
+ * Block Watcher - Deployed to agents to kill blocked applications within a second
+ * The process monitor only sees a blocked game every monitorInterval, so on
+ * Linux a small watcher process stays resident on the agent, polls /proc
+ * twice a second and kills the child's processes matching the block rules
+ * itself. This monitor (run every few seconds) keeps the watcher running
+ * with the rules it was deployed with and reports the kills it made.
+ * The watcher exits on its own once this monitor stops running.
+ */
+module.exports = {
+    id: 'os-block-watcher',
+    platforms: ['linux'],
+
+    // How often kills are collected and the watcher is checked on (ms)
+    interval: 5000,
+
+    /**
+     * This function is serialized and sent to the agent for execution
+     * It runs in a sandboxed environment on the remote machine
+     * @param {Object} config - Rules and accounts (see buildScript)
+     * @param {string} watcherSource - Source of the resident watcher
+     * @param {Function} getDirectory - Private directory for the watcher's
+     *   files (see private-directory.js)
+     */
+    script: function(config, watcherSource, getDirectory) {
+        const fs = require('fs');
+        const path = require('path');
+        const { execSync, spawn } = require('child_process');
+
+        /**
+         * Numeric UIDs for the usernames (root and unknown accounts are skipped)
+         */
+        function getUids(usernames) {
+            const passwd = {};
+            try {
+                for (const line of fs.readFileSync('/etc/passwd', 'utf8').split('\n')) {
+                    const [name, , uid] = line.split(':');
+                    if (name && uid) passwd[name.toLowerCase()] = parseInt(uid);
+                }
+            } catch (error) {
+                // Fall back to id for every account
+            }
+
+            const uids = [];
+            for (const username of usernames) {
+                let uid = passwd[username.toLowerCase()];
+                if (uid === undefined && /^[a-z_][a-z0-9_.-]*\$?$/i.test(username)) {
+                    try {
+                        uid = parseInt(execSync(`id -u -- ${username}`, { encoding: 'utf8', timeout: 5000 }));
+                    } catch (error) {
+                        // Directory accounts that aren't reachable right now
+                    }
+                }
+                if (uid > 0 && !uids.includes(uid)) uids.push(uid);
+            }
+            return uids;
+        }
+
+        /**
+         * Whether the watcher recorded in the pid file is still running
+         */
+        function isWatcherRunning(files) {
+            try {
+                const pid = parseInt(fs.readFileSync(files.pid, 'utf8'));
+                const cmdline = fs.readFileSync(`/proc/${pid}/cmdline`, 'utf8');
+                return cmdline.includes(files.script);
+            } catch (error) {
+                return false;
+            }
+        }
+
+        /**
+         * Kills the watcher logged since the last run (the log is moved aside
+         * first so none are lost or reported twice)
+         */
+        function collectKills(files) {
+            const reading = `${files.log}.reading`;
+            try {
+                fs.renameSync(files.log, reading);
+            } catch (error) {
+                return [];
+            }
+
+            const kills = [];
+            try {
+                for (const line of fs.readFileSync(reading, 'utf8').split('\n')) {
+                    if (!line.trim()) continue;
+                    try {
+                        kills.push(JSON.parse(line));
+                    } catch (error) {
+                        // Partly written line
+                    }
+                }
+            } finally {
+                fs.unlinkSync(reading);
+            }
+            return kills;
+        }
+
+        const result = {
+            timestamp: Date.now(),
+            watching: false,
+            kills: []
+        };
+
+        try {
+            const dir = getDirectory();
+            const files = {
+                script: path.join(dir, 'block-watcher.js'),
+                config: path.join(dir, 'block-watcher.json'),
+                pid: path.join(dir, 'block-watcher.pid'),
+                log: path.join(dir, 'block-watcher.log')
+            };
+
+            result.kills = collectKills(files);
+
+            const uids = getUids(config.usernames || []);
+            if ((config.rules || []).length === 0 || uids.length === 0) {
+                // Nothing to watch - the watcher exits when its config is gone
+                try {
+                    fs.unlinkSync(files.config);
+                } catch (error) {
+                    // Not running
+                }
+                return result;
+            }
+
+            // Rewrite the config when it changed, otherwise just touch it -
+            // the watcher exits when it stops being touched
+            const content = JSON.stringify({
+                rules: config.rules,
+                uids,
+                pollInterval: config.pollInterval || 500
+            });
+            let existing = null;
+            try {
+                existing = fs.readFileSync(files.config, 'utf8');
+            } catch (error) {
+                // First run
+            }
+            if (existing === content) {
+                const now = new Date();
+                fs.utimesSync(files.config, now, now);
+            } else {
+                fs.writeFileSync(files.config, content, { mode: 0o600 });
+            }
+
+            const source = `(${watcherSource})();\n`;
+            let existingSource = null;
+            try {
+                existingSource = fs.readFileSync(files.script, 'utf8');
+            } catch (error) {
+                // First run
+            }
+            if (existingSource !== source) {
+                fs.writeFileSync(files.script, source, { mode: 0o600 });
+            }
+
+            if (!isWatcherRunning(files)) {
+                const child = spawn(process.execPath, [files.script, files.config, files.pid, files.log], {
+                    detached: true,
+                    stdio: 'ignore',
+                    // The agent may be an Electron app
+                    env: { ...process.env, ELECTRON_RUN_AS_NODE: '1' }
+                });
+                child.unref();
+                result.started = true;
+            }
+
+            result.watching = true;
+            result.rules = config.rules.length;
+            result.uids = uids;
+        } catch (error) {
+            result.error = error.message;
+        }
+        return result;
+    },
+
+    /**
+     * The resident watcher, run as its own process:
+     * node block-watcher.js <config> <pid file> <kill log>
+     */
+    watcher: function() {
+        const fs = require('fs');
+        const path = require('path');
+        const [configPath, pidPath, logPath] = process.argv.slice(2);
+
+        // Exit once the monitor stops touching the config
+        const STALE_AFTER = 60000;
+
+        /**
+         * Build a tester for one rule pattern (same rules as the parent's)
+         */
+        function compileTest(match, pattern) {
+            if (match === 'regex') {
+                const regex = new RegExp(pattern, 'i');
+                return value => regex.test(value);
+            }
+            if (match === 'glob') {
+                const source = pattern
+                    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+                    .replace(/\*/g, '.*')
+                    .replace(/\?/g, '.');
+                const regex = new RegExp(`^${source}$`, 'i');
+                return value => regex.test(value);
+            }
+            if (match === 'contains') {
+                const needle = pattern.toLowerCase();
+                return value => value.toLowerCase().includes(needle);
+            }
+            if (match === 'path') {
+                const prefix = pattern.replace(/\\/g, '/').toLowerCase();
+                return value => value.replace(/\\/g, '/').toLowerCase().startsWith(prefix);
+            }
+            const name = pattern.toLowerCase().replace(/\.exe$/, '');
+            return value => value.toLowerCase().replace(/\.exe$/, '') === name;
+        }
+
+        /**
+         * Full process name - comm is cut to 15 characters, so a longer name
+         * comes from the executable or the command line (as the process monitor)
+         */
+        function getName(comm, exePath, args) {
+            if (comm.length < 15) return comm;
+
+            const words = args.split(' ');
+            for (const candidate of [exePath, words[0], words[1]]) {
+                if (!candidate) continue;
+                const name = path.basename(candidate.replace(/ \(deleted\)$/, ''));
+                if (name.length > comm.length && name.startsWith(comm)) return name;
+            }
+            return comm;
+        }
+
+        let content = null;
+        let rules = [];
+        let uids = new Set();
+        // Processes already looked at: pid -> { uid, comm, version }
+        const seen = new Map();
+        // Bumped when the rules change so every process is checked again
+        let version = 0;
+        let timer = null;
+
+        function stop() {
+            clearInterval(timer);
+            try {
+                if (fs.readFileSync(pidPath, 'utf8') === String(process.pid)) fs.unlinkSync(pidPath);
+            } catch (error) {
+                // Already gone
+            }
+            process.exit(0);
+        }
+
+        /**
+         * Reload the config if it changed; false when the watcher should stop
+         */
+        function loadConfig() {
+            let stat;
+            let next;
+            try {
+                stat = fs.statSync(configPath);
+                next = fs.readFileSync(configPath, 'utf8');
+            } catch (error) {
+                return false;
+            }
+            if (Date.now() - stat.mtimeMs > STALE_AFTER) return false;
+            if (next === content) return true;
+
+            const config = JSON.parse(next);
+            rules = [];
+            for (const rule of config.rules || []) {
+                try {
+                    rules.push({
+                        ...rule,
+                        usesPath: rule.match === 'path' || (rule.match === 'glob' && /[\/\\]/.test(rule.pattern)),
+                        test: compileTest(rule.match, rule.pattern),
+                        argsTest: rule.args ? compileTest(rule.args.match, rule.args.pattern) : null
+                    });
+                } catch (error) {
+                    // Skip rules this agent can't compile
+                }
+            }
+            uids = new Set(config.uids || []);
+            content = next;
+            version++;
+            return true;
+        }
+
+        function read(file, link) {
+            try {
+                return link ? fs.readlinkSync(file) : fs.readFileSync(file, 'utf8');
+            } catch (error) {
+                return undefined;
+            }
+        }
+
+        function poll() {
+            try {
+                if (!loadConfig()) stop();
+            } catch (error) {
+                // Config being rewritten - keep the previous rules
+            }
+
+            const pids = fs.readdirSync('/proc').filter(name => /^\d+$/.test(name));
+            const alive = new Set(pids);
+            for (const pid of seen.keys()) {
+                if (!alive.has(pid)) seen.delete(pid);
+            }
+
+            for (const pid of pids) {
+                let info = seen.get(pid);
+                if (!info) {
+                    try {
+                        info = { uid: fs.statSync(`/proc/${pid}`).uid };
+                    } catch (error) {
+                        continue;
+                    }
+                    seen.set(pid, info);
+                }
+                if (!uids.has(info.uid)) continue;
+
+                // Check again after an exec (the name changes) or a rule change
+                const comm = read(`/proc/${pid}/comm`);
+                if (comm === undefined || (comm === info.comm && info.version === version)) continue;
+                info.comm = comm;
+                info.version = version;
+
+                const exePath = read(`/proc/${pid}/exe`, true);
+                const args = (read(`/proc/${pid}/cmdline`) || '').replace(/\0/g, ' ').trim().slice(0, 512);
+                const proc = {
+                    pid: parseInt(pid),
+                    name: getName(comm.trim(), exePath, args),
+                    path: exePath,
+                    args
+                };
+                const rule = rules.find(r => {
+                    const target = r.usesPath ? proc.path : proc.name;
+                    if (!target || !r.test(target)) return false;
+                    return !r.argsTest || (!!proc.args && r.argsTest(proc.args));
+                });
+                if (!rule) continue;
+
+                const kill = {
+                    pid: proc.pid,
+                    processName: proc.name,
+                    path: proc.path,
+                    user: info.uid,
+                    label: rule.label,
+                    timestamp: Date.now()
+                };
+                try {
+                    process.kill(proc.pid, 'SIGKILL');
+                    kill.success = true;
+                } catch (error) {
+                    kill.success = false;
+                    kill.error = error.message;
+                }
+                try {
+                    fs.appendFileSync(logPath, `${JSON.stringify(kill)}\n`, { mode: 0o600 });
+                } catch (error) {
+                    // The process monitor will still report it
+                }
+            }
+        }
+
+        fs.writeFileSync(pidPath, String(process.pid), { mode: 0o600 });
+        process.on('SIGTERM', stop);
+
+        if (!loadConfig()) stop();
+        timer = setInterval(poll, JSON.parse(content).pollInterval || 500);
+        poll();
+    },
+
+    /**
+     * Script source with the rules and the watcher built in
+     * Monitors run without arguments, so both are serialized into the source
+     * @param {Object} config - { rules: [{ label, match, pattern, args }],
+     *   usernames: the child's accounts on the agent }
+     */
+    buildScript(config) {
+        return `function() {\n    return (${this.script.toString()})(${JSON.stringify(config)}, ${JSON.stringify(this.watcher.toString())}, ${getPrivateDirectory.toString()});\n}`;
+    }
+};
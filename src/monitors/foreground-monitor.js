@@ -0,0 +1,274 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/**
+ * Foreground Monitor - Deployed to agents to report the focused application
+ * This script runs ON THE AGENT at the configured interval
+ */
+module.exports = {
+    id: 'os-foreground-monitor',
+    platforms: ['linux'],
+
+    /**
+     * This function is serialized and sent to the agent for execution
+     * It runs in a sandboxed environment on the remote machine
+     */
+    script: function() {
+        const fs = require('fs');
+        const path = require('path');
+        const { execSync } = require('child_process');
+        const platform = process.platform;
+
+        // Variables needed to talk to the graphical session
+        const SESSION_VARS = [
+            'DISPLAY', 'XAUTHORITY', 'WAYLAND_DISPLAY', 'XDG_RUNTIME_DIR', 'XDG_CURRENT_DESKTOP',
+            'SWAYSOCK', 'HYPRLAND_INSTANCE_SIGNATURE', 'DBUS_SESSION_BUS_ADDRESS'
+        ];
+
+        /**
+         * Run a command, returning its trimmed output or null on failure
+         */
+        function run(command, env) {
+            try {
+                return execSync(command, {
+                    encoding: 'utf8',
+                    timeout: 5000,
+                    env,
+                    stdio: ['ignore', 'pipe', 'ignore']
+                }).trim();
+            } catch (error) {
+                return null;
+            }
+        }
+
+        /**
+         * Environment of the graphical session
+         * The agent usually runs as a service outside the session, so the
+         * variables are borrowed from a process running inside it
+         */
+        function getSessionEnv() {
+            if (process.env.DISPLAY || process.env.WAYLAND_DISPLAY) {
+                return process.env;
+            }
+
+            let x11Env = null;
+            for (const pid of fs.readdirSync('/proc').filter(name => /^\d+$/.test(name))) {
+                let environ;
+                try {
+                    environ = fs.readFileSync(`/proc/${pid}/environ`, 'utf8');
+                } catch (error) {
+                    continue;
+                }
+
+                const vars = {};
+                for (const pair of environ.split('\0')) {
+                    const index = pair.indexOf('=');
+                    if (index > 0 && SESSION_VARS.includes(pair.slice(0, index))) {
+                        vars[pair.slice(0, index)] = pair.slice(index + 1);
+                    }
+                }
+
+                // A Wayland session's environment also knows its X display
+                if (vars.WAYLAND_DISPLAY) return { ...process.env, ...vars };
+                if (vars.DISPLAY && !x11Env) x11Env = { ...process.env, ...vars };
+            }
+            return x11Env;
+        }
+
+        /**
+         * Focused window on sway (and compositors speaking its IPC)
+         */
+        function getSwayWindow(env) {
+            const output = run('swaymsg -t get_tree', env);
+            if (!output) return null;
+
+            const findFocused = node => node.focused
+                ? node
+                : [...(node.nodes || []), ...(node.floating_nodes || [])].map(findFocused).find(Boolean);
+            const node = findFocused(JSON.parse(output));
+            if (!node?.pid) return null;
+
+            return {
+                pid: node.pid,
+                windowTitle: node.name,
+                windowClass: node.app_id || node.window_properties?.class,
+                method: 'swaymsg'
+            };
+        }
+
+        /**
+         * Focused window on Hyprland
+         */
+        function getHyprlandWindow(env) {
+            const output = run('hyprctl activewindow -j', env);
+            if (!output) return null;
+
+            const window = JSON.parse(output);
+            if (!window?.pid) return null;
+
+            return {
+                pid: window.pid,
+                windowTitle: window.title,
+                windowClass: window.class,
+                method: 'hyprctl'
+            };
+        }
+
+        /**
+         * Focused window on KDE Plasma (Wayland or X11) using kdotool
+         */
+        function getKdeWindow(env) {
+            const id = run('kdotool getactivewindow', env);
+            if (!id) return null;
+
+            const pid = parseInt(run(`kdotool getwindowpid ${id}`, env));
+            if (!pid) return null;
+
+            return {
+                pid,
+                windowTitle: run(`kdotool getwindowname ${id}`, env),
+                windowClass: run(`kdotool getwindowclassname ${id}`, env),
+                method: 'kdotool'
+            };
+        }
+
+        /**
+         * Focused window on X11 using xdotool, falling back to xprop
+         */
+        function getX11Window(env) {
+            const id = run('xdotool getactivewindow', env);
+            if (id) {
+                const pid = parseInt(run(`xdotool getwindowpid ${id}`, env));
+                if (pid) {
+                    return {
+                        pid,
+                        windowTitle: run(`xdotool getwindowname ${id}`, env),
+                        windowClass: run(`xdotool getwindowclassname ${id}`, env),
+                        method: 'xdotool'
+                    };
+                }
+            }
+
+            // _NET_ACTIVE_WINDOW(WINDOW): window id # 0x3a00007
+            const active = run('xprop -root _NET_ACTIVE_WINDOW', env);
+            const windowId = active?.match(/0x[0-9a-f]+/i)?.[0];
+            if (!windowId || parseInt(windowId, 16) === 0) return null;
+
+            const props = run(`xprop -id ${windowId} _NET_WM_PID WM_CLASS _NET_WM_NAME`, env) || '';
+            const pid = parseInt(props.match(/_NET_WM_PID\(CARDINAL\) = (\d+)/)?.[1]);
+            if (!pid) return null;
+
+            return {
+                pid,
+                windowTitle: props.match(/_NET_WM_NAME\([^)]*\) = "(.*)"/)?.[1],
+                // WM_CLASS(STRING) = "Navigator", "firefox" - the class is the second value
+                windowClass: props.match(/WM_CLASS\([^)]*\) = "[^"]*", "([^"]*)"/)?.[1],
+                method: 'xprop'
+            };
+        }
+
+        /**
+         * Full process name - comm is cut to 15 characters, so a longer name
+         * comes from the executable or the command line (as the process monitor)
+         */
+        function getName(comm, exePath, args) {
+            if (comm.length < 15) return comm;
+
+            const words = (args || '').split(' ');
+            for (const candidate of [exePath, words[0], words[1]]) {
+                if (!candidate) continue;
+                const name = path.basename(candidate.replace(/ \(deleted\)$/, ''));
+                if (name.length > comm.length && name.startsWith(comm)) return name;
+            }
+            return comm;
+        }
+
+        /**
+         * Name, executable, command line and owner of the focused process
+         */
+        function getProcessInfo(pid) {
+            const info = {};
+            try {
+                info.name = fs.readFileSync(`/proc/${pid}/comm`, 'utf8').trim();
+            } catch (error) {
+                // Process already gone
+            }
+            try {
+                info.path = fs.readlinkSync(`/proc/${pid}/exe`);
+            } catch (error) {
+                // Another user's process and we aren't root
+            }
+            try {
+                info.args = fs.readFileSync(`/proc/${pid}/cmdline`, 'utf8')
+                    .replace(/\0/g, ' ').trim().slice(0, 512) || undefined;
+            } catch (error) {
+                // Optional
+            }
+            if (info.name) {
+                info.name = getName(info.name, info.path, info.args);
+            }
+            try {
+                const uid = fs.statSync(`/proc/${pid}`).uid;
+                info.user = run(`id -nu ${uid}`) || String(uid);
+            } catch (error) {
+                // Optional
+            }
+            return info;
+        }
+
+        const result = {
+            timestamp: Date.now(),
+            platform,
+            available: false
+        };
+
+        const env = getSessionEnv();
+        if (!env) {
+            result.reason = 'No graphical session found';
+            return result;
+        }
+
+        // Wayland compositors expose the focused window in their own ways;
+        // X11 (and XWayland windows) share one
+        const methods = [];
+        if (env.SWAYSOCK) methods.push(getSwayWindow);
+        if (env.HYPRLAND_INSTANCE_SIGNATURE) methods.push(getHyprlandWindow);
+        if (/kde/i.test(env.XDG_CURRENT_DESKTOP || '')) methods.push(getKdeWindow);
+        if (env.DISPLAY) methods.push(getX11Window);
+
+        for (const method of methods) {
+            let window = null;
+            try {
+                window = method(env);
+            } catch (error) {
+                // Try the next method
+            }
+            if (!window) continue;
+
+            return {
+                ...result,
+                available: true,
+                ...window,
+                ...getProcessInfo(window.pid)
+            };
+        }
+
+        result.reason = env.WAYLAND_DISPLAY && !env.DISPLAY
+            ? 'This Wayland compositor does not expose the focused window'
+            : 'Focused window not found';
+        return result;
+    }
+};
@@ -0,0 +1,49 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/**
+ * Private directory for files agent scripts keep between runs
+ * Scripts are serialized and run on the agent without access to this
+ * module, so buildScript passes this function's source in as an argument.
+ * The agent runs as root, and the shared temp directory is writable by the
+ * child - a directory another account created (or a symlink) is refused.
+ * @returns {string} Directory owned by the agent's account, mode 0700
+ * @throws {Error} Where ownership can't be checked (no process.getuid) or
+ *   the directory isn't private
+ */
+function getPrivateDirectory() {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+
+    if (typeof process.getuid !== 'function') {
+        throw new Error('File ownership cannot be checked on this platform');
+    }
+
+    const dir = path.join(os.tmpdir(), 'allow2automate-os');
+    try {
+        fs.mkdirSync(dir, { mode: 0o700 });
+    } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+    }
+    const stat = fs.lstatSync(dir);
+    if (!stat.isDirectory() || stat.uid !== process.getuid() || (stat.mode & 0o077) !== 0) {
+        throw new Error(`${dir} is not a private directory`);
+    }
+    return dir;
+}
+
+module.exports = { getPrivateDirectory };
@@ -14,9 +14,15 @@
 
 'use strict';
 
+const { getPrivateDirectory } = require('./private-directory');
+
 /**
  * Process Monitor - Deployed to agents to track running processes and browsers
- * This script runs ON THE AGENT at the configured interval
+ * This script runs ON THE AGENT at the configured interval.
+ * The process list is reported as a full list after each deploy and every
+ * few minutes, and in between as the processes that started and exited since
+ * the last report (the previous snapshot is kept in the agent's private
+ * directory - where there isn't one, every report is a full list).
  */
 module.exports = {
     id: 'os-process-monitor',
@@ -25,48 +31,178 @@ module.exports = {
     /**
      * This function is serialized and sent to the agent for execution
      * It runs in a sandboxed environment on the remote machine
+     * @param {Array} catalog - Application catalog (see buildScript)
+     * @param {string} deployId - Changes with every deploy, forcing a full list
+     * @param {Function} getDirectory - Private directory for the snapshot
+     *   (see private-directory.js)
      */
-    script: function() {
+    script: function(catalog, deployId, getDirectory) {
         const os = require('os');
+        const fs = require('fs');
+        const path = require('path');
         const { execSync } = require('child_process');
         const platform = process.platform;
 
-        // Browser patterns for detection
-        const browserPatterns = [
-            { name: 'Chrome', patterns: ['chrome.exe', 'Google Chrome', 'chrome', 'google-chrome', 'google-chrome-stable'] },
-            { name: 'Firefox', patterns: ['firefox.exe', 'Firefox', 'firefox', 'firefox-esr'] },
-            { name: 'Safari', patterns: ['Safari', 'safari'] },
-            { name: 'Edge', patterns: ['msedge.exe', 'Microsoft Edge', 'edge', 'microsoft-edge'] },
-            { name: 'Opera', patterns: ['opera.exe', 'Opera', 'opera'] },
-            { name: 'Brave', patterns: ['brave.exe', 'Brave Browser', 'brave', 'brave-browser'] },
-            { name: 'Vivaldi', patterns: ['vivaldi.exe', 'Vivaldi', 'vivaldi'] },
-            { name: 'Chromium', patterns: ['chromium.exe', 'Chromium', 'chromium', 'chromium-browser'] }
-        ];
-
-        // Game patterns for categorization
-        const gamePatterns = [
-            'minecraft', 'fortnite', 'roblox', 'steam', 'epic',
-            'game', 'gaming', 'play', 'league', 'valorant',
-            'overwatch', 'apex', 'pubg', 'genshin'
-        ];
-
-        // Education patterns
-        const eduPatterns = [
-            'khan', 'duolingo', 'scratch', 'code.org',
-            'classroom', 'zoom', 'teams', 'meet'
-        ];
-
-        // Productivity patterns
-        const prodPatterns = [
-            'word', 'excel', 'powerpoint', 'office',
-            'notepad', 'calculator', 'sublime', 'vscode', 'code'
-        ];
+        // How often the full list is sent even when nothing was missed
+        const FULL_SYNC_INTERVAL = 5 * 60 * 1000;
+
+        /**
+         * Build a tester for one catalog pattern (same rules as the parent's block rules)
+         * @returns {Function} (value) => boolean
+         */
+        function compileTest(match, pattern) {
+            if (match === 'regex') {
+                const regex = new RegExp(pattern, 'i');
+                return value => regex.test(value);
+            }
+            if (match === 'glob') {
+                const source = pattern
+                    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+                    .replace(/\*/g, '.*')
+                    .replace(/\?/g, '.');
+                const regex = new RegExp(`^${source}$`, 'i');
+                return value => regex.test(value);
+            }
+            if (match === 'contains') {
+                const needle = pattern.toLowerCase();
+                return value => value.toLowerCase().includes(needle);
+            }
+            if (match === 'path') {
+                const prefix = pattern.replace(/\\/g, '/').toLowerCase();
+                return value => value.replace(/\\/g, '/').toLowerCase().startsWith(prefix);
+            }
+            // exact - the .exe suffix is optional on either side
+            const name = pattern.toLowerCase().replace(/\.exe$/, '');
+            return value => value.toLowerCase().replace(/\.exe$/, '') === name;
+        }
+
+        // Application catalog from the parent, compiled for this platform
+        const entries = [];
+        for (const entry of catalog || []) {
+            if (entry.platforms && !entry.platforms.includes(platform)) continue;
+            try {
+                entries.push({
+                    ...entry,
+                    usesPath: entry.match === 'path' || (entry.match === 'glob' && /[\/\\]/.test(entry.pattern)),
+                    test: compileTest(entry.match, entry.pattern),
+                    argsTest: entry.args ? compileTest(entry.args.match, entry.args.pattern) : null
+                });
+            } catch (error) {
+                // Skip entries this agent can't compile
+            }
+        }
+
+        /**
+         * Command lines by pid on macOS and Linux (truncated)
+         */
+        function getCommandLines() {
+            const commandLines = {};
+            try {
+                const output = execSync('ps -axo pid=,args=', {
+                    encoding: 'utf8',
+                    timeout: 10000,
+                    maxBuffer: 20 * 1024 * 1024
+                });
+                for (const line of output.split('\n')) {
+                    const match = line.trim().match(/^(\d+)\s+(.+)$/);
+                    if (match) {
+                        commandLines[match[1]] = match[2].slice(0, 512);
+                    }
+                }
+            } catch (error) {
+                // Command lines are optional
+            }
+            return commandLines;
+        }
+
+        /**
+         * Parent pid, owner (username) and start time by pid on macOS and Linux
+         * @param {string} command - ps printing pid, ppid, user and lstart
+         */
+        function getProcessDetails(command) {
+            const details = {};
+            try {
+                const output = execSync(command, {
+                    encoding: 'utf8',
+                    timeout: 10000,
+                    maxBuffer: 10 * 1024 * 1024,
+                    // lstart in a format Date.parse understands
+                    env: { ...process.env, LC_ALL: 'C' }
+                });
+                for (const line of output.split('\n')) {
+                    const match = line.trim().match(/^(\d+)\s+(\d+)\s+(\S+)\s+(.+)$/);
+                    if (match) {
+                        const startTime = Date.parse(match[4]);
+                        details[match[1]] = {
+                            ppid: parseInt(match[2]),
+                            user: match[3],
+                            startTime: isNaN(startTime) ? undefined : startTime
+                        };
+                    }
+                }
+            } catch (error) {
+                // Details are optional
+            }
+            return details;
+        }
+
+        /**
+         * Full name of a Linux process - ps (like /proc/<pid>/comm) cuts names
+         * to 15 characters, so the executable's file name is used when it
+         * continues the cut name (or the command's, for scripts run by an
+         * interpreter)
+         */
+        function getLinuxName(comm, exePath, commandLine) {
+            if (comm.length < 15) return comm;
+
+            const words = (commandLine || '').split(' ');
+            for (const candidate of [exePath, words[0], words[1]]) {
+                if (!candidate) continue;
+                const name = path.basename(candidate.replace(/ \(deleted\)$/, ''));
+                if (name.length > comm.length && name.startsWith(comm)) return name;
+            }
+            return comm;
+        }
 
         /**
          * Get process list on Windows
          */
         function getWindowsProcesses() {
             const processes = [];
+
+            // Executable paths, command lines and owners (for block and allow rules)
+            try {
+                const script = [
+                    '$owners = @{}',
+                    'Get-Process -IncludeUserName -ErrorAction SilentlyContinue | ForEach-Object { $owners[$_.Id] = $_.UserName }',
+                    'Get-CimInstance Win32_Process | Select-Object ProcessId,ParentProcessId,Name,ExecutablePath,CommandLine,' +
+                        '@{n=\'UserName\';e={$owners[[int]$_.ProcessId]}},' +
+                        '@{n=\'StartTime\';e={if ($_.CreationDate) { ([DateTimeOffset]$_.CreationDate).ToUnixTimeMilliseconds() }}} | ConvertTo-Json -Compress'
+                ].join('; ');
+                const output = execSync(`powershell -Command "${script}"`, {
+                    encoding: 'utf8',
+                    timeout: 15000,
+                    maxBuffer: 20 * 1024 * 1024
+                });
+                const list = JSON.parse(output);
+                for (const proc of Array.isArray(list) ? list : [list]) {
+                    if (!proc || !proc.Name) continue;
+                    processes.push({
+                        name: proc.Name,
+                        pid: proc.ProcessId,
+                        ppid: proc.ParentProcessId,
+                        path: proc.ExecutablePath || undefined,
+                        args: proc.CommandLine || undefined,
+                        // DOMAIN\user -> user
+                        user: proc.UserName ? proc.UserName.split('\\').pop() : undefined,
+                        startTime: proc.StartTime || undefined
+                    });
+                }
+                if (processes.length > 0) return processes;
+            } catch (error) {
+                // Fall back to tasklist (names only)
+            }
+
             try {
                 // Use tasklist for faster results
                 const output = execSync('tasklist /FO CSV /NH', {
@@ -105,6 +241,8 @@ module.exports = {
                     timeout: 10000,
                     maxBuffer: 10 * 1024 * 1024
                 });
+                const commandLines = getCommandLines();
+                const details = getProcessDetails('ps -axo pid=,ppid=,user=,lstart=');
 
                 const lines = output.split('\n').slice(1); // Skip header
                 for (const line of lines) {
@@ -117,7 +255,9 @@ module.exports = {
                         processes.push({
                             pid: parseInt(match[1]),
                             name: name,
-                            path: fullPath
+                            path: fullPath,
+                            args: commandLines[match[1]],
+                            ...details[match[1]]
                         });
                     }
                 }
@@ -138,6 +278,8 @@ module.exports = {
                     timeout: 10000,
                     maxBuffer: 10 * 1024 * 1024
                 });
+                const commandLines = getCommandLines();
+                const details = getProcessDetails('ps -eo pid=,ppid=,user:32=,lstart=');
 
                 const lines = output.split('\n');
                 for (const line of lines) {
@@ -145,9 +287,18 @@ module.exports = {
 
                     const match = line.trim().match(/^(\d+)\s+(.+)$/);
                     if (match) {
+                        let exePath;
+                        try {
+                            exePath = fs.readlinkSync(`/proc/${match[1]}/exe`);
+                        } catch (e) {
+                            // Kernel threads and processes we can't inspect
+                        }
                         processes.push({
                             pid: parseInt(match[1]),
-                            name: match[2]
+                            name: getLinuxName(match[2], exePath, commandLines[match[1]]),
+                            path: exePath,
+                            args: commandLines[match[1]],
+                            ...details[match[1]]
                         });
                     }
                 }
@@ -158,42 +309,67 @@ module.exports = {
         }
 
         /**
-         * Check if process is a browser
+         * Inodes of sockets connected to another machine on Linux - established
+         * TCP and connected UDP sockets, loopback left out
          */
-        function detectBrowser(processName) {
-            const nameLower = processName.toLowerCase();
-
-            for (const browser of browserPatterns) {
-                if (browser.patterns.some(p => nameLower.includes(p.toLowerCase()))) {
-                    return {
-                        isBrowser: true,
-                        browserName: browser.name
-                    };
+        function getRemoteSocketInodes() {
+            const inodes = new Set();
+            const isLoopback = address => address.length === 8
+                ? address.endsWith('7F')
+                : address === '00000000000000000000000001000000' ||
+                    (address.startsWith('0000000000000000FFFF0000') && address.endsWith('7F'));
+
+            for (const file of ['tcp', 'tcp6', 'udp', 'udp6']) {
+                let content;
+                try {
+                    content = fs.readFileSync(`/proc/net/${file}`, 'utf8');
+                } catch (error) {
+                    continue;
+                }
+                // sl local_address rem_address st tx:rx tr:when retrnsmt uid timeout inode
+                for (const line of content.split('\n').slice(1)) {
+                    const fields = line.trim().split(/\s+/);
+                    if (fields.length < 10) continue;
+
+                    const remote = fields[2].split(':')[0];
+                    if (file.startsWith('tcp') && fields[3] !== '01') continue; // ESTABLISHED
+                    if (/^0+$/.test(remote) || isLoopback(remote)) continue;
+                    inodes.add(fields[9]);
                 }
             }
-
-            return { isBrowser: false };
+            return inodes;
         }
 
         /**
-         * Categorize a process
+         * Whether a process holds one of the sockets (undefined when its
+         * descriptors can't be read)
          */
-        function categorizeProcess(processName) {
-            const nameLower = processName.toLowerCase();
-
-            if (gamePatterns.some(p => nameLower.includes(p))) {
-                return { type: 'game', category: 'games' };
-            }
-
-            if (eduPatterns.some(p => nameLower.includes(p))) {
-                return { type: 'education', category: 'education' };
-            }
-
-            if (prodPatterns.some(p => nameLower.includes(p))) {
-                return { type: 'productivity', category: 'productivity' };
+        function hasRemoteSocket(pid, inodes) {
+            let fds;
+            try {
+                fds = fs.readdirSync(`/proc/${pid}/fd`);
+            } catch (error) {
+                return undefined;
             }
+            return fds.some(fd => {
+                try {
+                    const match = fs.readlinkSync(`/proc/${pid}/fd/${fd}`).match(/^socket:\[(\d+)\]$/);
+                    return !!match && inodes.has(match[1]);
+                } catch (error) {
+                    return false;
+                }
+            });
+        }
 
-            return { type: 'unknown', category: 'other' };
+        /**
+         * Find the catalog entry for a process (first match wins)
+         */
+        function classifyProcess(proc) {
+            return entries.find(entry => {
+                const target = entry.usesPath ? proc.path : proc.name;
+                if (!target || !entry.test(target)) return false;
+                return !entry.argsTest || (!!proc.args && entry.argsTest(proc.args));
+            }) || null;
         }
 
         // Main execution
@@ -210,54 +386,168 @@ module.exports = {
         // Process and classify
         const processes = [];
         const browsers = [];
+        const internetApps = [];
+        let socketInodes = null;
 
         for (const proc of rawProcesses) {
-            const browserInfo = detectBrowser(proc.name);
-            const categoryInfo = categorizeProcess(proc.name);
+            const entry = classifyProcess(proc);
 
             const processInfo = {
                 pid: proc.pid,
+                ppid: proc.ppid,
                 name: proc.name,
                 path: proc.path,
-                type: browserInfo.isBrowser ? 'browser' : categoryInfo.type,
-                category: browserInfo.isBrowser ? 'internet' : categoryInfo.category
+                args: proc.args ? proc.args.slice(0, 512) : undefined,
+                user: proc.user,
+                startTime: proc.startTime,
+                type: entry ? entry.type : 'unknown',
+                category: entry ? entry.category : 'other',
+                catalogId: entry ? entry.id : undefined,
+                appName: entry ? entry.name : undefined
             };
 
-            if (browserInfo.isBrowser) {
-                processInfo.browserName = browserInfo.browserName;
+            // Online apps (chat, streaming...) count toward internet time -
+            // on Linux only while they have connections open
+            if (entry?.internetApp) {
+                if (platform === 'linux') {
+                    socketInodes = socketInodes || getRemoteSocketInodes();
+                    processInfo.networkActive = hasRemoteSocket(proc.pid, socketInodes);
+                }
+                processInfo.internetApp = true;
+                internetApps.push(processInfo);
+            }
+
+            if (entry?.browser) {
+                processInfo.browserName = entry.name;
                 browsers.push({
                     pid: proc.pid,
                     name: proc.name,
-                    browserName: browserInfo.browserName
+                    user: proc.user,
+                    browserName: entry.name
                 });
             }
 
             processes.push(processInfo);
         }
 
+        // Apps often talk to the network from a helper process, so an app is
+        // online when any of its processes (for the same user) is
+        const appSockets = new Map();
+        for (const app of internetApps) {
+            const key = `${app.catalogId}:${app.user}`;
+            appSockets.set(key, [...(appSockets.get(key) || []), app.networkActive]);
+        }
+        for (const app of internetApps) {
+            const states = appSockets.get(`${app.catalogId}:${app.user}`);
+            app.networkActive = states.includes(true)
+                ? true
+                : (states.every(active => active === false) ? false : undefined);
+        }
+
+        // Every process the parent's block rules could match - kernel
+        // threads (no executable or command line) are left out
+        const reported = processes.filter(p =>
+            platform === 'win32' || p.path || (p.args && !/^\[.*\]$/.test(p.args))
+        );
+
+        // Compare with the previous report's snapshot (pid + start time, as
+        // pids are reused)
+        const now = Date.now();
+        const snapshotKey = p => `${p.pid}:${p.startTime || ''}`;
+        let snapshotPath = null;
+        let previous = null;
+        try {
+            snapshotPath = path.join(getDirectory(), 'process-snapshot.json');
+            // Only a snapshot this account wrote - never one planted by the child
+            const stat = fs.lstatSync(snapshotPath);
+            if (stat.isFile() && stat.uid === process.getuid()) {
+                previous = JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+            }
+        } catch (error) {
+            // First run, no private directory or an unreadable snapshot - send everything
+        }
+
+        const fullSync = !previous || previous.deployId !== deployId || !previous.processes ||
+            !(previous.fullSyncAt <= now) || now - previous.fullSyncAt >= FULL_SYNC_INTERVAL;
+        const current = {};
+        for (const p of reported) {
+            current[snapshotKey(p)] = {
+                pid: p.pid,
+                startTime: p.startTime,
+                name: p.name,
+                user: p.user,
+                catalogId: p.catalogId
+            };
+        }
+
+        const report = fullSync
+            ? {
+                report: 'full',
+                snapshotId: `${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+                sequence: 0,
+                processes: reported
+            }
+            : {
+                report: 'delta',
+                snapshotId: previous.snapshotId,
+                sequence: previous.sequence + 1,
+                started: reported.filter(p => !previous.processes[snapshotKey(p)]),
+                exited: Object.keys(previous.processes)
+                    .filter(key => !current[key])
+                    .map(key => previous.processes[key])
+            };
+
+        try {
+            if (!snapshotPath) throw new Error('No private directory');
+            fs.writeFileSync(snapshotPath, JSON.stringify({
+                deployId,
+                snapshotId: report.snapshotId,
+                sequence: report.sequence,
+                fullSyncAt: fullSync ? now : previous.fullSyncAt,
+                processes: current
+            }), { mode: 0o600 });
+        } catch (error) {
+            // Without a snapshot every report is a full list
+        }
+
         // Return process data
         return {
-            timestamp: Date.now(),
+            timestamp: now,
             hostname: os.hostname(),
             platform: platform,
             processCount: processes.length,
             browsers: browsers,
             browserActive: browsers.length > 0,
-            // Return only interesting processes (not system processes)
-            // to reduce data transfer
-            processes: processes.filter(p =>
-                p.type !== 'unknown' ||
-                p.name.toLowerCase().includes('game') ||
-                p.category === 'internet'
-            ).slice(0, 100), // Limit to 100 processes
+            internetApps: internetApps.map(app => ({
+                pid: app.pid,
+                name: app.name,
+                user: app.user,
+                appName: app.appName,
+                catalogId: app.catalogId,
+                networkActive: app.networkActive
+            })),
+            // The process list: { report: 'full', processes } or
+            // { report: 'delta', started, exited }, numbered within the snapshot
+            ...report,
             // Summary counts by category
-            summary: {
-                games: processes.filter(p => p.category === 'games').length,
-                education: processes.filter(p => p.category === 'education').length,
-                productivity: processes.filter(p => p.category === 'productivity').length,
-                internet: browsers.length,
-                other: processes.filter(p => p.category === 'other').length
-            }
+            summary: processes.reduce((summary, p) => {
+                if (p.category !== 'internet') {
+                    summary[p.category] = (summary[p.category] || 0) + 1;
+                }
+                return summary;
+            }, { games: 0, education: 0, productivity: 0, internet: browsers.length, other: 0 })
         };
+    },
+
+    /**
+     * Script source with the parent's application catalog built in
+     * Monitors run without arguments, so the catalog is serialized into the source
+     * @param {Array} catalog - Catalog entries ({ id, name, type, category, browser,
+     *   internetApp, match, pattern, platforms, args })
+     */
+    buildScript(catalog) {
+        // A new id per deploy makes the agent start over with a full list
+        const deployId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        return `function() {\n    return (${this.script.toString()})(${JSON.stringify(catalog)}, ${JSON.stringify(deployId)}, ${getPrivateDirectory.toString()});\n}`;
     }
 };
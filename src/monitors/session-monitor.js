@@ -168,6 +168,140 @@ module.exports = {
             return null;
         }
 
+        /**
+         * Get every session on Windows (console, RDP and disconnected)
+         */
+        function getWindowsSessions() {
+            const sessions = [];
+            try {
+                const output = execSync('query user', { encoding: 'utf8', timeout: 5000 });
+                const lines = output.split('\n').slice(1).filter(line => line.trim());
+
+                for (const line of lines) {
+                    const parts = line.trim().replace('>', '').split(/\s+/);
+                    // Disconnected sessions have no session name
+                    const hasName = isNaN(parseInt(parts[1]));
+                    const sessionName = hasName ? parts[1] : '';
+                    const sessionId = parseInt(hasName ? parts[2] : parts[1]);
+                    const sessionState = hasName ? parts[3] : parts[2];
+
+                    sessions.push({
+                        sessionId,
+                        username: parts[0],
+                        type: sessionName.toLowerCase().startsWith('rdp') ? 'rdp' : 'console',
+                        seat: sessionName || null,
+                        active: sessionState === 'Active'
+                    });
+                }
+            } catch (error) {
+                // query user is not available on Home editions
+            }
+            return sessions;
+        }
+
+        /**
+         * Get every session on macOS (console users and terminal/SSH logins)
+         */
+        function getMacOSSessions(consoleUser) {
+            const sessions = [];
+            try {
+                const output = execSync('who', { encoding: 'utf8', timeout: 5000 });
+
+                for (const line of output.split('\n').filter(l => l.trim())) {
+                    const parts = line.trim().split(/\s+/);
+                    const remote = line.match(/\(([^)]+)\)\s*$/);
+                    const type = parts[1] === 'console' ? 'console' : (remote ? 'ssh' : 'tty');
+
+                    sessions.push({
+                        sessionId: parts[1],
+                        username: parts[0],
+                        type,
+                        seat: type === 'console' ? 'console' : null,
+                        tty: parts[1],
+                        remoteHost: remote ? remote[1] : null,
+                        // Only one console user is in the foreground with fast user switching
+                        active: type !== 'console' || parts[0] === consoleUser
+                    });
+                }
+            } catch (error) {
+                // Ignore
+            }
+            return sessions;
+        }
+
+        /**
+         * Get every session on Linux from logind, falling back to who
+         */
+        function getLinuxSessions() {
+            const sessions = [];
+            try {
+                const list = execSync('loginctl list-sessions --no-legend', {
+                    encoding: 'utf8',
+                    timeout: 5000
+                });
+
+                for (const line of list.split('\n').filter(l => l.trim())) {
+                    const sessionId = line.trim().split(/\s+/)[0];
+                    const info = execSync(
+                        `loginctl show-session ${sessionId} -p Name -p Type -p Class -p Seat -p TTY -p Display ` +
+                        '-p Remote -p RemoteHost -p Active -p State -p IdleHint -p IdleSinceHint',
+                        { encoding: 'utf8', timeout: 5000 }
+                    );
+
+                    const props = {};
+                    for (const prop of info.split('\n')) {
+                        const index = prop.indexOf('=');
+                        if (index > 0) {
+                            props[prop.slice(0, index)] = prop.slice(index + 1).trim();
+                        }
+                    }
+
+                    // Skip greeters, lock screens and sessions being torn down
+                    if ((props.Class && props.Class !== 'user') || props.State === 'closing') continue;
+
+                    const idleSince = parseInt(props.IdleSinceHint) / 1000; // microseconds
+                    sessions.push({
+                        sessionId,
+                        username: props.Name,
+                        type: props.Remote === 'yes' ? 'ssh' : (props.Type || 'tty'),
+                        seat: props.Seat || null,
+                        tty: props.TTY || props.Display || null,
+                        remoteHost: props.RemoteHost || null,
+                        active: props.Active === 'yes' || props.State === 'active',
+                        isIdle: props.IdleHint === 'yes',
+                        idleTime: props.IdleHint === 'yes' && idleSince > 0 ? Date.now() - idleSince : 0
+                    });
+                }
+                return sessions;
+            } catch (error) {
+                // No logind - fall back to who
+            }
+
+            try {
+                const output = execSync('who', { encoding: 'utf8', timeout: 5000 });
+
+                for (const line of output.split('\n').filter(l => l.trim())) {
+                    const parts = line.trim().split(/\s+/);
+                    const host = line.match(/\(([^)]+)\)\s*$/);
+                    const graphical = parts[1].startsWith(':') || (host && host[1].startsWith(':'));
+                    const type = graphical ? 'x11' : (host ? 'ssh' : 'tty');
+
+                    sessions.push({
+                        sessionId: parts[1],
+                        username: parts[0],
+                        type,
+                        seat: graphical ? 'seat0' : null,
+                        tty: parts[1],
+                        remoteHost: type === 'ssh' ? host[1] : null,
+                        active: true
+                    });
+                }
+            } catch (error) {
+                // Ignore
+            }
+            return sessions;
+        }
+
         /**
          * Get idle time on Windows
          */
@@ -271,15 +405,38 @@ module.exports = {
         let userData = null;
         let idleTime = 0;
 
+        let sessions = [];
+
         if (platform === 'win32') {
             userData = getWindowsUser();
             idleTime = getWindowsIdleTime();
+            sessions = getWindowsSessions();
         } else if (platform === 'darwin') {
             userData = getMacOSUser();
             idleTime = getMacOSIdleTime();
+            sessions = getMacOSSessions(userData?.username);
         } else if (platform === 'linux') {
             userData = getLinuxUser();
             idleTime = getLinuxIdleTime();
+            sessions = getLinuxSessions();
+        }
+
+        // The desktop idle time belongs to the foreground session - combined
+        // with logind's IdleHint, which most desktops never set
+        for (const session of sessions) {
+            if (session.active && session.username === userData?.username &&
+                session.type !== 'ssh' && session.type !== 'rdp') {
+                session.idleTime = Math.max(session.idleTime || 0, idleTime);
+                session.isIdle = !!session.isIdle || idleTime > 300000;
+            }
+        }
+
+        // Agent's local time zone, so bedtime and daily limits follow the device
+        let timeZone = null;
+        try {
+            timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+        } catch (e) {
+            // Intl not available
         }
 
         // Return session data
@@ -294,7 +451,10 @@ module.exports = {
             idleTime: idleTime,
             isIdle: idleTime > 300000, // Consider idle after 5 minutes
             uptime: os.uptime() * 1000,
-            systemUser: os.userInfo().username
+            systemUser: os.userInfo().username,
+            sessions: sessions,
+            timeZone: timeZone,
+            utcOffset: -new Date().getTimezoneOffset() // minutes east of UTC
         };
     }
 };
@@ -0,0 +1,164 @@
+'use strict';
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The settings UI needs React, which is a peer dependency of the host app
+jest.mock('../../src/components/TabContent', () => null);
+
+const { plugin } = require('../../src/index');
+
+const PLUGIN_ID = 'allow2automate-operating-system';
+
+// The parent PIN is kept under the home directory - never the real one
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'os-plugin-home-'));
+afterAll(() => {
+    fs.rmSync(home, { recursive: true, force: true });
+});
+
+// Plugins created by the current test - unloaded afterwards so their
+// timers don't keep jest running
+const loaded = [];
+
+// The plugin logs every report it handles (tests may restore mocks, so the
+// log is silenced again for unloading)
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(os, 'homedir').mockReturnValue(home);
+});
+
+afterEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    for (const osPlugin of loaded.splice(0)) {
+        await osPlugin.onUnload(() => {});
+    }
+});
+
+/**
+ * Default persisted state for a test, with one Linux agent
+ */
+function createState(overrides = {}) {
+    return {
+        agents: {},
+        userMappings: { a1: { kid: 'c1' } },
+        parentAccounts: {},
+        children: {},
+        settings: {
+            pauseOnIdle: true,
+            idleThreshold: 300000,
+            warningTimes: [15, 5, 1],
+            gracePeriod: 60,
+            monitorInterval: 30000,
+            usageRetentionDays: 35,
+            usageReportInterval: 60000,
+            pinExtensionMinutes: 15,
+            killOnViolation: true,
+            notifyParent: true
+        },
+        violations: [],
+        activityLog: [],
+        ...overrides
+    };
+}
+
+/**
+ * Create the plugin with a mock host context and agent service
+ * @param {Object} options
+ * @param {Array} options.agents - Agents the agent service lists
+ * @param {Object} options.allow2Client - Mock Allow2 client (checkActivity)
+ */
+function createPlugin({ agents, allow2Client } = {}) {
+    const ipc = {};
+    const calls = [];
+    const rendererEvents = [];
+    const statusUpdates = [];
+    let savedState = null;
+
+    const agentService = new EventEmitter();
+    agentService.agents = agents || [{ id: 'a1', hostname: 'pc1', platform: 'linux', online: true }];
+    agentService.listAgents = async () => agentService.agents;
+    for (const fn of ['deployMonitor', 'deployAction', 'triggerAction', 'updateMonitor', 'removeMonitor']) {
+        agentService[fn] = jest.fn(async (agentId, options) => {
+            calls.push({ fn, agentId, ...options });
+            return { success: true };
+        });
+    }
+
+    const context = {
+        ipcMain: { handle: (channel, handler) => { ipc[channel] = handler; } },
+        // A copy, as the host persists it - later changes only show once saved
+        configurationUpdate: state => { savedState = JSON.parse(JSON.stringify(state)); },
+        statusUpdate: status => statusUpdates.push(status),
+        sendToRenderer: (channel, data) => rendererEvents.push({ channel, data }),
+        services: {
+            agent: agentService,
+            allow2Client: allow2Client || {
+                checkActivity: jest.fn(async () => ({ allowed: true, remaining_seconds: 99999 }))
+            }
+        }
+    };
+
+    const osPlugin = plugin(context);
+    loaded.push(osPlugin);
+
+    return {
+        plugin: osPlugin,
+        agentService,
+        context,
+        calls,
+        rendererEvents,
+        statusUpdates,
+        get state() {
+            return savedState;
+        },
+
+        /**
+         * Call an IPC handler the way the renderer does
+         */
+        invoke(channel, args = {}) {
+            return ipc[channel]({}, args);
+        },
+
+        /**
+         * Report monitor data from an agent, and wait for the handler
+         */
+        async report(monitorId, result, agentId = 'a1') {
+            agentService.emit('pluginData', { pluginId: PLUGIN_ID, agentId, monitorId, result });
+            await flush();
+        },
+
+        /**
+         * Report an action's result from an agent, and wait for the handler
+         */
+        async respond(actionId, result, args = {}, agentId = 'a1') {
+            agentService.emit('actionResponse', { pluginId: PLUGIN_ID, agentId, actionId, args, ...result });
+            await flush();
+        },
+
+        /**
+         * Actions triggered on agents, optionally only one kind
+         */
+        triggered(actionId) {
+            return calls.filter(call => call.fn === 'triggerAction' &&
+                (!actionId || call.actionId === actionId));
+        }
+    };
+}
+
+/**
+ * Let pending promise callbacks (event handlers) run
+ */
+async function flush() {
+    for (let i = 0; i < 20; i++) {
+        await Promise.resolve();
+    }
+}
+
+module.exports = {
+    PLUGIN_ID,
+    createState,
+    createPlugin,
+    flush
+};
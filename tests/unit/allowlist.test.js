@@ -0,0 +1,55 @@
+'use strict';
+
+const { createPlugin, createState } = require('../helpers/plugin');
+
+describe('allowlist mode', () => {
+    async function killedPids(processes, allowlist = { enabled: true, allowedProcesses: ['minecraft-launcher'] }) {
+        const h = createPlugin();
+        await h.plugin.onLoad(createState({
+            agents: { a1: { id: 'a1', hostname: 'pc1', platform: 'linux', childId: 'c1' } },
+            children: { c1: { allowlist } }
+        }));
+        await h.report('os-process-monitor', { report: 'full', snapshotId: 's1', sequence: 0, processes, timestamp: Date.now() });
+        return h.triggered('kill-process').map(call => call.args.pid);
+    }
+
+    it('keeps the desktop session running', async () => {
+        const killed = await killedPids([
+            { pid: 1, name: 'gnome-shell', path: '/usr/bin/gnome-shell', user: 'kid' },
+            { pid: 2, name: 'gnome-session-binary', path: '/usr/libexec/gnome-session-binary', user: 'kid' },
+            { pid: 3, name: 'bash', path: '/usr/bin/bash', user: 'kid' },
+            { pid: 4, name: 'pipewire', path: '/usr/bin/pipewire', user: 'kid' }
+        ]);
+
+        expect(killed).toEqual([]);
+    });
+
+    it('allows baseline processes reported with a name cut to 15 characters', async () => {
+        const killed = await killedPids([
+            { pid: 1, name: 'gnome-keyring-d', path: '/usr/bin/gnome-keyring-daemon', user: 'kid' },
+            { pid: 2, name: 'cinnamon-sessio', path: '/usr/bin/cinnamon-session', user: 'kid' },
+            { pid: 3, name: 'gnome-session-b', path: '/usr/bin/gnome-session-binary (deleted)', user: 'kid' }
+        ]);
+
+        expect(killed).toEqual([]);
+    });
+
+    it("closes applications that aren't on the list", async () => {
+        const killed = await killedPids([
+            { pid: 1, name: 'minecraft-launcher', path: '/opt/minecraft-launcher/minecraft-launcher', user: 'kid' },
+            { pid: 2, name: 'steam', path: '/usr/lib/steam/steam', user: 'kid' },
+            { pid: 3, name: 'steam', path: '/usr/lib/steam/steam', user: 'dad' },
+            { pid: 4, name: 'unknown-owner' }
+        ]);
+
+        expect(killed).toEqual([2]);
+    });
+
+    it('does nothing while allowlist mode is off', async () => {
+        const killed = await killedPids([
+            { pid: 2, name: 'steam', path: '/usr/lib/steam/steam', user: 'kid' }
+        ], { enabled: false, allowedProcesses: [] });
+
+        expect(killed).toEqual([]);
+    });
+});
@@ -0,0 +1,99 @@
+'use strict';
+
+const { createPlugin, createState } = require('../helpers/plugin');
+
+const minecraft = { pid: 301, name: 'minecraft-launcher', path: '/opt/minecraft/minecraft-launcher', user: 'kid', category: 'games' };
+const roblox = { pid: 302, name: 'roblox', path: '/opt/roblox/roblox', user: 'kid', category: 'games' };
+const writer = { pid: 303, name: 'soffice', path: '/usr/bin/soffice', user: 'kid', category: 'productivity' };
+
+const limits = [
+    { label: 'Minecraft', match: 'glob', pattern: 'minecraft*', minutes: 60 },
+    { label: 'Roblox', pattern: 'roblox', minutes: 30, days: ['sat', 'sun'] }
+];
+
+describe('application limits', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+        // A Wednesday
+        jest.setSystemTime(Date.parse('2026-03-04T16:00:00Z'));
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    /**
+     * Load with minutes of Minecraft already played today
+     */
+    async function load(playedMinutes = 0) {
+        const h = createPlugin();
+        await h.plugin.onLoad(createState({
+            agents: { a1: { id: 'a1', hostname: 'pc1', platform: 'linux', childId: 'c1', timeZone: 'UTC' } },
+            children: { c1: { appLimits: limits } },
+            appUsage: {
+                'c1:Minecraft': {
+                    childId: 'c1',
+                    name: 'Minecraft',
+                    days: { '2026-03-04': playedMinutes * 60 },
+                    intervals: [],
+                    warned: null,
+                    lastAgentId: 'a1'
+                }
+            }
+        }));
+        let snapshot = 0;
+        h.processesAt = (time, processes) => {
+            jest.setSystemTime(Date.parse(time));
+            return h.report('os-process-monitor', { report: 'full', snapshotId: `s${++snapshot}`, sequence: 0, processes });
+        };
+        h.limitStatus = async () => {
+            const [, status] = await h.invoke('os:getStatus');
+            return status.usageLimits.c1.apps;
+        };
+        return h;
+    }
+
+    it('counts the time a limited application runs toward its limit', async () => {
+        const h = await load();
+
+        await h.processesAt('2026-03-04T16:00:00Z', [minecraft, writer]);
+        await h.processesAt('2026-03-04T16:00:30Z', [minecraft, writer]);
+
+        expect((await h.limitStatus()).find(app => app.name === 'Minecraft'))
+            .toMatchObject({ usedSeconds: 30, remainingSeconds: 3570 });
+    });
+
+    it('warns once as the limit runs out', async () => {
+        const h = await load(55);
+
+        await h.processesAt('2026-03-04T16:00:00Z', [minecraft]);
+        await h.processesAt('2026-03-04T16:00:30Z', [minecraft]);
+
+        expect(h.triggered('show-warning').map(call => call.args)).toEqual([{
+            title: 'Minecraft Time',
+            message: 'You have 5 minutes of Minecraft left today.',
+            urgency: 'critical'
+        }]);
+        expect(h.triggered('kill-process')).toEqual([]);
+    });
+
+    it('closes the application once its limit is reached', async () => {
+        const h = await load(60);
+
+        await h.processesAt('2026-03-04T16:00:00Z', [minecraft, writer]);
+
+        expect(h.triggered('kill-process').map(call => call.args.pid)).toEqual([301]);
+        expect(h.state.violations[0]).toMatchObject({ processName: 'minecraft-launcher', reason: 'app_limit:Minecraft' });
+    });
+
+    it('only limits an application on its days', async () => {
+        const h = await load();
+
+        await h.processesAt('2026-03-04T16:00:00Z', [roblox]);
+        await h.processesAt('2026-03-04T16:00:30Z', [roblox]);
+
+        expect(h.triggered('show-warning')).toEqual([]);
+        expect((await h.limitStatus()).find(app => app.name === 'Roblox'))
+            .toEqual({ name: 'Roblox', usedSeconds: 30, limitMinutes: null, remainingSeconds: null });
+    });
+});
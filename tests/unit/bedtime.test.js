@@ -0,0 +1,81 @@
+'use strict';
+
+const { createPlugin, createState } = require('../helpers/plugin');
+
+describe('bedtime windows', () => {
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    /**
+     * Report the child's session at a time (UTC, the agent's time zone)
+     * and return the plugin
+     */
+    async function reportAt(time, bedtime) {
+        jest.useFakeTimers();
+        jest.setSystemTime(Date.parse(time));
+
+        const h = createPlugin();
+        await h.plugin.onLoad(createState({
+            agents: { a1: { id: 'a1', hostname: 'pc1', platform: 'linux', childId: 'c1', timeZone: 'UTC' } },
+            children: { c1: { bedtime } }
+        }));
+        await h.report('os-session-monitor', { username: 'kid', sessionId: '1', isIdle: false, idleTime: 0 });
+        return h;
+    }
+
+    function bedtimeViolations(h) {
+        return h.state.violations.filter(violation => violation.type === 'quota_exhausted');
+    }
+
+    const nightly = { enabled: true, start: '21:00', end: '07:00' };
+
+    it('enforces the morning part of a window that crossed midnight', async () => {
+        // Tuesday morning, inside Monday night's window
+        const h = await reportAt('2026-03-03T06:30:00Z', nightly);
+
+        expect(bedtimeViolations(h).map(violation => violation.reason)).toEqual(['Bedtime until 07:00']);
+    });
+
+    it('does nothing after the wake-up time', async () => {
+        const h = await reportAt('2026-03-03T07:30:00Z', nightly);
+
+        expect(bedtimeViolations(h)).toEqual([]);
+        expect(h.triggered('show-warning')).toEqual([]);
+    });
+
+    it('warns before bedtime starts', async () => {
+        const h = await reportAt('2026-03-03T20:50:00Z', nightly);
+
+        expect(bedtimeViolations(h)).toEqual([]);
+        expect(h.triggered('show-warning').map(call => call.args.message)).toEqual([
+            'Computer will log out in 10 minutes for bedtime.'
+        ]);
+    });
+
+    it('uses the weekend rule on Friday nights', async () => {
+        const bedtime = {
+            enabled: true,
+            schoolNights: { start: '20:30', end: '07:00' },
+            weekends: { start: '22:30', end: '09:00' }
+        };
+
+        // Friday 21:00 - past school-night bedtime, but it's the weekend
+        expect(bedtimeViolations(await reportAt('2026-03-06T21:00:00Z', bedtime))).toEqual([]);
+        // Saturday 08:00 - still inside Friday night's window
+        expect(bedtimeViolations(await reportAt('2026-03-07T08:00:00Z', bedtime))).toHaveLength(1);
+        // Thursday 21:00 - a school night
+        expect(bedtimeViolations(await reportAt('2026-03-05T21:00:00Z', bedtime))).toHaveLength(1);
+    });
+
+    it('lets a per-night rule override the groups', async () => {
+        const bedtime = {
+            enabled: true,
+            schoolNights: { start: '20:30', end: '07:00' },
+            nights: { wed: { start: '23:00', end: '07:00' } }
+        };
+
+        expect(bedtimeViolations(await reportAt('2026-03-04T21:00:00Z', bedtime))).toEqual([]);
+        expect(bedtimeViolations(await reportAt('2026-03-04T23:15:00Z', bedtime))).toHaveLength(1);
+    });
+});
@@ -0,0 +1,197 @@
+'use strict';
+
+jest.mock('child_process');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const childProcess = require('child_process');
+const processMonitor = require('../../src/monitors/process-monitor');
+const blockWatcher = require('../../src/monitors/block-watcher');
+const { getPrivateDirectory } = require('../../src/monitors/private-directory');
+const { createPlugin, createState } = require('../helpers/plugin');
+
+const processes = [
+    { pid: 101, name: 'firefox', path: '/usr/lib/firefox/firefox', args: '/usr/lib/firefox/firefox -P kid', user: 'kid' },
+    { pid: 102, name: 'minecraft-launcher', path: '/opt/minecraft-launcher/minecraft-launcher', args: 'minecraft-launcher', user: 'kid' },
+    { pid: 103, name: 'java', path: '/usr/lib/jvm/java-17/bin/java', args: 'java -jar /home/kid/.minecraft/Minecraft.jar', user: 'kid' },
+    { pid: 104, name: 'java', path: '/usr/lib/jvm/java-17/bin/java', args: 'java -jar /opt/tools/build.jar', user: 'kid' },
+    { pid: 105, name: 'firefox', path: '/usr/lib/firefox/firefox', args: '/usr/lib/firefox/firefox', user: 'dad' }
+];
+
+describe('block rules', () => {
+    async function load(blockedProcesses = []) {
+        const h = createPlugin();
+        await h.plugin.onLoad(createState({
+            agents: { a1: { id: 'a1', hostname: 'pc1', platform: 'linux', childId: 'c1' } },
+            children: { c1: { blockedProcesses } }
+        }));
+        await h.report('os-process-monitor', { report: 'full', snapshotId: 's1', sequence: 0, processes, timestamp: Date.now() });
+        return h;
+    }
+
+    async function matching(rule) {
+        const h = await load();
+        const [error, result] = await h.invoke('os:testBlockRule', { agentId: 'a1', rule });
+        if (error) throw error;
+        return result.matches.map(match => match.pid);
+    }
+
+    it('matches exact names case-insensitively, with or without .exe', async () => {
+        expect(await matching('Firefox')).toEqual([101, 105]);
+        expect(await matching({ match: 'exact', pattern: 'firefox.exe' })).toEqual([101, 105]);
+        expect(await matching('fire')).toEqual([]);
+    });
+
+    it('matches names longer than 15 characters', async () => {
+        expect(await matching('minecraft-launcher')).toEqual([102]);
+    });
+
+    it('matches globs against the name, or the path when the pattern has a slash', async () => {
+        expect(await matching('minecraft*')).toEqual([102]);
+        expect(await matching({ match: 'glob', pattern: '/opt/*/minecraft-*' })).toEqual([102]);
+    });
+
+    it('matches regular expressions and command-line arguments', async () => {
+        const rule = { match: 'regex', pattern: '^javaw?$', args: { match: 'contains', pattern: 'minecraft' } };
+        expect(await matching(rule)).toEqual([103]);
+    });
+
+    it('matches executable path prefixes', async () => {
+        expect(await matching({ match: 'path', pattern: '/usr/lib/jvm/' })).toEqual([103, 104]);
+    });
+
+    it('only applies a rule on its platforms', async () => {
+        expect(await matching({ pattern: 'firefox', platforms: ['win32'] })).toEqual([]);
+    });
+
+    it('rejects invalid rules', async () => {
+        await expect(matching({ match: 'regex', pattern: '(' })).rejects.toThrow('Invalid regular expression');
+        await expect(matching({ match: 'wildcard', pattern: 'x' })).rejects.toThrow('Unknown block rule match type');
+    });
+
+    it("kills only the child's matching processes", async () => {
+        const h = await load(['firefox']);
+
+        expect(h.triggered('kill-process').map(call => call.args.pid)).toEqual([101]);
+    });
+});
+
+describe('process monitor on Linux', () => {
+    const platform = process.platform;
+    let directory;
+
+    beforeEach(() => {
+        Object.defineProperty(process, 'platform', { value: 'linux' });
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'process-monitor-'));
+        jest.spyOn(os, 'tmpdir').mockReturnValue(directory);
+    });
+
+    afterEach(() => {
+        Object.defineProperty(process, 'platform', { value: platform });
+        jest.restoreAllMocks();
+        jest.resetAllMocks();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    /**
+     * Run the monitor with ps and /proc answering for the given processes
+     * (comm is cut to 15 characters, as Linux does)
+     */
+    function runMonitor(list) {
+        childProcess.execSync.mockImplementation(command => {
+            if (command.startsWith('ps -eo pid,comm')) {
+                return list.map(p => `${p.pid} ${p.name.slice(0, 15)}`).join('\n');
+            }
+            if (command.startsWith('ps -axo pid=,args=')) {
+                return list.map(p => `${p.pid} ${p.args}`).join('\n');
+            }
+            if (command.startsWith('ps -eo pid=,ppid=')) {
+                return list.map(p => `${p.pid} 1 ${p.user} Mon Mar  2 10:00:00 2026`).join('\n');
+            }
+            throw new Error(`${command}: not found`);
+        });
+        jest.spyOn(fs, 'readlinkSync').mockImplementation(file => {
+            const match = String(file).match(/^\/proc\/(\d+)\/exe$/);
+            const proc = match && list.find(p => p.pid === Number(match[1]));
+            if (!proc?.path) throw Object.assign(new Error('EACCES'), { code: 'EACCES' });
+            return proc.path;
+        });
+
+        return processMonitor.script([], 'test', getPrivateDirectory);
+    }
+
+    it('reports the full name of processes whose name Linux cuts short', () => {
+        const result = runMonitor([
+            { pid: 10, name: 'gnome-keyring-daemon', path: '/usr/bin/gnome-keyring-daemon', args: '/usr/bin/gnome-keyring-daemon --start', user: 'kid' },
+            { pid: 11, name: 'minecraft-launcher', path: '/usr/bin/python3.12', args: '/usr/bin/python3 /usr/bin/minecraft-launcher', user: 'kid' },
+            { pid: 12, name: 'cinnamon-session', args: 'cinnamon-session --session cinnamon', user: 'kid' },
+            { pid: 13, name: 'Web Content', path: '/usr/lib/firefox/firefox', args: '/usr/lib/firefox/firefox -contentproc', user: 'kid' }
+        ]);
+
+        expect(result.processes.map(p => p.name)).toEqual([
+            'gnome-keyring-daemon',
+            'minecraft-launcher',
+            'cinnamon-session',
+            'Web Content'
+        ]);
+    });
+});
+
+describe('block watcher', () => {
+    const argv = process.argv;
+    let directory;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'block-watcher-'));
+    });
+
+    afterEach(() => {
+        process.argv = argv;
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    /**
+     * Run one poll of the watcher with /proc faked for the given processes
+     * @returns {number[]} The pids it killed
+     */
+    function runWatcher(list, rules) {
+        const config = path.join(directory, 'config.json');
+        fs.writeFileSync(config, JSON.stringify({ rules, uids: [1000] }));
+        process.argv = ['node', 'block-watcher.js', config, path.join(directory, 'pid'), path.join(directory, 'kills.log')];
+
+        const readFileSync = fs.readFileSync;
+        const statSync = fs.statSync;
+        const procFile = file => String(file).match(/^\/proc\/(\d+)(?:\/(\w+))?$/);
+        const find = match => list.find(p => p.pid === Number(match[1]));
+        jest.spyOn(fs, 'readdirSync').mockReturnValue(list.map(p => String(p.pid)));
+        jest.spyOn(fs, 'statSync').mockImplementation((file, ...rest) => {
+            const match = procFile(file);
+            return match ? { uid: 1000 } : statSync(file, ...rest);
+        });
+        jest.spyOn(fs, 'readFileSync').mockImplementation((file, ...rest) => {
+            const match = procFile(file);
+            if (!match) return readFileSync(file, ...rest);
+            const proc = find(match);
+            return match[2] === 'comm' ? `${proc.name.slice(0, 15)}\n` : proc.args.replace(/ /g, '\0');
+        });
+        jest.spyOn(fs, 'readlinkSync').mockImplementation(file => find(procFile(file)).path);
+        jest.spyOn(process, 'on').mockImplementation(() => process);
+        const kill = jest.spyOn(process, 'kill').mockImplementation(() => true);
+
+        blockWatcher.watcher();
+        return kill.mock.calls.map(([pid]) => pid);
+    }
+
+    it('matches rules against the full name of processes Linux cuts short', () => {
+        const killed = runWatcher([
+            { pid: 21, name: 'minecraft-launcher', path: '/opt/minecraft-launcher/minecraft-launcher', args: '/opt/minecraft-launcher/minecraft-launcher' },
+            { pid: 22, name: 'minecraft-launcher-helper', path: '/usr/bin/minecraft-launcher-helper', args: 'minecraft-launcher-helper' }
+        ], [{ label: 'Minecraft', match: 'exact', pattern: 'minecraft-launcher' }]);
+
+        expect(killed).toEqual([21]);
+    });
+});
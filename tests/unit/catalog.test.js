@@ -0,0 +1,143 @@
+'use strict';
+
+jest.mock('child_process');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const childProcess = require('child_process');
+const appCatalog = require('../../src/catalog');
+const processMonitor = require('../../src/monitors/process-monitor');
+const { getPrivateDirectory } = require('../../src/monitors/private-directory');
+const { createPlugin, createState } = require('../helpers/plugin');
+
+describe('application catalog', () => {
+    let buildScript;
+
+    beforeEach(() => {
+        buildScript = jest.spyOn(processMonitor, 'buildScript');
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    async function load() {
+        const h = createPlugin({
+            agents: [
+                { id: 'a1', hostname: 'pc1', platform: 'linux', online: true },
+                { id: 'a2', hostname: 'pc2', platform: 'win32', online: true }
+            ]
+        });
+        await h.plugin.onLoad(createState());
+        h.deployed = () => buildScript.mock.calls.length;
+        h.deployedEntry = id => buildScript.mock.calls[buildScript.mock.calls.length - 1][0].find(entry => entry.id === id);
+        return h;
+    }
+
+    it('puts parent-added entries first and marks overridden built-in entries', () => {
+        const catalog = appCatalog.buildCatalog({
+            overrides: { minecraft: { category: 'education' } },
+            entries: [{ id: 'custom-1', name: 'SuperTux', category: 'games', match: 'exact', pattern: 'supertux2' }]
+        });
+
+        expect(catalog[0]).toMatchObject({ id: 'custom-1', source: 'custom' });
+        expect(catalog.find(entry => entry.id === 'minecraft')).toMatchObject({ category: 'education', source: 'override' });
+        expect(catalog.find(entry => entry.id === 'steam')).toMatchObject({ category: 'games', source: 'builtin' });
+    });
+
+    it('pushes a reclassified application to every agent', async () => {
+        const h = await load();
+        const deployed = h.deployed();
+
+        const [error] = await h.invoke('os:classifyApp', { catalogId: 'minecraft', category: 'education' });
+
+        expect(error).toBeNull();
+        expect(h.deployed()).toBe(deployed + 2);
+        expect(h.deployedEntry('minecraft')).toMatchObject({ type: 'education', category: 'education' });
+        expect(h.state.catalog.overrides).toEqual({ minecraft: { category: 'education' } });
+    });
+
+    it('adds an application from the activity list by its process name', async () => {
+        const h = await load();
+
+        await h.invoke('os:classifyApp', { processName: 'supertux2', category: 'games', internetApp: false });
+
+        const [entry] = h.state.catalog.entries;
+        expect(entry).toMatchObject({ name: 'supertux2', category: 'games', match: 'exact', pattern: 'supertux2' });
+        expect(h.deployedEntry(entry.id)).toMatchObject({ type: 'game', internetApp: false });
+    });
+
+    it('undoes a reclassification', async () => {
+        const h = await load();
+        await h.invoke('os:classifyApp', { catalogId: 'minecraft', category: 'education' });
+
+        await h.invoke('os:resetCatalogEntry', { id: 'minecraft' });
+
+        expect(h.deployedEntry('minecraft').category).toBe('games');
+        const [, { entries }] = await h.invoke('os:getCatalog');
+        expect(entries.find(entry => entry.id === 'minecraft').source).toBe('builtin');
+    });
+
+    it('rejects unknown categories and entries that would replace a built-in one', async () => {
+        const h = await load();
+
+        const [unknown] = await h.invoke('os:classifyApp', { catalogId: 'minecraft', category: 'toys' });
+        const [builtin] = await h.invoke('os:saveCatalogEntry', {
+            entry: { id: 'steam', name: 'Steam', category: 'social', pattern: 'steam' }
+        });
+
+        expect(unknown.message).toBe('Unknown category "toys"');
+        expect(builtin.message).toBe('"steam" is a built-in entry - reclassify it instead');
+    });
+});
+
+describe('process monitor classification', () => {
+    const platform = process.platform;
+    let directory;
+
+    beforeEach(() => {
+        Object.defineProperty(process, 'platform', { value: 'linux' });
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'process-catalog-'));
+        jest.spyOn(os, 'tmpdir').mockReturnValue(directory);
+    });
+
+    afterEach(() => {
+        Object.defineProperty(process, 'platform', { value: platform });
+        jest.restoreAllMocks();
+        jest.resetAllMocks();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('classifies processes with the catalog it was deployed with, on whole names', () => {
+        const list = [
+            { pid: 101, name: 'supertux2', path: '/usr/games/supertux2' },
+            { pid: 102, name: 'codeblocks', path: '/usr/bin/codeblocks' },
+            { pid: 103, name: 'code', path: '/usr/share/code/code' }
+        ];
+        childProcess.execSync.mockImplementation(command => {
+            if (command.startsWith('ps -eo pid,comm')) {
+                return list.map(p => `${p.pid} ${p.name}`).join('\n');
+            }
+            if (command.startsWith('ps -axo pid=,args=')) {
+                return list.map(p => `${p.pid} ${p.path}`).join('\n');
+            }
+            if (command.startsWith('ps -eo pid=,ppid=')) {
+                return list.map(p => `${p.pid} 1 kid Mon Mar  2 10:00:00 2026`).join('\n');
+            }
+            throw new Error(`${command}: not found`);
+        });
+        const catalog = [
+            { id: 'custom-1', name: 'SuperTux', type: 'game', category: 'games', match: 'exact', pattern: 'supertux2' },
+            { id: 'vscode', name: 'Visual Studio Code', type: 'productivity', category: 'productivity', match: 'regex', pattern: '^(code|code - oss)$' }
+        ];
+
+        const { processes } = processMonitor.script(catalog, 'deploy-1', getPrivateDirectory);
+
+        expect(processes.map(proc => [proc.name, proc.category, proc.catalogId])).toEqual([
+            ['supertux2', 'games', 'custom-1'],
+            ['codeblocks', 'other', undefined],
+            ['code', 'productivity', 'vscode']
+        ]);
+    });
+});
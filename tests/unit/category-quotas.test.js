@@ -0,0 +1,103 @@
+'use strict';
+
+const { createPlugin, createState } = require('../helpers/plugin');
+
+const minecraft = { pid: 301, name: 'minecraft-launcher', path: '/opt/minecraft/minecraft-launcher', user: 'kid', category: 'games' };
+const roblox = { pid: 302, name: 'roblox', path: '/opt/roblox/roblox', user: 'kid', category: 'games' };
+const tutor = { pid: 303, name: 'tuxmath', path: '/usr/games/tuxmath', user: 'kid', category: 'education' };
+
+describe('category quotas', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.setSystemTime(Date.parse('2026-03-04T16:00:00Z'));
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    /**
+     * Load with minutes of games already played today
+     */
+    async function load(playedMinutes = 0, categoryQuotas = { games: 90 }) {
+        const h = createPlugin();
+        await h.plugin.onLoad(createState({
+            agents: { a1: { id: 'a1', hostname: 'pc1', platform: 'linux', childId: 'c1', timeZone: 'UTC' } },
+            children: { c1: { categoryQuotas } },
+            categoryUsage: {
+                'c1:games': {
+                    childId: 'c1',
+                    name: 'games',
+                    days: { '2026-03-04': playedMinutes * 60 },
+                    intervals: [],
+                    warned: null,
+                    lastAgentId: 'a1'
+                }
+            }
+        }));
+        let snapshot = 0;
+        h.processesAt = (time, processes) => {
+            jest.setSystemTime(Date.parse(time));
+            return h.report('os-process-monitor', { report: 'full', snapshotId: `s${++snapshot}`, sequence: 0, processes });
+        };
+        h.quotaStatus = async () => {
+            const [, status] = await h.invoke('os:getStatus');
+            return status.usageLimits.c1.categories;
+        };
+        return h;
+    }
+
+    it('counts time once while any application in the category runs', async () => {
+        const h = await load();
+
+        await h.processesAt('2026-03-04T16:00:00Z', [minecraft, roblox, tutor]);
+        await h.processesAt('2026-03-04T16:00:30Z', [minecraft, roblox, tutor]);
+        await h.processesAt('2026-03-04T16:01:00Z', [tutor]);
+
+        expect(await h.quotaStatus()).toEqual([
+            { name: 'games', usedSeconds: 30, limitMinutes: 90, remainingSeconds: 5370 }
+        ]);
+    });
+
+    it('warns ahead of time like computer time', async () => {
+        const h = await load(85);
+
+        await h.processesAt('2026-03-04T16:00:00Z', [minecraft]);
+
+        expect(h.triggered('show-warning').map(call => call.args)).toEqual([{
+            title: '5 minutes remaining',
+            message: 'You have 5 minutes of games time left.',
+            urgency: 'critical'
+        }]);
+    });
+
+    it('closes every application in the category once the quota runs out', async () => {
+        const h = await load(90);
+
+        await h.processesAt('2026-03-04T16:00:00Z', [minecraft, roblox, tutor]);
+
+        expect(h.triggered('kill-process').map(call => call.args.pid)).toEqual([301, 302]);
+        expect(h.state.violations.map(violation => violation.reason))
+            .toEqual(['category_quota:games', 'category_quota:games']);
+    });
+
+    it('ignores quotas on uncategorised processes', async () => {
+        const h = await load(0, { other: 0 });
+        const daemon = { pid: 304, name: 'daemon', path: '/usr/sbin/daemon', user: 'kid', category: 'other' };
+
+        await h.processesAt('2026-03-04T16:00:00Z', [daemon]);
+
+        expect(h.triggered('kill-process')).toEqual([]);
+        expect(await h.quotaStatus()).toEqual([]);
+    });
+
+    it('rejects invalid quotas when settings are saved', async () => {
+        const h = await load();
+
+        const [error] = await h.invoke('os:updateChildSettings', { childId: 'c1', settings: { categoryQuotas: { games: 'lots' } } });
+
+        expect(error.message).toBe('Category quota "games" needs a number of minutes per day');
+        expect(h.state.children.c1.categoryQuotas).toEqual({ games: 90 });
+    });
+});
@@ -0,0 +1,81 @@
+'use strict';
+
+const { createPlugin, createState } = require('../helpers/plugin');
+
+describe('usage across agents', () => {
+    const start = Date.parse('2026-03-02T10:00:00Z');
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.setSystemTime(start);
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    async function load() {
+        const agents = ['a1', 'a2'].map(id => ({ id, hostname: `pc-${id}`, platform: 'linux', online: true }));
+        const h = createPlugin({ agents });
+        await h.plugin.onLoad(createState({
+            agents: Object.fromEntries(agents.map(agent => [agent.id, { ...agent, childId: 'c1', timeZone: 'UTC' }])),
+            userMappings: { a1: { kid: 'c1' }, a2: { kid: 'c1' } }
+        }));
+        return h;
+    }
+
+    /**
+     * The child's session report from an agent, some seconds after the start
+     */
+    async function reportAt(h, agentId, seconds) {
+        jest.setSystemTime(start + seconds * 1000);
+        await h.report('os-session-monitor', { username: 'kid', sessionId: '1', isIdle: false, idleTime: 0 }, agentId);
+    }
+
+    async function getReport(h) {
+        const [error, report] = await h.invoke('os:getUsageReport', { childId: 'c1', period: 'day' });
+        expect(error).toBeNull();
+        return report.children.c1;
+    }
+
+    it('counts time on two devices used at once only once', async () => {
+        const h = await load();
+
+        await reportAt(h, 'a1', 0);
+        await reportAt(h, 'a2', 10);
+        await reportAt(h, 'a1', 30);
+        await reportAt(h, 'a2', 40);
+        await reportAt(h, 'a1', 60);
+
+        const report = await getReport(h);
+        // a1 was used for 0-60 and a2 for 10-40, which lies inside it
+        expect(report.agents.a1.totals.computer).toBe(60);
+        expect(report.agents.a2.totals.computer).toBe(30);
+        expect(report.totals.computer).toBe(60);
+    });
+
+    it('adds time on separate devices used one after the other', async () => {
+        const h = await load();
+
+        await reportAt(h, 'a1', 0);
+        await reportAt(h, 'a1', 30);
+        await reportAt(h, 'a2', 60);
+        await reportAt(h, 'a2', 90);
+
+        const report = await getReport(h);
+        expect(report.totals.computer).toBe(60);
+    });
+
+    it('only counts the part of an overlapping report that is new', async () => {
+        const h = await load();
+
+        await reportAt(h, 'a1', 0);
+        await reportAt(h, 'a2', 20);
+        await reportAt(h, 'a1', 30);
+        // a2's 20-50 overlaps a1's 0-30 for 10 seconds
+        await reportAt(h, 'a2', 50);
+
+        const report = await getReport(h);
+        expect(report.totals.computer).toBe(50);
+    });
+});
@@ -0,0 +1,169 @@
+'use strict';
+
+const { createPlugin, createState, flush } = require('../helpers/plugin');
+
+describe('enforcement escalation', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.setSystemTime(Date.parse('2026-03-03T15:00:00Z'));
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    /**
+     * Load the plugin with the child's remaining computer time set by the test
+     */
+    async function load(child = {}) {
+        let remaining = 0;
+        const checkActivity = jest.fn(async () => ({ allowed: true, remaining_seconds: remaining }));
+
+        const h = createPlugin({ allow2Client: { checkActivity } });
+        await h.plugin.onLoad(createState({
+            agents: { a1: { id: 'a1', hostname: 'pc1', platform: 'linux', childId: 'c1', timeZone: 'UTC' } },
+            children: { c1: child }
+        }));
+        h.setRemaining = seconds => { remaining = seconds; };
+        h.phases = () => h.rendererEvents
+            .filter(event => event.channel === 'osEnforcementChanged')
+            .map(event => event.data.enforcement.phase);
+        return h;
+    }
+
+    const sessionReport = h => h.report('os-session-monitor', { username: 'kid', sessionId: '1', isIdle: false, idleTime: 0 });
+
+    /**
+     * Let time pass a second at a time, so timers set by timers run too
+     */
+    async function advance(seconds) {
+        for (let second = 0; second < seconds; second++) {
+            jest.advanceTimersByTime(1000);
+            await flush();
+        }
+    }
+
+    it('warns as time runs out, then logs out after the grace period', async () => {
+        const h = await load();
+        h.setRemaining(120);
+        await sessionReport(h);
+
+        expect(h.phases()).toEqual(['warning']);
+        expect(h.triggered('show-warning').map(call => call.args.title)).toEqual(['2 minutes remaining']);
+
+        // The first step runs just after time is up
+        await advance(121);
+        expect(h.phases()).toEqual(['warning', 'grace']);
+        expect(h.triggered('show-warning').map(call => call.args.title))
+            .toEqual(['2 minutes remaining', '1 minutes remaining', 'Time is up!']);
+
+        await advance(60);
+        expect(h.phases()).toEqual(['warning', 'grace', 'enforced']);
+        expect(h.triggered('logout-user').map(call => call.args.username)).toEqual(['kid']);
+    });
+
+    it('does not warn again or start another logout for reports during the grace period', async () => {
+        const h = await load();
+        await sessionReport(h);
+        await advance(30);
+        await sessionReport(h);
+        await advance(31);
+        await sessionReport(h);
+
+        expect(h.triggered('show-warning').map(call => call.args.title)).toEqual(['Time is up!']);
+        expect(h.triggered('logout-user')).toHaveLength(1);
+        expect(h.state.violations).toHaveLength(1);
+    });
+
+    it('cancels a pending logout when more time is granted', async () => {
+        const h = await load();
+        await sessionReport(h);
+
+        h.setRemaining(1800);
+        await advance(30);
+        await sessionReport(h);
+        await advance(60);
+
+        expect(h.phases()).toEqual(['grace', 'idle', 'warning']);
+        expect(h.triggered('show-warning').map(call => call.args.title)).toEqual(['Time is up!', 'Good news']);
+        expect(h.triggered('logout-user')).toEqual([]);
+    });
+
+    it('only carries on past a lock once the child uses the computer again', async () => {
+        const h = await load({
+            escalation: [
+                { action: 'warn', delay: 0 },
+                { action: 'lock-session', delay: 60 },
+                { action: 'logout-user', delay: 120 }
+            ]
+        });
+        await sessionReport(h);
+
+        await advance(61);
+        expect(h.triggered('lock-session')).toHaveLength(1);
+        expect(h.phases()).toEqual(['grace', 'enforced']);
+
+        await advance(120);
+        expect(h.triggered('logout-user')).toEqual([]);
+
+        await sessionReport(h);
+        expect(h.triggered('logout-user')).toHaveLength(1);
+    });
+
+    it("runs each step of the child's ladder after its delay", async () => {
+        const h = await load({
+            escalation: [
+                { action: 'warn', delay: 0, message: 'Save your work' },
+                { action: 'warn', delay: 30, message: 'Last chance' },
+                { action: 'kill-browsers', delay: 30 },
+                { action: 'logout-user', delay: 30 }
+            ]
+        });
+        const firefox = { pid: 101, name: 'firefox', path: '/usr/lib/firefox/firefox', user: 'kid', category: 'internet' };
+        await h.report('os-process-monitor', {
+            report: 'full', snapshotId: 's1', sequence: 0, processes: [firefox], browsers: [firefox]
+        });
+        await sessionReport(h);
+
+        await advance(1);
+        expect(h.triggered('show-warning').map(call => call.args.message)).toEqual(['Save your work']);
+
+        await advance(30);
+        expect(h.triggered('show-warning').map(call => call.args.message)).toEqual(['Save your work', 'Last chance']);
+        expect(h.phases()).toEqual(['grace']);
+
+        await advance(30);
+        expect(h.triggered('kill-process').map(call => call.args.pid)).toEqual([101]);
+        expect(h.phases()).toEqual(['grace', 'enforced']);
+        expect(h.triggered('logout-user')).toEqual([]);
+
+        await advance(30);
+        expect(h.triggered('logout-user').map(call => call.args.username)).toEqual(['kid']);
+    });
+
+    it('uses the ladder at bedtime too', async () => {
+        const h = await load({
+            bedtime: { enabled: true, start: '14:00', end: '07:00' },
+            escalation: [{ action: 'lock-session', delay: 0 }]
+        });
+        h.setRemaining(3600);
+        await sessionReport(h);
+        await advance(1);
+
+        expect(h.triggered('lock-session')).toHaveLength(1);
+        expect(h.triggered('logout-user')).toEqual([]);
+        const [, status] = await h.invoke('os:getStatus');
+        expect(status.agents[0].enforcement).toMatchObject({ phase: 'enforced', cause: 'bedtime' });
+    });
+
+    it('falls back to warning then logging out when no step is known', async () => {
+        const h = await load({ escalation: [{ action: 'shutdown', delay: 0 }] });
+        await sessionReport(h);
+
+        await advance(1);
+        expect(h.triggered('show-warning').map(call => call.args.title)).toEqual(['Time is up!']);
+
+        await advance(60);
+        expect(h.triggered('logout-user')).toHaveLength(1);
+    });
+});
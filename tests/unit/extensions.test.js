@@ -0,0 +1,126 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createPlugin, createState } = require('../helpers/plugin');
+
+describe('parent PIN', () => {
+    const pinFile = () => path.join(os.homedir(), '.allow2automate', 'allow2automate-os-pin.json');
+
+    afterEach(() => {
+        fs.rmSync(pinFile(), { force: true });
+    });
+
+    async function load(overrides = {}) {
+        const checkActivity = jest.fn(async () => ({ allowed: true, remaining_seconds: 0 }));
+        const h = createPlugin({ allow2Client: { checkActivity } });
+        await h.plugin.onLoad(createState({
+            agents: { a1: { id: 'a1', hostname: 'pc1', platform: 'linux', childId: 'c1' } },
+            ...overrides
+        }));
+        return h;
+    }
+
+    it('keeps the PIN out of the saved plugin state', async () => {
+        const h = await load();
+
+        const [error, result] = await h.invoke('os:setParentPin', { pin: '4321' });
+        await h.invoke('os:updateSettings', { settings: { gracePeriod: 90 } });
+
+        expect(error).toBeNull();
+        expect(result.parentPinSet).toBe(true);
+        expect(JSON.stringify(h.state)).not.toMatch(/salt|hash/);
+        expect(fs.statSync(pinFile()).mode & 0o777).toBe(0o600);
+    });
+
+    it('checks a PIN entered on an agent after a restart', async () => {
+        await (await load()).invoke('os:setParentPin', { pin: '4321' });
+
+        const h = await load();
+        await h.report('os-session-monitor', { username: 'kid', sessionId: '1', isIdle: false, idleTime: 0 });
+        expect(h.triggered('prompt-pin')).toHaveLength(1);
+
+        await h.respond('prompt-pin', { result: { pin: '4321' } });
+
+        expect(h.state.extensions).toMatchObject([{ childId: 'c1', agentId: 'a1', minutes: 15, source: 'pin' }]);
+    });
+
+    it('moves a PIN saved by an earlier version out of the plugin state', async () => {
+        const parentPin = { salt: 'abc', hash: 'def' };
+        const h = await load({ parentPin });
+
+        expect(h.state.parentPin).toBeUndefined();
+        expect(JSON.parse(fs.readFileSync(pinFile(), 'utf8'))).toEqual(parentPin);
+    });
+
+    it('removes the PIN when it is cleared', async () => {
+        const h = await load();
+        await h.invoke('os:setParentPin', { pin: '4321' });
+
+        const [, result] = await h.invoke('os:setParentPin', { pin: '' });
+
+        expect(result.parentPinSet).toBe(false);
+        expect(fs.existsSync(pinFile())).toBe(false);
+    });
+});
+
+describe('extension settings', () => {
+    it('rejects PIN extensions that are not a whole number of minutes', async () => {
+        const h = createPlugin();
+        await h.plugin.onLoad(createState());
+
+        for (const minutes of [NaN, null, '', 0, 2.5, 1000]) {
+            const [error] = await h.invoke('os:updateSettings', { settings: { pinExtensionMinutes: minutes } });
+            expect(error?.message).toBe('pinExtensionMinutes must be a whole number from 1 to 240');
+        }
+        const [error] = await h.invoke('os:updateSettings', { settings: { pinExtensionMinutes: 20 } });
+
+        expect(error).toBeNull();
+        expect(h.state.settings.pinExtensionMinutes).toBe(20);
+    });
+
+    it('rejects other numeric settings out of range', async () => {
+        const h = createPlugin();
+        await h.plugin.onLoad(createState());
+
+        const [error] = await h.invoke('os:updateSettings', { settings: { gracePeriod: NaN, pauseOnIdle: false } });
+
+        expect(error.message).toBe('gracePeriod must be a whole number from 0 to 3600');
+        expect(h.state.settings).toMatchObject({ gracePeriod: 60, pauseOnIdle: true });
+    });
+});
+
+describe('extensions', () => {
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    async function load(savedState, remaining) {
+        const checkActivity = jest.fn(async () => ({ allowed: true, remaining_seconds: remaining }));
+        const h = createPlugin({ allow2Client: { checkActivity } });
+        await h.plugin.onLoad(savedState);
+        return h;
+    }
+
+    const sessionReport = h => h.report('os-session-monitor', { username: 'kid', sessionId: '1', isIdle: false, idleTime: 0 });
+
+    it('keeps counting an extension that started before a restart', async () => {
+        jest.useFakeTimers();
+        jest.setSystemTime(Date.parse('2026-03-03T15:00:00Z'));
+        const first = await load(createState({
+            agents: { a1: { id: 'a1', hostname: 'pc1', platform: 'linux', childId: 'c1', timeZone: 'UTC' } }
+        }), 0);
+        // Time is already up, so the extension starts running straight away
+        await first.invoke('os:grantExtension', { childId: 'c1', agentId: 'a1', minutes: 10 });
+        // Restarted after a crash - with what was saved
+        const saved = first.state;
+        await first.plugin.onUnload(() => {});
+
+        jest.setSystemTime(Date.parse('2026-03-03T15:04:00Z'));
+        const h = await load(saved, 0);
+        await sessionReport(h);
+
+        expect(h.triggered('show-warning').map(call => call.args.title)).toEqual(['6 minutes remaining']);
+    });
+});
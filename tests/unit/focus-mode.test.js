@@ -0,0 +1,92 @@
+'use strict';
+
+const { createPlugin, createState, flush } = require('../helpers/plugin');
+
+const steam = { pid: 201, name: 'steam', path: '/usr/bin/steam', user: 'kid', category: 'games' };
+const tutor = { pid: 203, name: 'tuxmath', path: '/usr/games/tuxmath', user: 'kid', category: 'education' };
+
+describe('focus mode', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.setSystemTime(Date.parse('2026-03-04T16:00:00Z'));
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    async function load(state = createState({
+        agents: { a1: { id: 'a1', hostname: 'pc1', platform: 'linux', childId: 'c1', timeZone: 'UTC' } },
+        children: { c1: { focusMode: { blockedCategories: ['games', 'social'] } } }
+    })) {
+        const h = createPlugin();
+        await h.plugin.onLoad(state);
+        let snapshot = 0;
+        h.processes = processes =>
+            h.report('os-process-monitor', { report: 'full', snapshotId: `s${++snapshot}`, sequence: 0, processes });
+        h.killed = () => h.triggered('kill-process').map(call => call.args.pid);
+        h.titles = () => h.triggered('show-warning').map(call => call.args.title);
+        return h;
+    }
+
+    it("closes the blocked categories' applications only while it is on", async () => {
+        const h = await load();
+        await h.processes([steam, tutor]);
+        expect(h.killed()).toEqual([]);
+
+        const [error, result] = await h.invoke('os:triggerFocusMode', { agentId: 'a1', enabled: true });
+        expect(error).toBeNull();
+        expect(result).toMatchObject({ focusModeActive: true, focusModeExpiresAt: null });
+        await h.processes([steam, tutor]);
+
+        expect(h.killed()).toEqual([201]);
+        expect(h.state.violations[0]).toMatchObject({ processName: 'steam', reason: 'focus_mode' });
+    });
+
+    it('tells the child when it starts and ends', async () => {
+        const h = await load();
+
+        await h.invoke('os:triggerFocusMode', { agentId: 'a1', enabled: true });
+        await h.invoke('os:triggerFocusMode', { agentId: 'a1', enabled: false });
+
+        expect(h.titles()).toEqual(['Focus Mode On', 'Focus Mode Off']);
+        expect(h.state.activityLog.map(entry => entry.type).slice(0, 2))
+            .toEqual(['focus_mode_ended', 'focus_mode_started']);
+    });
+
+    it('ends by itself after its duration', async () => {
+        const h = await load();
+        const [, result] = await h.invoke('os:triggerFocusMode', { agentId: 'a1', enabled: true, durationMinutes: 30 });
+        expect(result.focusModeExpiresAt).toBe(Date.parse('2026-03-04T16:30:00Z'));
+
+        jest.advanceTimersByTime(30 * 60000);
+        await flush();
+        await h.processes([steam]);
+
+        expect(h.titles()).toEqual(['Focus Mode On', 'Focus Mode Off']);
+        expect(h.state.agents.a1.focusModeActive).toBe(false);
+        expect(h.killed()).toEqual([]);
+    });
+
+    it('still ends on time after a restart', async () => {
+        const first = await load();
+        await first.invoke('os:triggerFocusMode', { agentId: 'a1', enabled: true, durationMinutes: 30 });
+
+        const second = await load(first.state);
+        jest.advanceTimersByTime(30 * 60000);
+        await flush();
+
+        expect(second.titles()).toEqual(['Focus Mode Off']);
+        expect(second.state.agents.a1.focusModeActive).toBe(false);
+    });
+
+    it('refuses to start for a child without a focus mode configuration', async () => {
+        const h = await load(createState({
+            agents: { a1: { id: 'a1', hostname: 'pc1', platform: 'linux', childId: 'c1' } }
+        }));
+
+        const [error] = await h.invoke('os:triggerFocusMode', { agentId: 'a1', enabled: true });
+
+        expect(error.message).toBe('Focus mode not configured for this child');
+    });
+});
@@ -0,0 +1,90 @@
+'use strict';
+
+jest.mock('child_process');
+
+const fs = require('fs');
+const childProcess = require('child_process');
+const foregroundMonitor = require('../../src/monitors/foreground-monitor');
+const { createPlugin, createState } = require('../helpers/plugin');
+
+const calculator = { pid: 4242, name: 'gnome-calculator', path: '/usr/bin/gnome-calculator', args: 'gnome-calculator', user: 'kid' };
+
+describe('foreground monitor on Linux', () => {
+    const platform = process.platform;
+    const display = process.env.DISPLAY;
+
+    beforeEach(() => {
+        Object.defineProperty(process, 'platform', { value: 'linux' });
+        process.env.DISPLAY = ':0';
+    });
+
+    afterEach(() => {
+        Object.defineProperty(process, 'platform', { value: platform });
+        if (display === undefined) delete process.env.DISPLAY;
+        else process.env.DISPLAY = display;
+        jest.restoreAllMocks();
+        jest.resetAllMocks();
+    });
+
+    it('reports the full name of a focused process whose name Linux cuts short', () => {
+        childProcess.execSync.mockImplementation(command => {
+            const output = {
+                'xdotool getactivewindow': '77',
+                'xdotool getwindowpid 77': '4242',
+                'xdotool getwindowname 77': 'Calculator',
+                'xdotool getwindowclassname 77': 'gnome-calculator',
+                'id -nu 1000': 'kid'
+            }[command];
+            if (output === undefined) throw new Error(`${command}: not found`);
+            return output;
+        });
+        const readFileSync = fs.readFileSync;
+        jest.spyOn(fs, 'readFileSync').mockImplementation((file, ...rest) => {
+            if (file === '/proc/4242/comm') return 'gnome-calculato\n';
+            if (file === '/proc/4242/cmdline') return 'gnome-calculator\0';
+            return readFileSync(file, ...rest);
+        });
+        jest.spyOn(fs, 'readlinkSync').mockReturnValue('/usr/bin/gnome-calculator');
+        const statSync = fs.statSync;
+        jest.spyOn(fs, 'statSync').mockImplementation((file, ...rest) =>
+            file === '/proc/4242' ? { uid: 1000 } : statSync(file, ...rest));
+
+        expect(foregroundMonitor.script()).toMatchObject({
+            available: true,
+            pid: 4242,
+            name: 'gnome-calculator',
+            path: '/usr/bin/gnome-calculator',
+            user: 'kid',
+            windowTitle: 'Calculator'
+        });
+    });
+});
+
+describe('foreground usage', () => {
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('counts a focused application by the name the process monitor reported', async () => {
+        jest.useFakeTimers();
+        jest.setSystemTime(Date.parse('2026-03-03T15:00:00Z'));
+        const h = createPlugin();
+        await h.plugin.onLoad(createState({
+            agents: { a1: { id: 'a1', hostname: 'pc1', platform: 'linux', childId: 'c1', timeZone: 'UTC' } }
+        }));
+        await h.report('os-process-monitor', { report: 'full', snapshotId: 's1', sequence: 0, processes: [calculator] });
+
+        // An agent still reporting the 15-character comm name
+        const focused = { available: true, method: 'xdotool', pid: 4242, name: 'gnome-calculato', user: 'kid' };
+        await h.report('os-foreground-monitor', focused);
+        jest.setSystemTime(Date.parse('2026-03-03T15:00:30Z'));
+        await h.report('os-foreground-monitor', focused);
+
+        const [error, report] = await h.invoke('os:getUsageReport', { childId: 'c1' });
+        expect(error).toBeNull();
+        expect(report.children.c1.foreground).toEqual({
+            apps: { Calculator: 30 },
+            categories: { productivity: 30 }
+        });
+    });
+});
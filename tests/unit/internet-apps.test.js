@@ -0,0 +1,108 @@
+'use strict';
+
+jest.mock('child_process');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const childProcess = require('child_process');
+const processMonitor = require('../../src/monitors/process-monitor');
+const { getPrivateDirectory } = require('../../src/monitors/private-directory');
+const { createPlugin, createState } = require('../helpers/plugin');
+
+describe('internet applications', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.setSystemTime(Date.parse('2026-03-04T16:00:00Z'));
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    async function internetSeconds(discord) {
+        const h = createPlugin();
+        await h.plugin.onLoad(createState({
+            agents: { a1: { id: 'a1', hostname: 'pc1', platform: 'linux', childId: 'c1', timeZone: 'UTC' } }
+        }));
+        for (const [snapshotId, time] of [['s1', '2026-03-04T16:00:00Z'], ['s2', '2026-03-04T16:00:30Z']]) {
+            jest.setSystemTime(Date.parse(time));
+            await h.report('os-process-monitor', {
+                report: 'full', snapshotId, sequence: 0, processes: [discord], browsers: [], internetApps: [discord]
+            });
+        }
+
+        const [, report] = await h.invoke('os:getUsageReport', { childId: 'c1' });
+        return report.children.c1.totals.internet;
+    }
+
+    const discord = { pid: 201, name: 'Discord', path: '/opt/discord/Discord', user: 'kid', category: 'social', internetApp: true };
+
+    it('counts an online application toward internet time', async () => {
+        expect(await internetSeconds({ ...discord, networkActive: true })).toBe(30);
+    });
+
+    it("doesn't count an online application without connections", async () => {
+        expect(await internetSeconds({ ...discord, networkActive: false })).toBe(0);
+    });
+});
+
+describe('internet applications on Linux', () => {
+    const platform = process.platform;
+    let directory;
+
+    beforeEach(() => {
+        Object.defineProperty(process, 'platform', { value: 'linux' });
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'internet-apps-'));
+        jest.spyOn(os, 'tmpdir').mockReturnValue(directory);
+    });
+
+    afterEach(() => {
+        Object.defineProperty(process, 'platform', { value: platform });
+        jest.restoreAllMocks();
+        jest.resetAllMocks();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('marks online applications by whether they hold a connection to another machine', () => {
+        childProcess.execSync.mockImplementation(command => {
+            if (command.startsWith('ps -eo pid,comm')) return '201 Discord\n202 spotify\n203 supertux2\n';
+            if (command.startsWith('ps -axo pid=,args=') || command.startsWith('ps -eo pid=,ppid=')) return '';
+            throw new Error(`${command}: not found`);
+        });
+
+        // Discord is connected to 93.184.216.34:443, Spotify only to a local port
+        const tcp = [
+            '  sl  local_address rem_address   st tx_queue rx_queue tr tm->when retrnsmt   uid  timeout inode',
+            '   0: 0A00000F:D2F0 22D8B85D:01BB 01 00000000:00000000 00:00000000 00000000  1000        0 1111 1',
+            '   1: 0100007F:D2F2 0100007F:0FA1 01 00000000:00000000 00:00000000 00000000  1000        0 2222 1'
+        ].join('\n');
+        const readFileSync = fs.readFileSync;
+        jest.spyOn(fs, 'readFileSync').mockImplementation((file, ...rest) => {
+            if (file === '/proc/net/tcp') return tcp;
+            if (String(file).startsWith('/proc/')) throw new Error('ENOENT');
+            return readFileSync(file, ...rest);
+        });
+        const readdirSync = fs.readdirSync;
+        jest.spyOn(fs, 'readdirSync').mockImplementation((dir, ...rest) => {
+            if (dir === '/proc/201/fd' || dir === '/proc/202/fd') return ['0', '7'];
+            return readdirSync(dir, ...rest);
+        });
+        jest.spyOn(fs, 'readlinkSync').mockImplementation(link => {
+            const links = { '/proc/201/fd/7': 'socket:[1111]', '/proc/202/fd/7': 'socket:[2222]' };
+            if (links[link]) return links[link];
+            throw new Error('ENOENT');
+        });
+        const catalog = [
+            { id: 'discord', name: 'Discord', type: 'social', category: 'social', internetApp: true, match: 'regex', pattern: '^discord$' },
+            { id: 'spotify', name: 'Spotify', type: 'internet', category: 'internet', internetApp: true, match: 'regex', pattern: '^spotify$' }
+        ];
+
+        const result = processMonitor.script(catalog, 'deploy-1', getPrivateDirectory);
+
+        expect(result.internetApps.map(app => [app.name, app.networkActive])).toEqual([
+            ['Discord', true],
+            ['spotify', false]
+        ]);
+    });
+});
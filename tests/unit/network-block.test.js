@@ -0,0 +1,193 @@
+'use strict';
+
+jest.mock('child_process');
+
+const childProcess = require('child_process');
+const networkBlock = require('../../src/actions/network-block');
+const { createPlugin, createState } = require('../helpers/plugin');
+
+describe('network block settings', () => {
+    async function load(networkBlockSettings) {
+        let internetAllowed = false;
+        const checkActivity = jest.fn(async ({ activity_type: type }) => type === 'internet' && !internetAllowed
+            ? { allowed: false, remaining_seconds: 0 }
+            : { allowed: true, remaining_seconds: 99999 });
+
+        const h = createPlugin({ allow2Client: { checkActivity } });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        await h.plugin.onLoad(createState({
+            agents: { a1: { id: 'a1', hostname: 'pc1', platform: 'linux', childId: 'c1' } },
+            children: { c1: { networkBlock: networkBlockSettings } }
+        }));
+        h.allowInternet = () => { internetAllowed = true; };
+        return h;
+    }
+
+    afterEach(() => {
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    /**
+     * The child browsing, then their session report (which checks quotas)
+     */
+    async function browse(h) {
+        const firefox = { pid: 101, name: 'firefox', path: '/usr/lib/firefox/firefox', user: 'kid', category: 'internet' };
+        await h.report('os-process-monitor', {
+            report: 'full',
+            snapshotId: 's1',
+            sequence: 0,
+            processes: [firefox],
+            browsers: [{ pid: 101, name: 'firefox', user: 'kid', browserName: 'Firefox' }],
+            timestamp: Date.now()
+        });
+        await h.report('os-session-monitor', { username: 'kid', sessionId: '1', isIdle: false, idleTime: 0 });
+    }
+
+    it('normalizes allowed hosts when settings are saved', async () => {
+        const h = await load();
+
+        const [error] = await h.invoke('os:updateChildSettings', {
+            childId: 'c1',
+            settings: { networkBlock: { allowedHosts: ['School.example.com', '10.0.0.0/08', '2001:db8::/32', '192.168.1.5'] } }
+        });
+
+        expect(error).toBeNull();
+        expect(h.state.children.c1.networkBlock.allowedHosts)
+            .toEqual(['school.example.com', '10.0.0.0/8', '2001:db8::/32', '192.168.1.5']);
+    });
+
+    it('rejects allowed hosts that are not host names, addresses or CIDR ranges', async () => {
+        const h = await load();
+
+        for (const host of ['1.2.3.4/0;rm -rf /', '10.0.0.0/abc', '10.0.0.0/33', '::1/129', '10.0.0.0/8/8',
+            'fe80::1%eth0', 'a b', '-x', '']) {
+            const [error] = await h.invoke('os:updateChildSettings', {
+                childId: 'c1',
+                settings: { networkBlock: { allowedHosts: [host] } }
+            });
+            expect(error).toBeInstanceOf(Error);
+        }
+    });
+
+    it("cuts off the child's accounts, skipping invalid allowed hosts from stored state", async () => {
+        const h = await load({ allowedHosts: ['school.example.com', '1.2.3.4/0;rm -rf /', '10.0.0.0/8'] });
+
+        await browse(h);
+
+        expect(h.triggered('network-block').map(call => call.args)).toEqual([{
+            usernames: ['kid'],
+            allowedHosts: ['school.example.com', '10.0.0.0/8'],
+            reason: 'internet_quota_exhausted'
+        }]);
+        expect(h.triggered('kill-process')).toEqual([]);
+    });
+
+    it('lifts the block once internet time is available again', async () => {
+        const h = await load();
+        await browse(h);
+
+        h.allowInternet();
+        await h.report('os-session-monitor', { username: 'kid', sessionId: '1', isIdle: false, idleTime: 0 });
+
+        expect(h.triggered('network-unblock')).toHaveLength(1);
+        const [, { agents }] = await h.invoke('os:getAgents');
+        expect(agents[0].networkBlocked).toBe(false);
+    });
+
+    it('does not count internet time while the child is cut off', async () => {
+        jest.useFakeTimers();
+        jest.setSystemTime(Date.parse('2026-03-03T15:00:00Z'));
+        const h = await load();
+        await browse(h);
+        jest.setSystemTime(Date.parse('2026-03-03T15:00:30Z'));
+        await browse(h);
+
+        const [, report] = await h.invoke('os:getUsageReport', { childId: 'c1' });
+        expect(report.children.c1.totals.internet).toBe(0);
+        expect(report.children.c1.totals.computer).toBe(30);
+    });
+
+    it('closes browsers instead when the agent cannot block the network', async () => {
+        const h = await load();
+        await browse(h);
+
+        await h.respond('network-block', { result: { success: false, error: 'Neither nftables nor iptables is installed' } });
+
+        expect(h.triggered('kill-process').map(call => call.args.pid)).toEqual([101]);
+        expect(h.state.activityLog.map(entry => entry.type)).toContain('network_block_failed');
+    });
+});
+
+describe('network-block action', () => {
+    const commands = [];
+    const inputs = [];
+
+    /**
+     * Answer the action's commands; tools not listed are missing
+     */
+    function mockCommands(tools) {
+        childProcess.execSync.mockImplementation((command, options) => {
+            commands.push(command);
+            if (options?.input) inputs.push(options.input);
+
+            const tool = command.match(/^command -v (\S+)$/);
+            if (tool) {
+                if (!tools.includes(tool[1])) throw new Error('not found');
+                return `/usr/sbin/${tool[1]}`;
+            }
+            if (command === 'id -u -- kid') return '1000\n';
+            if (command === 'getent ahosts school.example.com') {
+                return '203.0.113.7     STREAM school.example.com\n2001:db8::7     STREAM\n';
+            }
+            if (/-C OUTPUT/.test(command)) throw new Error('no rule');
+            return '';
+        });
+    }
+
+    afterEach(() => {
+        commands.length = 0;
+        inputs.length = 0;
+        jest.resetAllMocks();
+    });
+
+    const args = {
+        usernames: ['kid'],
+        allowedHosts: ['school.example.com', '10.0.0.0/8', '1.2.3.4/0;rm -rf /', '10.0.0.0/abc', '2001:db8::/129'],
+        reason: 'test'
+    };
+
+    it('builds the nftables rules from parsed addresses only', () => {
+        mockCommands(['nft']);
+
+        const result = networkBlock.script(args);
+
+        expect(result).toMatchObject({ success: true, method: 'nftables', uids: [1000] });
+        expect(result.invalid).toEqual(['1.2.3.4/0;rm -rf /', '10.0.0.0/abc', '2001:db8::/129']);
+        expect(inputs[0]).toContain('ip daddr { 203.0.113.7, 10.0.0.0/8 } accept');
+        expect(inputs[0]).toContain('ip6 daddr { 2001:db8::7 } accept');
+        expect(inputs[0]).not.toMatch(/rm -rf|abc|\/129/);
+    });
+
+    it('runs only well-formed iptables commands', () => {
+        mockCommands(['iptables', 'ip6tables']);
+
+        const result = networkBlock.script(args);
+
+        expect(result).toMatchObject({ success: true, method: 'iptables' });
+        expect(commands).toContain('iptables -w -A ALLOW2AUTOMATE-OS -m owner --uid-owner 1000 -d 10.0.0.0/8 -j RETURN');
+        for (const command of commands) {
+            expect(command).toMatch(/^[\w .:\/-]+$/);
+        }
+    });
+
+    it('never blocks root', () => {
+        mockCommands(['nft']);
+        childProcess.execSync.mockImplementation(command => {
+            if (command === 'id -u -- root') return '0\n';
+            throw new Error('unexpected');
+        });
+
+        expect(networkBlock.script({ usernames: ['root'] })).toMatchObject({ success: false });
+    });
+});
@@ -0,0 +1,91 @@
+'use strict';
+
+const { createPlugin, createState } = require('../helpers/plugin');
+
+describe('offline limits', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.setSystemTime(Date.parse('2026-03-04T16:00:00Z'));
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    /**
+     * Load with Allow2 unreachable and an hour of computer time used today
+     */
+    async function load(child, checkActivity = jest.fn().mockRejectedValue(new Error('offline'))) {
+        const h = createPlugin({ allow2Client: { checkActivity } });
+        await h.plugin.onLoad(createState({
+            agents: { a1: { id: 'a1', hostname: 'pc1', platform: 'linux', childId: 'c1', timeZone: 'UTC' } },
+            children: { c1: child },
+            childUsage: {
+                'c1:computer': {
+                    childId: 'c1',
+                    type: 'computer',
+                    days: { '2026-03-04': 3600 },
+                    intervals: [],
+                    pendingSeconds: 0,
+                    pendingSince: null,
+                    pendingDay: null,
+                    lastAgentId: 'a1'
+                }
+            }
+        }));
+        return h;
+    }
+
+    const sessionReport = h => h.report('os-session-monitor', { username: 'kid', sessionId: '1', isIdle: false, idleTime: 0 });
+
+    it('enforces the local daily limit from the usage ledger', async () => {
+        const h = await load({ computerTimeDaily: 60 });
+
+        await sessionReport(h);
+
+        expect(h.state.violations[0].reason).toBe('Computer time exhausted (offline limit)');
+    });
+
+    it('warns ahead of the local limit running out', async () => {
+        const h = await load({ computerTimeDaily: 65 });
+
+        await sessionReport(h);
+
+        expect(h.state.violations).toEqual([]);
+        expect(h.triggered('show-warning').map(call => call.args.title)).toEqual(['5 minutes remaining']);
+    });
+
+    it('allows use without a local limit when the child fails open', async () => {
+        const h = await load({});
+
+        await sessionReport(h);
+
+        expect(h.state.violations).toEqual([]);
+        expect(h.triggered('show-warning')).toEqual([]);
+    });
+
+    it('blocks use without a local limit when the child fails closed', async () => {
+        const h = await load({ offlinePolicy: 'closed' });
+
+        await sessionReport(h);
+
+        expect(h.state.violations[0].reason).toBe('Computer access blocked (offline limit)');
+    });
+
+    it('reports degraded mode until Allow2 answers again', async () => {
+        const checkActivity = jest.fn().mockRejectedValueOnce(new Error('offline'))
+            .mockResolvedValue({ allowed: true, remaining_seconds: 99999 });
+        const h = await load({ computerTimeDaily: 120 }, checkActivity);
+
+        await sessionReport(h);
+        const [, status] = await h.invoke('os:getStatus');
+        expect(status.degraded).toEqual({ degraded: true, since: Date.now(), reason: 'offline' });
+        expect(h.rendererEvents.filter(e => e.channel === 'osDegradedMode').map(e => e.data.degraded)).toEqual([true]);
+
+        await sessionReport(h);
+        const [, recovered] = await h.invoke('os:getStatus');
+        expect(recovered.degraded.degraded).toBe(false);
+        expect(h.statusUpdates.map(update => update.status).slice(-2)).toEqual(['warning', 'connected']);
+    });
+});
@@ -0,0 +1,119 @@
+'use strict';
+
+jest.mock('child_process');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const childProcess = require('child_process');
+const processMonitor = require('../../src/monitors/process-monitor');
+const { getPrivateDirectory } = require('../../src/monitors/private-directory');
+const { createPlugin, createState } = require('../helpers/plugin');
+
+const kidSteam = { pid: 101, name: 'steam', path: '/usr/bin/steam', user: 'kid', category: 'games' };
+const dadSteam = { pid: 102, name: 'steam', path: '/usr/bin/steam', user: 'dad', category: 'games' };
+const rootSteam = { pid: 103, name: 'steam', path: '/usr/bin/steam', user: 'root', category: 'games' };
+const kidFirefox = { pid: 104, name: 'firefox', path: '/usr/lib/firefox/firefox', user: 'kid', category: 'internet', browser: true };
+const dadFirefox = { pid: 105, name: 'firefox', path: '/usr/lib/firefox/firefox', user: 'dad', category: 'internet', browser: true };
+
+describe("enforcing only the child's processes", () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.setSystemTime(Date.parse('2026-03-04T16:00:00Z'));
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    /**
+     * Load with dad's account mapped to the child too, but listed as a parent's
+     */
+    async function load(child = {}) {
+        const h = createPlugin();
+        await h.plugin.onLoad(createState({
+            agents: { a1: { id: 'a1', hostname: 'pc1', platform: 'linux', childId: 'c1', timeZone: 'UTC' } },
+            userMappings: { a1: { kid: 'c1', dad: 'c1' } },
+            parentAccounts: { a1: ['dad'] },
+            children: { c1: child }
+        }));
+        let snapshot = 0;
+        h.processesAt = (time, processes) => {
+            jest.setSystemTime(Date.parse(time));
+            return h.report('os-process-monitor', {
+                report: 'full',
+                snapshotId: `s${++snapshot}`,
+                sequence: 0,
+                processes,
+                browsers: processes.filter(proc => proc.browser)
+            });
+        };
+        return h;
+    }
+
+    it("leaves a parent's and the system's matching processes running", async () => {
+        const h = await load({ blockedProcesses: ['steam'] });
+
+        await h.processesAt('2026-03-04T16:00:00Z', [kidSteam, dadSteam, rootSteam]);
+
+        expect(h.triggered('kill-process').map(call => call.args.pid)).toEqual([101]);
+    });
+
+    it("only counts the child's applications toward a category quota", async () => {
+        const h = await load({ categoryQuotas: { games: 90 } });
+
+        await h.processesAt('2026-03-04T16:00:00Z', [dadSteam, rootSteam]);
+        await h.processesAt('2026-03-04T16:00:30Z', [dadSteam, rootSteam]);
+
+        const [, status] = await h.invoke('os:getStatus');
+        expect(status.usageLimits.c1.categories[0].usedSeconds).toBe(0);
+    });
+
+    it("only counts the child's browsers as internet time", async () => {
+        const h = await load();
+
+        await h.processesAt('2026-03-04T16:00:00Z', [dadFirefox]);
+        await h.processesAt('2026-03-04T16:00:30Z', [dadFirefox]);
+        await h.processesAt('2026-03-04T16:01:00Z', [dadFirefox, kidFirefox]);
+        await h.processesAt('2026-03-04T16:01:30Z', [dadFirefox, kidFirefox]);
+
+        const [, report] = await h.invoke('os:getUsageReport', { childId: 'c1' });
+        expect(report.children.c1.totals.internet).toBe(30);
+    });
+});
+
+describe('process owners on Linux', () => {
+    const platform = process.platform;
+    let directory;
+
+    beforeEach(() => {
+        Object.defineProperty(process, 'platform', { value: 'linux' });
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'process-owners-'));
+        jest.spyOn(os, 'tmpdir').mockReturnValue(directory);
+    });
+
+    afterEach(() => {
+        Object.defineProperty(process, 'platform', { value: platform });
+        jest.restoreAllMocks();
+        jest.resetAllMocks();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('reports the owner, parent and start time of each process', () => {
+        childProcess.execSync.mockImplementation(command => {
+            if (command.startsWith('ps -eo pid,comm')) return '101 steam\n102 steam\n';
+            if (command.startsWith('ps -axo pid=,args=')) return '101 /usr/bin/steam\n102 /usr/bin/steam\n';
+            if (command.startsWith('ps -eo pid=,ppid=')) {
+                return '101 55 kid Mon Mar  2 10:00:00 2026\n102 66 dad Mon Mar  2 11:30:00 2026\n';
+            }
+            throw new Error(`${command}: not found`);
+        });
+
+        const { processes } = processMonitor.script([], 'deploy-1', getPrivateDirectory);
+
+        expect(processes.map(({ pid, ppid, user, startTime }) => ({ pid, ppid, user, startTime }))).toEqual([
+            { pid: 101, ppid: 55, user: 'kid', startTime: new Date(2026, 2, 2, 10).getTime() },
+            { pid: 102, ppid: 66, user: 'dad', startTime: new Date(2026, 2, 2, 11, 30).getTime() }
+        ]);
+    });
+});
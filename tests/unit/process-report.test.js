@@ -0,0 +1,163 @@
+'use strict';
+
+jest.mock('child_process');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const childProcess = require('child_process');
+const processMonitor = require('../../src/monitors/process-monitor');
+const { getPrivateDirectory } = require('../../src/monitors/private-directory');
+const { createPlugin, createState } = require('../helpers/plugin');
+
+const firefox = { pid: 101, name: 'firefox', path: '/usr/lib/firefox/firefox', user: 'kid', startTime: 1000 };
+const steam = { pid: 102, name: 'steam', path: '/usr/bin/steam', user: 'kid', startTime: 2000 };
+const fortnite = { pid: 103, name: 'fortnite', path: '/opt/fortnite/fortnite', user: 'kid', startTime: 3000 };
+
+describe('process reports', () => {
+    async function load(blockedProcesses = []) {
+        const h = createPlugin();
+        await h.plugin.onLoad(createState({
+            agents: { a1: { id: 'a1', hostname: 'pc1', platform: 'linux', childId: 'c1' } },
+            children: { c1: { blockedProcesses } }
+        }));
+        await h.report('os-process-monitor', { report: 'full', snapshotId: 's1', sequence: 0, processes: [firefox], timestamp: Date.now() });
+        return h;
+    }
+
+    async function running(h) {
+        const [error, result] = await h.invoke('os:testBlockRule', { agentId: 'a1', rule: { match: 'glob', pattern: '*' } });
+        if (error) throw error;
+        return result.matches.map(match => match.pid).sort();
+    }
+
+    const redeploys = h => h.calls.filter(call => call.fn === 'deployMonitor' && call.monitorId === 'os-process-monitor');
+
+    it('adds started and drops exited processes from deltas', async () => {
+        const h = await load();
+
+        await h.report('os-process-monitor', { report: 'delta', snapshotId: 's1', sequence: 1, started: [steam], exited: [] });
+        expect(await running(h)).toEqual([101, 102]);
+
+        await h.report('os-process-monitor', { report: 'delta', snapshotId: 's1', sequence: 2, started: [], exited: [firefox] });
+        expect(await running(h)).toEqual([102]);
+    });
+
+    it('tells the renderer when applications launch and exit', async () => {
+        const h = await load();
+
+        await h.report('os-process-monitor', { report: 'delta', snapshotId: 's1', sequence: 1, started: [steam], exited: [firefox] });
+
+        expect(h.rendererEvents.filter(e => e.channel === 'osAppLaunched').map(e => e.data.name)).toEqual(['steam']);
+        expect(h.rendererEvents.filter(e => e.channel === 'osAppExited').map(e => e.data.name)).toEqual(['firefox']);
+    });
+
+    it('drops a delta after a missed report and asks for a full list once', async () => {
+        const h = await load(['fortnite']);
+        const deployed = redeploys(h).length;
+
+        await h.report('os-process-monitor', { report: 'delta', snapshotId: 's1', sequence: 2, started: [fortnite], exited: [] });
+        await h.report('os-process-monitor', { report: 'delta', snapshotId: 's1', sequence: 3, started: [steam], exited: [] });
+
+        expect(redeploys(h)).toHaveLength(deployed + 1);
+        expect(h.triggered('kill-process')).toEqual([]);
+        expect(await running(h)).toEqual([101]);
+
+        await h.report('os-process-monitor', { report: 'full', snapshotId: 's2', sequence: 0, processes: [firefox, fortnite] });
+
+        expect(h.triggered('kill-process').map(call => call.args.pid)).toEqual([103]);
+        await h.report('os-process-monitor', { report: 'delta', snapshotId: 's2', sequence: 1, started: [steam], exited: [] });
+        expect(await running(h)).toEqual([101, 102, 103]);
+    });
+
+    it('drops a delta from an unknown snapshot', async () => {
+        const h = await load();
+        const deployed = redeploys(h).length;
+
+        await h.report('os-process-monitor', { report: 'delta', snapshotId: 'other', sequence: 1, started: [steam], exited: [] });
+
+        expect(redeploys(h)).toHaveLength(deployed + 1);
+        expect(await running(h)).toEqual([101]);
+    });
+});
+
+describe('process monitor snapshot', () => {
+    const platform = process.platform;
+    let directory;
+    let snapshotPath;
+
+    beforeEach(() => {
+        Object.defineProperty(process, 'platform', { value: 'linux' });
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'process-snapshot-'));
+        jest.spyOn(os, 'tmpdir').mockReturnValue(directory);
+        snapshotPath = path.join(directory, 'allow2automate-os', 'process-snapshot.json');
+    });
+
+    afterEach(() => {
+        Object.defineProperty(process, 'platform', { value: platform });
+        jest.restoreAllMocks();
+        jest.resetAllMocks();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    function runMonitor(list) {
+        childProcess.execSync.mockImplementation(command => {
+            if (command.startsWith('ps -eo pid,comm')) {
+                return list.map(p => `${p.pid} ${p.name}`).join('\n');
+            }
+            if (command.startsWith('ps -axo pid=,args=')) {
+                return list.map(p => `${p.pid} ${p.path}`).join('\n');
+            }
+            if (command.startsWith('ps -eo pid=,ppid=')) {
+                return list.map(p => `${p.pid} 1 ${p.user} Mon Mar  2 10:00:00 2026`).join('\n');
+            }
+            throw new Error(`${command}: not found`);
+        });
+
+        return processMonitor.script([], 'deploy-1', getPrivateDirectory);
+    }
+
+    it('sends the changes since the last report from its private directory', () => {
+        expect(runMonitor([firefox]).report).toBe('full');
+
+        const result = runMonitor([firefox, steam]);
+
+        expect(result.report).toBe('delta');
+        expect(result.started.map(p => p.pid)).toEqual([102]);
+        expect(fs.statSync(path.dirname(snapshotPath)).mode & 0o777).toBe(0o700);
+    });
+
+    it('sends a full list when the snapshot claims a later full sync', () => {
+        runMonitor([firefox]);
+        const snapshot = JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+        snapshot.fullSyncAt = Date.now() + 3600000;
+        snapshot.processes['103:'] = { pid: 103, name: 'fortnite', user: 'kid' };
+        fs.writeFileSync(snapshotPath, JSON.stringify(snapshot));
+
+        const result = runMonitor([firefox, fortnite]);
+
+        expect(result.report).toBe('full');
+        expect(result.processes.map(p => p.pid)).toEqual([101, 103]);
+    });
+
+    it('ignores a snapshot owned by another account', () => {
+        runMonitor([firefox]);
+        const lstatSync = fs.lstatSync;
+        jest.spyOn(fs, 'lstatSync').mockImplementation(file => {
+            const stat = lstatSync(file);
+            return file === snapshotPath ? Object.assign(stat, { uid: process.getuid() + 1000 }) : stat;
+        });
+
+        expect(runMonitor([firefox, fortnite]).report).toBe('full');
+    });
+
+    it('ignores a private directory other accounts can write to', () => {
+        fs.mkdirSync(path.dirname(snapshotPath), { mode: 0o777 });
+        fs.chmodSync(path.dirname(snapshotPath), 0o777);
+
+        runMonitor([firefox]);
+
+        expect(runMonitor([firefox]).report).toBe('full');
+        expect(fs.existsSync(snapshotPath)).toBe(false);
+    });
+});
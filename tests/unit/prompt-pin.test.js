@@ -0,0 +1,67 @@
+'use strict';
+
+jest.mock('child_process');
+
+const childProcess = require('child_process');
+const promptPin = require('../../src/actions/prompt-pin');
+
+describe('prompt-pin action', () => {
+    const platform = process.platform;
+
+    function setPlatform(value) {
+        Object.defineProperty(process, 'platform', { value });
+    }
+
+    afterEach(() => {
+        setPlatform(platform);
+        jest.resetAllMocks();
+    });
+
+    it('passes the macOS dialog to osascript without a shell', () => {
+        setPlatform('darwin');
+        childProcess.execFileSync.mockReturnValue('1234\n');
+
+        const result = promptPin.script({ title: "Sam's PIN", message: 'Say "please"', timeout: 30 });
+
+        expect(result).toMatchObject({ success: true, pin: '1234', method: 'osascript' });
+        const [file, args] = childProcess.execFileSync.mock.calls[0];
+        expect(file).toBe('osascript');
+        expect(args[0]).toBe('-e');
+        expect(args[1]).toContain('display dialog "Say \\"please\\"" with title "Sam\'s PIN"');
+        expect(args[1]).toContain('giving up after 30');
+    });
+
+    it('passes the text to zenity as plain arguments', () => {
+        setPlatform('linux');
+        childProcess.execFileSync.mockReturnValue('1234\n');
+
+        promptPin.script({ title: "Sam's PIN", message: 'Time is up' });
+
+        const [file, args] = childProcess.execFileSync.mock.calls[0];
+        expect(file).toBe('zenity');
+        expect(args).toContain("--title=Sam's PIN");
+        expect(args).toContain('--text=Time is up');
+    });
+
+    it('falls back to kdialog when zenity is not installed', () => {
+        setPlatform('linux');
+        childProcess.execFileSync
+            .mockImplementationOnce(() => {
+                throw Object.assign(new Error('spawn zenity ENOENT'), { code: 'ENOENT' });
+            })
+            .mockReturnValue('1234\n');
+
+        const result = promptPin.script({});
+
+        expect(result).toMatchObject({ success: true, pin: '1234', method: 'kdialog' });
+    });
+
+    it('reports a dismissed dialog as cancelled', () => {
+        setPlatform('darwin');
+        childProcess.execFileSync.mockImplementation(() => {
+            throw Object.assign(new Error('User canceled'), { status: 1 });
+        });
+
+        expect(promptPin.script({})).toMatchObject({ success: false, cancelled: true, method: 'osascript' });
+    });
+});
@@ -0,0 +1,89 @@
+'use strict';
+
+const { createPlugin, createState } = require('../helpers/plugin');
+
+const steam = { pid: 201, name: 'steam', path: '/usr/bin/steam', user: 'kid', category: 'games' };
+const writer = { pid: 202, name: 'soffice', path: '/usr/bin/soffice', user: 'kid', category: 'productivity' };
+const tutor = { pid: 203, name: 'tuxmath', path: '/usr/games/tuxmath', user: 'kid', category: 'education' };
+
+const homework = {
+    name: 'Homework Time',
+    days: ['mon', 'tue', 'wed', 'thu', 'fri'],
+    start: '15:00',
+    end: '18:00',
+    allowedCategories: ['education', 'productivity']
+};
+
+describe('schedules', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+        // A Wednesday
+        jest.setSystemTime(Date.parse('2026-03-04T16:00:00Z'));
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    async function load(schedules) {
+        const h = createPlugin();
+        await h.plugin.onLoad(createState({
+            agents: { a1: { id: 'a1', hostname: 'pc1', platform: 'linux', childId: 'c1', timeZone: 'UTC' } },
+            children: { c1: { schedules } }
+        }));
+        h.processes = (processes, snapshotId = 's1') =>
+            h.report('os-process-monitor', { report: 'full', snapshotId, sequence: 0, processes });
+        h.killed = () => h.triggered('kill-process').map(call => call.args.pid);
+        return h;
+    }
+
+    it('closes applications whose category the schedule does not allow', async () => {
+        const h = await load([homework]);
+
+        await h.processes([steam, writer, tutor]);
+
+        expect(h.killed()).toEqual([201]);
+        expect(h.triggered('show-warning').map(call => call.args.message))
+            .toEqual(['steam is not allowed during Homework Time']);
+        expect(h.state.violations[0]).toMatchObject({ processName: 'steam', reason: 'schedule:Homework Time' });
+    });
+
+    it('only warns once per process for a warn schedule', async () => {
+        const h = await load([{ ...homework, action: 'warn' }]);
+
+        await h.processes([steam, writer]);
+        await h.processes([steam, writer], 's2');
+
+        expect(h.killed()).toEqual([]);
+        expect(h.triggered('show-warning')).toHaveLength(1);
+    });
+
+    it('only allows what every overlapping schedule allows', async () => {
+        const revision = { name: 'Exam Revision', start: '15:30', end: '17:00', allowedCategories: ['education'] };
+        const h = await load([homework, revision]);
+
+        await h.processes([steam, writer, tutor]);
+
+        expect(h.killed()).toEqual([201, 202]);
+    });
+
+    it('does nothing outside the window', async () => {
+        jest.setSystemTime(Date.parse('2026-03-04T19:00:00Z'));
+        const h = await load([homework]);
+
+        await h.processes([steam, writer]);
+
+        expect(h.killed()).toEqual([]);
+        expect(h.triggered('show-warning')).toEqual([]);
+    });
+
+    it('reports the active schedules in the status', async () => {
+        const revision = { name: 'Exam Revision', start: '17:00', end: '19:00', allowedCategories: ['education'] };
+        const h = await load([homework, revision]);
+
+        const [error, status] = await h.invoke('os:getStatus');
+
+        expect(error).toBeNull();
+        expect(status.agents[0].activeSchedules).toEqual(['Homework Time']);
+    });
+});
@@ -0,0 +1,141 @@
+'use strict';
+
+jest.mock('child_process');
+
+const childProcess = require('child_process');
+const sessionMonitor = require('../../src/monitors/session-monitor');
+const { createPlugin, createState } = require('../helpers/plugin');
+
+describe('session monitor on Linux', () => {
+    const platform = process.platform;
+
+    beforeEach(() => {
+        Object.defineProperty(process, 'platform', { value: 'linux' });
+    });
+
+    afterEach(() => {
+        Object.defineProperty(process, 'platform', { value: platform });
+        jest.resetAllMocks();
+    });
+
+    /**
+     * Answer the monitor's commands like a desktop with a local and an SSH session
+     */
+    function mockCommands({ desktopIdle, idleHint }) {
+        const outputs = {
+            'who': 'kid      tty7         2026-03-01 08:00 (:0)\n',
+            'xprintidle': `${desktopIdle}\n`,
+            'loginctl list-sessions --no-legend': '  2 1000 kid seat0 tty7\n  5 1001 sam -     pts/0\n',
+            'loginctl show-session 2 ': [
+                'Name=kid', 'Type=x11', 'Class=user', 'Seat=seat0', 'Remote=no', 'Active=yes',
+                'State=active', `IdleHint=${idleHint}`, 'IdleSinceHint=0'
+            ].join('\n'),
+            'loginctl show-session 5 ': [
+                'Name=sam', 'Type=tty', 'Class=user', 'Remote=yes', 'RemoteHost=10.0.0.2',
+                'Active=no', 'State=online', 'IdleHint=no', 'IdleSinceHint=0'
+            ].join('\n')
+        };
+        childProcess.execSync.mockImplementation(command => {
+            const key = Object.keys(outputs).find(prefix => command.startsWith(prefix));
+            if (!key) throw new Error(`${command}: not found`);
+            return outputs[key];
+        });
+    }
+
+    it('marks the desktop session idle from the desktop idle time when IdleHint is never set', () => {
+        mockCommands({ desktopIdle: 600000, idleHint: 'no' });
+
+        const result = sessionMonitor.script();
+
+        expect(result.isIdle).toBe(true);
+        expect(result.sessions.find(session => session.sessionId === '2'))
+            .toMatchObject({ username: 'kid', isIdle: true, idleTime: 600000 });
+        expect(result.sessions.find(session => session.sessionId === '5'))
+            .toMatchObject({ username: 'sam', type: 'ssh', isIdle: false });
+    });
+
+    it('keeps the desktop session idle when logind says so', () => {
+        mockCommands({ desktopIdle: 1000, idleHint: 'yes' });
+
+        const result = sessionMonitor.script();
+
+        expect(result.sessions.find(session => session.sessionId === '2').isIdle).toBe(true);
+    });
+
+    it('reports a desktop in use as not idle', () => {
+        mockCommands({ desktopIdle: 1000, idleHint: 'no' });
+
+        const result = sessionMonitor.script();
+
+        expect(result.sessions.find(session => session.sessionId === '2'))
+            .toMatchObject({ isIdle: false, idleTime: 1000 });
+    });
+});
+
+describe('concurrent sessions', () => {
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    async function load(checkActivity) {
+        jest.useFakeTimers();
+        jest.setSystemTime(Date.parse('2026-03-02T10:00:00Z'));
+
+        const h = createPlugin({ allow2Client: { checkActivity } });
+        await h.plugin.onLoad(createState({
+            agents: { a1: { id: 'a1', hostname: 'pc1', platform: 'linux', childId: 'c1', timeZone: 'UTC' } },
+            userMappings: { a1: { kid: 'c1', sib: 'c2' } }
+        }));
+        return h;
+    }
+
+    const sessions = (kidIdle = false) => ({
+        username: 'kid',
+        sessionId: '2',
+        isIdle: kidIdle,
+        sessions: [
+            { sessionId: '2', username: 'kid', type: 'x11', active: true, isIdle: kidIdle, idleTime: 0 },
+            { sessionId: '7', username: 'sib', type: 'ssh', active: true, isIdle: false, idleTime: 0 }
+        ]
+    });
+
+    it('logs out a background session whose child has no time left, once', async () => {
+        const h = await load(jest.fn(async ({ child_id: childId }) =>
+            ({ allowed: childId !== 'c2', remaining_seconds: childId === 'c2' ? 0 : 99999 })
+        ));
+
+        await h.report('os-session-monitor', sessions());
+        await h.report('os-session-monitor', sessions());
+
+        expect(h.triggered('logout-user').map(call => call.args)).toEqual([
+            { username: 'sib', sessionId: '7', reason: 'Computer access blocked' }
+        ]);
+    });
+
+    it('does not count an idle desktop session toward computer time', async () => {
+        const h = await load(jest.fn(async () => ({ allowed: true, remaining_seconds: 99999 })));
+
+        await h.report('os-session-monitor', sessions(true));
+        jest.setSystemTime(Date.parse('2026-03-02T10:00:30Z'));
+        await h.report('os-session-monitor', sessions(true));
+
+        const [, report] = await h.invoke('os:getUsageReport', { childId: 'c1', period: 'day' });
+        expect(report.children.c1.totals.computer).toBe(0);
+    });
+
+    it('does not link the agent to a child or enforce for a parent account', async () => {
+        const h = createPlugin({ allow2Client: { checkActivity: jest.fn(async () => ({ allowed: false, remaining_seconds: 0 })) } });
+        await h.plugin.onLoad(createState({
+            agents: { a1: { id: 'a1', hostname: 'pc1', platform: 'linux', timeZone: 'UTC' } },
+            userMappings: { a1: { kid: 'c1', dad: 'c1' } },
+            parentAccounts: { a1: ['dad'] }
+        }));
+
+        await h.report('os-session-monitor', { username: 'dad', sessionId: '3', isIdle: false, idleTime: 0 });
+
+        expect(h.state.agents.a1.childId).toBeFalsy();
+        expect(h.triggered('show-warning')).toEqual([]);
+        expect(h.triggered('logout-user')).toEqual([]);
+        expect(h.state.violations).toEqual([]);
+    });
+});
@@ -0,0 +1,78 @@
+'use strict';
+
+jest.mock('child_process');
+
+const childProcess = require('child_process');
+const sessionMonitor = require('../../src/monitors/session-monitor');
+const { createPlugin, createState } = require('../helpers/plugin');
+
+describe('agent time zones', () => {
+    afterEach(() => {
+        jest.useRealTimers();
+        jest.resetAllMocks();
+    });
+
+    /**
+     * Load at a time (UTC) and report the child's session from an agent in a zone
+     */
+    async function reportAt(time, zone, child = {}) {
+        jest.useFakeTimers();
+        jest.setSystemTime(Date.parse(time));
+
+        const h = createPlugin();
+        await h.plugin.onLoad(createState({
+            agents: { a1: { id: 'a1', hostname: 'pc1', platform: 'linux', childId: 'c1' } },
+            children: { c1: child }
+        }));
+        await h.report('os-session-monitor', { username: 'kid', sessionId: '1', isIdle: false, idleTime: 0, ...zone });
+        return h;
+    }
+
+    const nightly = { bedtime: { enabled: true, start: '21:00', end: '07:00' } };
+    const bedtimes = h => h.state.violations.filter(violation => /^Bedtime/.test(violation.reason));
+
+    it("reports the agent's time zone and UTC offset from the session monitor", () => {
+        childProcess.execSync.mockImplementation(command => {
+            if (command === 'who') return 'kid      tty7         2026-03-01 08:00 (:0)\n';
+            throw new Error(`${command}: not found`);
+        });
+
+        const result = sessionMonitor.script();
+
+        expect(result.timeZone).toBe(Intl.DateTimeFormat().resolvedOptions().timeZone);
+        expect(result.utcOffset).toBe(-new Date().getTimezoneOffset());
+    });
+
+    it('shows each agent with its zone', async () => {
+        const h = await reportAt('2026-03-03T12:30:00Z', { timeZone: 'Australia/Sydney', utcOffset: 660 });
+
+        const [, { agents }] = await h.invoke('os:getAgents');
+
+        expect(agents[0]).toMatchObject({ timeZone: 'Australia/Sydney', utcOffset: 660 });
+    });
+
+    it("enforces bedtime at the agent's local hour", async () => {
+        // 23:30 in Sydney, 12:30 in London
+        const sydney = await reportAt('2026-03-03T12:30:00Z', { timeZone: 'Australia/Sydney', utcOffset: 660 }, nightly);
+        const london = await reportAt('2026-03-03T12:30:00Z', { timeZone: 'Europe/London', utcOffset: 0 }, nightly);
+
+        expect(bedtimes(sydney).map(violation => violation.reason)).toEqual(['Bedtime until 07:00']);
+        expect(bedtimes(london)).toEqual([]);
+    });
+
+    it('uses the UTC offset for a zone this machine does not know', async () => {
+        const h = await reportAt('2026-03-03T12:30:00Z', { timeZone: 'Nowhere/Unknown', utcOffset: 600 }, nightly);
+
+        expect(bedtimes(h)).toHaveLength(1);
+    });
+
+    it("counts usage against the agent's local day", async () => {
+        // 01:00 on the 4th in Sydney
+        const zone = { timeZone: 'Australia/Sydney', utcOffset: 660 };
+        const h = await reportAt('2026-03-03T14:00:00Z', zone);
+        jest.setSystemTime(Date.parse('2026-03-03T14:00:30Z'));
+        await h.report('os-session-monitor', { username: 'kid', sessionId: '1', isIdle: false, idleTime: 0, ...zone });
+
+        expect(h.state.usage['a1:c1:computer'].days).toEqual({ '2026-03-04': 30 });
+    });
+});
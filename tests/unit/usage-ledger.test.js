@@ -0,0 +1,82 @@
+'use strict';
+
+const { createPlugin, createState } = require('../helpers/plugin');
+
+describe('usage ledger', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.setSystemTime(Date.parse('2026-03-04T10:00:00Z'));
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    const agents = { a1: { id: 'a1', hostname: 'pc1', platform: 'linux', childId: 'c1', timeZone: 'UTC' } };
+    const session = { username: 'kid', sessionId: '1', isIdle: false, idleTime: 0 };
+
+    async function load(state) {
+        const h = createPlugin();
+        await h.plugin.onLoad(state);
+        return h;
+    }
+
+    async function reportAt(h, time) {
+        jest.setSystemTime(Date.parse(time));
+        await h.report('os-session-monitor', session);
+    }
+
+    const computerDays = h => h.state.usage['a1:c1:computer'].days;
+
+    it('carries on counting from the saved ledger after a restart', async () => {
+        const first = await load(createState({ agents }));
+        await reportAt(first, '2026-03-04T10:00:00Z');
+        await reportAt(first, '2026-03-04T10:00:30Z');
+
+        const second = await load(first.state);
+        await reportAt(second, '2026-03-04T10:01:00Z');
+
+        expect(computerDays(second)).toEqual({ '2026-03-04': 60 });
+    });
+
+    it("doesn't count the time the app wasn't running", async () => {
+        const first = await load(createState({ agents }));
+        await reportAt(first, '2026-03-04T10:00:00Z');
+        await reportAt(first, '2026-03-04T10:00:30Z');
+
+        const second = await load(first.state);
+        await reportAt(second, '2026-03-04T11:00:00Z');
+        await reportAt(second, '2026-03-04T11:00:30Z');
+
+        expect(computerDays(second)).toEqual({ '2026-03-04': 60 });
+    });
+
+    it('splits time used across midnight into both days', async () => {
+        const h = await load(createState({ agents }));
+        await reportAt(h, '2026-03-04T23:59:10Z');
+        await reportAt(h, '2026-03-04T23:59:40Z');
+        await reportAt(h, '2026-03-05T00:00:20Z');
+
+        expect(computerDays(h)).toEqual({ '2026-03-04': 50, '2026-03-05': 20 });
+        expect(h.state.activityLog.map(entry => entry.type)).toContain('usage_rollover');
+    });
+
+    it('drops days outside the retention window on load', async () => {
+        const state = createState({
+            agents,
+            usage: {
+                'a1:c1:computer': {
+                    agentId: 'a1',
+                    childId: 'c1',
+                    type: 'computer',
+                    lastUpdate: 0,
+                    days: { '2026-02-25': 600, '2026-02-26': 900, '2026-03-04': 300 }
+                }
+            }
+        });
+        state.settings.usageRetentionDays = 7;
+        const h = await load(state);
+
+        expect(computerDays(h)).toEqual({ '2026-02-26': 900, '2026-03-04': 300 });
+    });
+});
@@ -0,0 +1,101 @@
+'use strict';
+
+const { createPlugin, createState } = require('../helpers/plugin');
+
+describe('usage report', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+        // A Wednesday
+        jest.setSystemTime(Date.parse('2026-03-04T10:00:00Z'));
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    /**
+     * Usage already in the ledger for c1 on a1, one entry per day
+     */
+    function ledger(days) {
+        return {
+            usage: {
+                'a1:c1:computer': { agentId: 'a1', childId: 'c1', type: 'computer', lastUpdate: 0, days }
+            },
+            childUsage: {
+                'c1:computer': {
+                    childId: 'c1',
+                    type: 'computer',
+                    days,
+                    intervals: [],
+                    pendingSeconds: 0,
+                    pendingSince: null,
+                    pendingDay: null,
+                    lastAgentId: 'a1'
+                }
+            }
+        };
+    }
+
+    async function load(overrides = {}) {
+        const h = createPlugin();
+        await h.plugin.onLoad(createState({
+            agents: { a1: { id: 'a1', hostname: 'pc1', platform: 'linux', childId: 'c1', timeZone: 'UTC' } },
+            ...overrides
+        }));
+        return h;
+    }
+
+    const session = { username: 'kid', sessionId: '1', isIdle: false, idleTime: 0 };
+
+    it("reports today's time per child, agent and day", async () => {
+        const h = await load();
+        await h.report('os-session-monitor', session);
+        jest.setSystemTime(Date.parse('2026-03-04T10:00:30Z'));
+        await h.report('os-session-monitor', session);
+
+        const [error, report] = await h.invoke('os:getUsageReport', { childId: 'c1' });
+
+        expect(error).toBeNull();
+        expect(report).toMatchObject({ from: '2026-03-04', to: '2026-03-04' });
+        expect(report.children.c1.totals).toEqual({ computer: 30, internet: 0 });
+        expect(report.children.c1.days).toEqual({ '2026-03-04': { computer: 30, internet: 0 } });
+        expect(report.children.c1.agents.a1).toMatchObject({
+            hostname: 'pc1',
+            totals: { computer: 30, internet: 0 }
+        });
+    });
+
+    it('reports the week from Monday', async () => {
+        const h = await load(ledger({ '2026-03-01': 600, '2026-03-02': 1200, '2026-03-04': 300 }));
+
+        const [, report] = await h.invoke('os:getUsageReport', { childId: 'c1', period: 'week' });
+
+        expect(report).toMatchObject({ from: '2026-03-02', to: '2026-03-04' });
+        expect(report.children.c1.totals.computer).toBe(1500);
+        expect(Object.keys(report.children.c1.days)).toEqual(['2026-03-02', '2026-03-04']);
+    });
+
+    it('reports a requested date range', async () => {
+        const h = await load(ledger({ '2026-03-01': 600, '2026-03-02': 1200, '2026-03-04': 300 }));
+
+        const [, report] = await h.invoke('os:getUsageReport', { from: '2026-03-01', to: '2026-03-02' });
+
+        expect(report.children.c1.totals.computer).toBe(1800);
+    });
+
+    it('rejects an invalid date range', async () => {
+        const h = await load();
+
+        const [error] = await h.invoke('os:getUsageReport', { from: '2026-03-04', to: '2026-03-01' });
+
+        expect(error.message).toMatch(/Invalid date range/);
+    });
+
+    it('answers the getUsageReport action like the renderer channel', async () => {
+        const h = await load(ledger({ '2026-03-04': 300 }));
+
+        const report = await h.plugin.getUsageReport({ childId: 'c1' });
+
+        expect(report.children.c1.totals).toEqual({ computer: 300, internet: 0 });
+    });
+});
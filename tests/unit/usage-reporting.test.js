@@ -0,0 +1,95 @@
+'use strict';
+
+const { createPlugin, createState, flush } = require('../helpers/plugin');
+
+describe('usage reporting', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.setSystemTime(Date.parse('2026-03-01T23:59:00Z'));
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    function batch(day, seconds) {
+        return {
+            agentId: 'a1',
+            childId: 'c1',
+            type: 'computer',
+            day,
+            seconds,
+            from: Date.now() - seconds * 1000,
+            to: Date.now(),
+            attempts: 0,
+            nextAttempt: 0
+        };
+    }
+
+    it('does not start a report while the previous one is still waiting on Allow2', async () => {
+        let release;
+        const checkActivity = jest.fn()
+            .mockImplementationOnce(() => new Promise(resolve => { release = resolve; }))
+            .mockResolvedValue({ allowed: true });
+        const h = createPlugin({ agents: [], allow2Client: { checkActivity } });
+        await h.plugin.onLoad(createState({
+            usageQueue: [batch('2026-03-01', 120), batch('2026-03-02', 30)]
+        }));
+
+        jest.advanceTimersByTime(60000);
+        await flush();
+        jest.advanceTimersByTime(60000);
+        await flush();
+        expect(checkActivity).toHaveBeenCalledTimes(1);
+
+        release({ allowed: true });
+        await flush();
+
+        expect(checkActivity.mock.calls.map(([args]) => args.usage_seconds)).toEqual([120, 30]);
+        expect(h.state.usageQueue).toEqual([]);
+    });
+
+    it('keeps a failed batch and the ones behind it queued', async () => {
+        const checkActivity = jest.fn().mockRejectedValue(new Error('offline'));
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const h = createPlugin({ agents: [], allow2Client: { checkActivity } });
+        await h.plugin.onLoad(createState({
+            usageQueue: [batch('2026-03-01', 120), batch('2026-03-02', 30)]
+        }));
+
+        jest.advanceTimersByTime(60000);
+        await flush();
+
+        expect(checkActivity).toHaveBeenCalledTimes(1);
+        expect(h.state.usageQueue.map(item => [item.seconds, item.attempts])).toEqual([[120, 1], [30, 0]]);
+    });
+
+    it('logs usage against the agent-local day it was used on', async () => {
+        // Allowances are checked, but every attempt to log usage fails so the queue can be read
+        const checkActivity = jest.fn(async args => {
+            if (args.log_usage) throw new Error('offline');
+            return { allowed: true, remaining_seconds: 99999 };
+        });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const h = createPlugin({ allow2Client: { checkActivity } });
+        await h.plugin.onLoad(createState({
+            agents: { a1: { id: 'a1', hostname: 'pc1', platform: 'linux', childId: 'c1', timeZone: 'UTC' } }
+        }));
+
+        const session = { username: 'kid', sessionId: '1', isIdle: false, idleTime: 0, timeZone: 'UTC' };
+        await h.report('os-session-monitor', session);
+        jest.setSystemTime(Date.parse('2026-03-01T23:59:40Z'));
+        await h.report('os-session-monitor', session);
+        jest.setSystemTime(Date.parse('2026-03-02T00:00:20Z'));
+        await h.report('os-session-monitor', session);
+
+        jest.advanceTimersByTime(60000);
+        await flush();
+
+        const queued = h.state.usageQueue.filter(item => item.type === 'computer');
+        expect(queued.map(item => [item.day, item.seconds])).toEqual([
+            ['2026-03-01', 60],
+            ['2026-03-02', 20]
+        ]);
+    });
+});
@@ -0,0 +1,122 @@
+'use strict';
+
+jest.mock('child_process');
+
+const fs = require('fs');
+const childProcess = require('child_process');
+const webFilter = require('../../src/actions/web-filter');
+const { createPlugin, createState } = require('../helpers/plugin');
+
+describe('web filter settings', () => {
+    async function load(children = {}) {
+        const h = createPlugin();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        await h.plugin.onLoad(createState({
+            agents: { a1: { id: 'a1', hostname: 'pc1', platform: 'linux', childId: 'c1' } },
+            children
+        }));
+        return h;
+    }
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('normalizes URLs to domains when settings are saved', async () => {
+        const h = await load();
+
+        const [error] = await h.invoke('os:updateChildSettings', {
+            childId: 'c1',
+            settings: { webFilter: { blockedDomains: ['https://www.TikTok.com/foryou', 'reddit.com.'] } }
+        });
+
+        expect(error).toBeNull();
+        expect(h.state.children.c1.webFilter.blockedDomains).toEqual(['www.tiktok.com', 'reddit.com']);
+        expect(h.triggered('web-filter').pop().args.blockedDomains).toEqual(['www.tiktok.com', 'reddit.com']);
+    });
+
+    it('rejects values that are not domains', async () => {
+        const h = await load();
+
+        for (const value of ['*.tiktok.com', 'localhost', 'evil.com bank.com', '']) {
+            const [error] = await h.invoke('os:updateChildSettings', {
+                childId: 'c1',
+                settings: { webFilter: { blockedDomains: [value] } }
+            });
+            expect(error).toBeInstanceOf(Error);
+        }
+    });
+
+    it('never sends unchecked domains from stored state to the agent', async () => {
+        const h = await load({
+            c1: {
+                webFilter: {
+                    blockedDomains: ['TikTok.com', 'evil.com\n1.2.3.4 bank.com', 'https://www.reddit.com/r/x', 'tiktok.com'],
+                    safeSearch: true
+                }
+            }
+        });
+
+        expect(h.triggered('web-filter').map(call => call.args)).toEqual([
+            { blockedDomains: ['tiktok.com', 'www.reddit.com'], safeSearch: true }
+        ]);
+    });
+
+    it('removes the filter when the agent is unlinked', async () => {
+        const h = await load({ c1: { webFilter: { blockedDomains: ['tiktok.com'] } } });
+
+        await h.invoke('os:unlinkAgent', { agentId: 'a1' });
+
+        expect(h.triggered('web-filter').pop().args).toEqual({ blockedDomains: [], safeSearch: false });
+    });
+});
+
+describe('web-filter action', () => {
+    const platform = process.platform;
+    const original = '127.0.0.1 localhost\n';
+    let files;
+
+    beforeEach(() => {
+        Object.defineProperty(process, 'platform', { value: 'linux' });
+        files = { '/etc/hosts': original };
+        jest.spyOn(fs, 'readFileSync').mockImplementation(file => {
+            if (!(file in files)) throw Object.assign(new Error('ENOENT'), { code: 'ENOENT' });
+            return files[file];
+        });
+        jest.spyOn(fs, 'writeFileSync').mockImplementation((file, content) => { files[file] = content; });
+        jest.spyOn(fs, 'existsSync').mockImplementation(file => file in files);
+        jest.spyOn(fs, 'unlinkSync').mockImplementation(file => { delete files[file]; });
+        childProcess.execSync.mockImplementation(() => {
+            throw new Error('offline');
+        });
+    });
+
+    afterEach(() => {
+        Object.defineProperty(process, 'platform', { value: platform });
+        jest.restoreAllMocks();
+        jest.resetAllMocks();
+    });
+
+    it('only writes domain names into the hosts file', () => {
+        const result = webFilter.script({
+            blockedDomains: ['tiktok.com', 'evil.com\n1.2.3.4 bank.com', 'a.com # x', 'www.Reddit.com']
+        });
+
+        expect(result).toMatchObject({ success: true, changed: true, entries: 3 });
+        expect(result.rejected).toEqual(['evil.com\n1.2.3.4 bank.com', 'a.com # x']);
+        expect(files['/etc/hosts'].split('\n').filter(line => line.startsWith('0.0.0.0'))).toEqual([
+            '0.0.0.0 tiktok.com',
+            '0.0.0.0 www.tiktok.com',
+            '0.0.0.0 www.reddit.com'
+        ]);
+        expect(files['/etc/hosts']).not.toContain('bank.com');
+    });
+
+    it('restores the original hosts file when nothing is filtered', () => {
+        webFilter.script({ blockedDomains: ['tiktok.com'], safeSearch: true });
+        const result = webFilter.script({ blockedDomains: [] });
+
+        expect(result).toMatchObject({ success: true, changed: true, entries: 0 });
+        expect(files).toEqual({ '/etc/hosts': original });
+    });
+});